@@ -1,13 +1,34 @@
 // js/core/block-repository.js
 // Block の集中管理（追加・検索・削除・永続化）
 
-// ブロック種別ごとの上限数
-const MAX_BLOCKS_PER_KIND = 30;
+// ブロック種別ごとの上限数の既定値（null は無制限。ワークスペースごとに setMaxBlocksPerKind で変えられる）
+const DEFAULT_MAX_BLOCKS_PER_KIND = null;
+
+// 色を決めていないタグに割り当てる色（タグ名から決まる）
+const TAG_COLOR_PALETTE = ['#4a90e2', '#50b86c', '#f5a623', '#d0021b', '#9013fe', '#8b572a', '#00a3a3', '#e056a0'];
+
+// 二次インデックス（プロパティ名・対象の種別・キーにするブロックのフィールド）
+const REPOSITORY_INDEX_DEFS = [
+  { name: 'tokenToWordId', kind: 'WB', field: 'token' },
+  { name: 'tokenToClassId', kind: 'CB', field: 'token' },
+  { name: 'expressionKeyToWordId', kind: 'WB', field: 'expressionKey' },
+  { name: 'expressionKeyToClassId', kind: 'CB', field: 'expressionKey' }
+];
 
 class BlockRepository {
   constructor() {
     /** @type {Map<string, Block>} */
     this.blocks = new Map();
+    /**
+     * 種別ごとのブロック（getAllWords・countBlocksByKind 等で全件を走査しないため。並びは blocks と同じ）
+     * @type {{WB: Map<string, Block>, CB: Map<string, Block>, EB: Map<string, Block>}}
+     */
+    this.blocksByKind = { WB: new Map(), CB: new Map(), EB: new Map() };
+    /**
+     * ラベル索引: "種別:ラベル" -> ブロック ID の集合（findIdByLabel・findOrCreateIdForLabel 用）
+     * @type {Map<string, Set<string>>}
+     */
+    this.labelIndex = new Map();
     /** @type {Map<string, string>} token -> WordBlock.id */
     this.tokenToWordId = new Map();
     /** @type {Map<string, string>} token -> ClassBlock.id */
@@ -16,6 +37,48 @@ class BlockRepository {
     this.expressionKeyToWordId = new Map();
     /** @type {Map<string, string>} expressionKey -> ClassBlock.id */
     this.expressionKeyToClassId = new Map();
+    /**
+     * 逆依存インデックス: ブロック ID -> それを直接参照している EquationBlock.id の集合
+     * 追加・削除のたびに破棄し、次に参照されたときに作り直す。
+     * @type {Map<string, Set<string>>|null}
+     */
+    this.dependentsIndex = null;
+    /**
+     * 循環参照に含まれる式ブロック ID -> 循環の経路（一覧の描画で毎回調べ直さないためのキャッシュ）
+     * dependentsIndex と同じ時点で破棄する。
+     * @type {Map<string, string[]>|null}
+     */
+    this.cycleIndex = null;
+    /**
+     * 各ブロックを二次インデックスに登録したときのキー（ブロック ID -> token / expressionKey / label）
+     * ブロックのプロパティが書き換えられても、古いキーを確実に取り除けるよう記録しておく。
+     * @type {Map<string, {kind: string, token: string, expressionKey: string, label: string}>}
+     */
+    this.indexedKeys = new Map();
+    /**
+     * 一意インデックスのキーを持つブロックの集合（"インデックス名:キー" -> ブロック ID の集合。登録順）
+     * token / expressionKey が重複したとき、インデックスが指すブロックを取り除いても
+     * 残りのブロックへ全件を走査せずに付け替えるために使う。
+     * @type {Map<string, Set<string>>}
+     */
+    this.indexOwners = new Map();
+    /**
+     * 変更通知の購読者（自動保存などに使う）
+     * @type {Set<() => void>}
+     */
+    this.changeListeners = new Set();
+    /** 種別ごとのブロック数の上限（null は無制限） */
+    this.maxBlocksPerKind = DEFAULT_MAX_BLOCKS_PER_KIND;
+    /**
+     * タグの色（タグ -> "#rrggbb"）。決めていないタグは TAG_COLOR_PALETTE から選ぶ
+     * @type {Object<string, string>}
+     */
+    this.tagColors = {};
+    /**
+     * 検索式の上限（QueryLimitProfile の項目のうち、既定値から変えたものだけ）
+     * @type {Object<string, number>}
+     */
+    this.queryLimits = {};
 
     this.counters = {
       WB: 0,
@@ -30,23 +93,8 @@ class BlockRepository {
    */
   add(block) {
     if (!block || !block.id) return;
-    this.blocks.set(block.id, block);
-
-    if (block.kind === 'WB') {
-      if (block.token) {
-        this.tokenToWordId.set(block.token, block.id);
-      }
-      if (block.expressionKey) {
-        this.expressionKeyToWordId.set(block.expressionKey, block.id);
-      }
-    } else if (block.kind === 'CB') {
-      if (block.token) {
-        this.tokenToClassId.set(block.token, block.id);
-      }
-      if (block.expressionKey) {
-        this.expressionKeyToClassId.set(block.expressionKey, block.id);
-      }
-    }
+    this._store(block);
+    this._notifyChange();
   }
 
   /**
@@ -62,26 +110,298 @@ class BlockRepository {
    * @param {string} id
    */
   remove(id) {
+    if (!this._delete(id)) return;
+    this._notifyChange();
+  }
+
+  /**
+   * ブロックを削除し、索引から外す（変更通知はしない）
+   * @param {string} id
+   * @returns {boolean} 削除したら true
+   * @private
+   */
+  _delete(id) {
     const blk = this.blocks.get(id);
-    if (!blk) return;
+    if (!blk) return false;
 
-    if (blk.kind === 'WB') {
-      if (blk.token) {
-        this.tokenToWordId.delete(blk.token);
+    this.blocks.delete(id);
+    if (this.blocksByKind[blk.kind]) this.blocksByKind[blk.kind].delete(id);
+    this._unindexBlock(id);
+    this._resetDependencyCaches();
+    return true;
+  }
+
+  /**
+   * ブロックを登録し、索引を更新する（変更通知はしない）
+   * @param {Block} block
+   * @private
+   */
+  _store(block) {
+    const previous = this.blocks.get(block.id);
+    if (previous && previous.kind !== block.kind && this.blocksByKind[previous.kind]) {
+      this.blocksByKind[previous.kind].delete(block.id);
+    }
+    this.blocks.set(block.id, block);
+    if (this.blocksByKind[block.kind]) this.blocksByKind[block.kind].set(block.id, block);
+    this._resetDependencyCaches();
+    this._indexBlock(block);
+  }
+
+  /**
+   * ブロックの追加・更新・削除のたびに呼ばれる関数を登録する
+   * @param {() => void} listener
+   * @returns {() => void} 登録を解除する関数
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * 変更を購読者に知らせる（購読者の例外はリポジトリの操作を妨げない）
+   * @private
+   */
+  _notifyChange() {
+    this.changeListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (e) {
+        console.error('BlockRepository change listener error:', e);
+      }
+    });
+  }
+
+  /**
+   * Word / 分類ブロックの token を変更し、token インデックスを付け替える
+   * （式ブロック中の参照は書き換えない。参照ごと変える場合は renameBlock を使う）
+   * @param {string} id
+   * @param {string} token
+   */
+  updateToken(id, token) {
+    const blk = this._getIndexedBlock(id);
+    blk.token = token || '';
+    blk.touchUpdated();
+    this._indexBlock(blk);
+    // 語 token の解決先が変わると依存関係も変わりうる
+    this._resetDependencyCaches();
+    this._notifyChange();
+  }
+
+  /**
+   * Word / 分類ブロックの expressionKey を変更し、expressionKey インデックスを付け替える
+   * @param {string} id
+   * @param {string} expressionKey
+   */
+  updateExpressionKey(id, expressionKey) {
+    const blk = this._getIndexedBlock(id);
+    blk.updateExpressionKey(expressionKey);
+    this._indexBlock(blk);
+    this._notifyChange();
+  }
+
+  /**
+   * Word / 分類ブロックの定義を過去の版に戻し、expressionKey インデックスを付け替える
+   * （式ブロックは参照先の定義から検索式を描画するので、再描画すれば戻した定義が反映される）
+   * @param {string} id
+   * @param {number} index - revisions の添字
+   * @returns {BlockRevision} 戻した版
+   */
+  restoreRevision(id, index) {
+    const blk = this._getIndexedBlock(id);
+    const rev = blk.restoreRevision(index);
+    this._indexBlock(blk);
+    this._notifyChange();
+    return rev;
+  }
+
+  /**
+   * 二次インデックスをブロックの現在の値から作り直す
+   * @returns {{index: string, key: string, id: string|null, message: string}[]} 作り直す前に見つかった不整合
+   */
+  reindex() {
+    const { issues } = this.verifyIntegrity();
+
+    this._clearIndexes();
+    this.blocks.forEach((blk) => {
+      if (this.blocksByKind[blk.kind]) this.blocksByKind[blk.kind].set(blk.id, blk);
+      this._indexBlock(blk);
+    });
+    this._resetDependencyCaches();
+
+    return issues;
+  }
+
+  /** @private */
+  _clearIndexes() {
+    this.tokenToWordId.clear();
+    this.tokenToClassId.clear();
+    this.expressionKeyToWordId.clear();
+    this.expressionKeyToClassId.clear();
+    Object.values(this.blocksByKind).forEach((map) => map.clear());
+    this.labelIndex.clear();
+    this.indexedKeys.clear();
+    this.indexOwners.clear();
+  }
+
+  /**
+   * 参照関係から作るキャッシュ（逆依存・循環）を破棄する（次に参照されたときに作り直す）
+   * @private
+   */
+  _resetDependencyCaches() {
+    this.dependentsIndex = null;
+    this.cycleIndex = null;
+  }
+
+  /**
+   * 二次インデックスとブロックの現在の値が一致しているかを調べる
+   * - stale:     存在しないブロック・別種別のブロック・値が変わったブロックを指しているキー
+   * - missing:   ブロックの token / expressionKey がインデックスに無い
+   * - duplicate: 同じ token / expressionKey を持つブロックが複数ある（インデックスはどれか 1 つしか指せない）
+   * 種別索引（blocksByKind）・ラベル索引（labelIndex）の stale / missing も調べる。
+   * @returns {{ok: boolean, issues: {type: "stale"|"missing"|"duplicate", index: string, key: string, id: string|null, message: string}[]}}
+   */
+  verifyIntegrity() {
+    const issues = [];
+    REPOSITORY_INDEX_DEFS.forEach(({ name, kind, field }) => {
+      const index = this[name];
+
+      index.forEach((id, key) => {
+        const blk = this.blocks.get(id);
+        if (!blk || blk.kind !== kind || blk[field] !== key) {
+          const reason = !blk ? '存在しないブロック' : blk.kind !== kind ? '別種別のブロック' : '値が変わったブロック';
+          issues.push({ type: 'stale', index: name, key, id, message: `${name}: "${key}" が${reason} ${id} を指しています。` });
+        }
+      });
+
+      const owners = new Map();
+      this.blocks.forEach((blk) => {
+        if (blk.kind !== kind || !blk[field]) return;
+        if (!owners.has(blk[field])) owners.set(blk[field], []);
+        owners.get(blk[field]).push(blk.id);
+      });
+      owners.forEach((ids, key) => {
+        if (ids.length > 1) {
+          issues.push({ type: 'duplicate', index: name, key, id: null, message: `${name}: "${key}" が複数のブロックで重複しています（${ids.join(', ')}）。` });
+        } else if (index.get(key) !== ids[0]) {
+          issues.push({ type: 'missing', index: name, key, id: ids[0], message: `${name}: ${ids[0]} の "${key}" が登録されていません。` });
+        }
+      });
+    });
+
+    Object.keys(this.blocksByKind).forEach((kind) => {
+      this.blocksByKind[kind].forEach((blk, id) => {
+        if (this.blocks.get(id) !== blk || blk.kind !== kind) {
+          issues.push({ type: 'stale', index: 'blocksByKind', key: kind, id, message: `blocksByKind: ${kind} に ${id} が残っています。` });
+        }
+      });
+    });
+    this.labelIndex.forEach((ids, key) => {
+      ids.forEach((id) => {
+        const blk = this.blocks.get(id);
+        if (!blk || this._labelKey(blk.kind, blk.label) !== key) {
+          issues.push({ type: 'stale', index: 'labelIndex', key, id, message: `labelIndex: "${key}" が ${id} を指しています。` });
+        }
+      });
+    });
+    this.blocks.forEach((blk) => {
+      if (this.blocksByKind[blk.kind] && this.blocksByKind[blk.kind].get(blk.id) !== blk) {
+        issues.push({ type: 'missing', index: 'blocksByKind', key: blk.kind, id: blk.id, message: `blocksByKind: ${blk.id} が登録されていません。` });
       }
-      if (blk.expressionKey) {
-        this.expressionKeyToWordId.delete(blk.expressionKey);
+      const key = this._labelKey(blk.kind, blk.label);
+      const ids = this.labelIndex.get(key);
+      if (!ids || !ids.has(blk.id)) {
+        issues.push({ type: 'missing', index: 'labelIndex', key, id: blk.id, message: `labelIndex: ${blk.id} の "${key}" が登録されていません。` });
       }
-    } else if (blk.kind === 'CB') {
-      if (blk.token) {
-        this.tokenToClassId.delete(blk.token);
+    });
+    return { ok: issues.length === 0, issues };
+  }
+
+  /**
+   * ブロックを二次インデックスに登録する（前回登録したキーは先に取り除く）
+   * @param {Block} blk
+   * @private
+   */
+  _indexBlock(blk) {
+    this._unindexBlock(blk.id);
+
+    const keys = {
+      kind: blk.kind,
+      token: blk.token || '',
+      expressionKey: blk.expressionKey || '',
+      label: blk.label || ''
+    };
+    REPOSITORY_INDEX_DEFS.forEach(({ name, kind, field }) => {
+      if (kind !== blk.kind || !keys[field]) return;
+      this[name].set(keys[field], blk.id);
+      const ownerKey = `${name}:${keys[field]}`;
+      if (!this.indexOwners.has(ownerKey)) this.indexOwners.set(ownerKey, new Set());
+      this.indexOwners.get(ownerKey).add(blk.id);
+    });
+
+    const labelKey = this._labelKey(blk.kind, keys.label);
+    if (!this.labelIndex.has(labelKey)) this.labelIndex.set(labelKey, new Set());
+    this.labelIndex.get(labelKey).add(blk.id);
+    this.indexedKeys.set(blk.id, keys);
+  }
+
+  /**
+   * ブロックを登録したときのキーを二次インデックスから取り除く
+   * 同じキーを持つ別のブロックが残っていれば、そちらを指すように付け替える。
+   * @param {string} id
+   * @private
+   */
+  _unindexBlock(id) {
+    const keys = this.indexedKeys.get(id);
+    if (!keys) return;
+    this.indexedKeys.delete(id);
+
+    REPOSITORY_INDEX_DEFS.forEach(({ name, kind, field }) => {
+      const key = keys[field];
+      if (kind !== keys.kind || !key) return;
+      const ownerKey = `${name}:${key}`;
+      const owners = this.indexOwners.get(ownerKey);
+      if (owners) {
+        owners.delete(id);
+        if (owners.size === 0) this.indexOwners.delete(ownerKey);
       }
-      if (blk.expressionKey) {
-        this.expressionKeyToClassId.delete(blk.expressionKey);
+      if (this[name].get(key) !== id) return;
+      if (owners && owners.size > 0) {
+        this[name].set(key, owners.values().next().value);
+      } else {
+        this[name].delete(key);
       }
+    });
+
+    const labelKey = this._labelKey(keys.kind, keys.label);
+    const ids = this.labelIndex.get(labelKey);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) this.labelIndex.delete(labelKey);
     }
+  }
 
-    this.blocks.delete(id);
+  /**
+   * @param {string} kind
+   * @param {string} label
+   * @returns {string}
+   * @private
+   */
+  _labelKey(kind, label) {
+    return `${kind}:${label || ''}`;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {WordBlock|ClassBlock}
+   * @throws {Error} Word / 分類ブロックでない場合
+   * @private
+   */
+  _getIndexedBlock(id) {
+    const blk = this.blocks.get(id);
+    if (!blk || (blk.kind !== 'WB' && blk.kind !== 'CB')) {
+      throw new Error(`Word / 分類ブロックが見つかりません: ${id}`);
+    }
+    return blk;
   }
 
   /**
@@ -106,7 +426,7 @@ class BlockRepository {
    * @returns {WordBlock[]}
    */
   getAllWords() {
-    return this.getAll().filter((b) => b.kind === 'WB');
+    return Array.from(this.blocksByKind.WB.values());
   }
 
   /**
@@ -114,7 +434,7 @@ class BlockRepository {
    * @returns {ClassBlock[]}
    */
   getAllClasses() {
-    return this.getAll().filter((b) => b.kind === 'CB');
+    return Array.from(this.blocksByKind.CB.values());
   }
 
   /**
@@ -122,7 +442,321 @@ class BlockRepository {
    * @returns {EquationBlock[]}
    */
   getAllEquations() {
-    return this.getAll().filter((b) => b.kind === 'EB');
+    return Array.from(this.blocksByKind.EB.values());
+  }
+
+  // ========================================
+  // 依存関係（ブロック参照）
+  // ========================================
+
+  /**
+   * 式の中で直接参照しているブロック ID（BlockRef と、WordBlock に解決できる語 token）
+   * @param {ExprNode|null} root
+   * @returns {string[]}
+   */
+  getExprDependencies(root) {
+    if (!root) return [];
+    const refIds = new Set();
+    const tokens = new Set();
+    root.collectBlockRefIds(refIds);
+    root.collectWordTokens(tokens);
+    tokens.forEach((token) => {
+      const wb = this.findWordBlockByToken(token);
+      if (wb) refIds.add(wb.id);
+    });
+    return Array.from(refIds);
+  }
+
+  /**
+   * ブロックが直接参照しているブロック ID（式ブロック以外は参照を持たない）
+   * @param {string} id
+   * @returns {string[]}
+   */
+  getDirectDependencies(id) {
+    const blk = this.blocks.get(id);
+    if (!blk || blk.kind !== 'EB') return [];
+    return this.getExprDependencies(blk.root);
+  }
+
+  /**
+   * 式ブロック ebId の root を差し替えたときに循環参照になるかを調べる
+   * @param {string} ebId
+   * @param {ExprNode|null} root - 差し替え後の root
+   * @returns {string[]|null} 循環の経路（例: ["EB-0001", "EB-0003", "EB-0001"]）。循環しなければ null
+   */
+  findCycleForRoot(ebId, root) {
+    const visited = new Set();
+    const walk = (id, path) => {
+      if (id === ebId) return [...path, id];
+      if (visited.has(id)) return null;
+      visited.add(id);
+      for (const dep of this.getDirectDependencies(id)) {
+        const cycle = walk(dep, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    for (const dep of this.getExprDependencies(root)) {
+      const cycle = walk(dep, [ebId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  /**
+   * 式ブロックが循環参照に含まれていれば、その経路を返す（保存済みの root で調べる）
+   * 全式ブロックの循環をまとめて求めてキャッシュするため、一覧の描画から式ブロックごとに呼んでもよい。
+   * @param {string} ebId
+   * @returns {string[]|null} 循環の経路（例: ["EB-0001", "EB-0003", "EB-0001"]）。循環していなければ null
+   */
+  getCycleOf(ebId) {
+    if (!this.cycleIndex) this.cycleIndex = this._buildCycleIndex();
+    return this.cycleIndex.get(ebId) || null;
+  }
+
+  /**
+   * 式ブロック間の参照を強連結成分に分け（Tarjan 法、再帰なし）、循環に含まれる式ブロックごとに最短の循環を求める
+   * @returns {Map<string, string[]>}
+   * @private
+   */
+  _buildCycleIndex() {
+    const edges = new Map();
+    this.getAllEquations().forEach((eb) => {
+      const deps = this.getExprDependencies(eb.root).filter((id) => this.blocksByKind.EB.has(id));
+      edges.set(eb.id, deps);
+    });
+
+    const order = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const visit = (id) => {
+      order.set(id, order.size);
+      low.set(id, order.get(id));
+      stack.push(id);
+      onStack.add(id);
+    };
+    edges.forEach((deps, start) => {
+      if (order.has(start)) return;
+      visit(start);
+      const frames = [{ id: start, next: 0 }];
+      while (frames.length) {
+        const frame = frames[frames.length - 1];
+        const frameDeps = edges.get(frame.id);
+        if (frame.next < frameDeps.length) {
+          const dep = frameDeps[frame.next++];
+          if (!order.has(dep)) {
+            visit(dep);
+            frames.push({ id: dep, next: 0 });
+          } else if (onStack.has(dep)) {
+            low.set(frame.id, Math.min(low.get(frame.id), order.get(dep)));
+          }
+          continue;
+        }
+        frames.pop();
+        if (frames.length) {
+          const parent = frames[frames.length - 1].id;
+          low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+        }
+        if (low.get(frame.id) === order.get(frame.id)) {
+          const component = [];
+          let id;
+          do {
+            id = stack.pop();
+            onStack.delete(id);
+            component.push(id);
+          } while (id !== frame.id);
+          components.push(component);
+        }
+      }
+    });
+
+    const index = new Map();
+    components.forEach((component) => {
+      const members = new Set(component);
+      // 1 つだけの成分は自分自身を参照している場合だけ循環
+      if (component.length === 1 && !edges.get(component[0]).includes(component[0])) return;
+      component.forEach((id) => {
+        index.set(id, this._shortestCycle(id, members, edges));
+      });
+    });
+    return index;
+  }
+
+  /**
+   * 強連結成分の中で id から id に戻る最短の経路（幅優先探索）
+   * @param {string} id
+   * @param {Set<string>} members - id を含む強連結成分
+   * @param {Map<string, string[]>} edges
+   * @returns {string[]}
+   * @private
+   */
+  _shortestCycle(id, members, edges) {
+    const prev = new Map();
+    const queue = [id];
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      for (const dep of edges.get(current)) {
+        if (dep === id) {
+          const path = [];
+          for (let p = current; p !== id; p = prev.get(p)) path.push(p);
+          return [id, ...path.reverse(), id];
+        }
+        if (members.has(dep) && !prev.has(dep)) {
+          prev.set(dep, current);
+          queue.push(dep);
+        }
+      }
+    }
+    return [id, id];
+  }
+
+  /**
+   * ブロックを直接参照している式ブロック ID（逆依存）
+   * @param {string} id
+   * @returns {string[]}
+   */
+  getDependents(id) {
+    if (!this.dependentsIndex) {
+      const index = new Map();
+      this.getAllEquations().forEach((eb) => {
+        this.getExprDependencies(eb.root).forEach((depId) => {
+          if (!index.has(depId)) index.set(depId, new Set());
+          index.get(depId).add(eb.id);
+        });
+      });
+      this.dependentsIndex = index;
+    }
+    const dependents = this.dependentsIndex.get(id);
+    return dependents ? Array.from(dependents) : [];
+  }
+
+  /**
+   * ブロック群を直接・間接に参照している式ブロック ID（指定したブロック自身は除く）
+   * @param {string[]} ids
+   * @returns {string[]}
+   */
+  getTransitiveDependents(ids) {
+    const targets = new Set(ids);
+    const result = new Set();
+    const queue = [...ids];
+    while (queue.length) {
+      this.getDependents(queue.shift()).forEach((depId) => {
+        if (targets.has(depId) || result.has(depId)) return;
+        result.add(depId);
+        queue.push(depId);
+      });
+    }
+    return Array.from(result);
+  }
+
+  /**
+   * ブロックへの参照を、そのブロックの現在の展開内容に置き換える（削除前の「展開」用）
+   * - WordBlock     → 検索テキストをそのまま持つ語 token（"(基地局+BS)" のように 1 つの語として書けない形にし、
+   *                    他の WordBlock の token や参照切れと取り違えないようにする）
+   * - EquationBlock → その式の root の複製
+   * 分類ブロックは語 token で表せないため展開できない。
+   * @param {string} id
+   * @returns {string[]} 書き換えた式ブロック ID
+   */
+  inlineBlockReferences(id) {
+    const blk = this.blocks.get(id);
+    if (!blk) return [];
+
+    let expansion;
+    if (blk.kind === 'WB') {
+      const text = (blk.queryText && blk.queryText.trim()) || blk.token;
+      expansion = new WordTokenNode(this._isSingleIdent(text) ? `(${text})` : text);
+    } else if (blk.kind === 'EB') {
+      if (!blk.root) return [];
+      expansion = blk.root;
+    } else {
+      throw new Error(`分類ブロック「${blk.label || blk.id}」は式に展開できません。`);
+    }
+
+    const isReference = (node) =>
+      (node instanceof BlockRefNode && node.blockId === id) ||
+      (blk.kind === 'WB' && node instanceof WordTokenNode && node.token === blk.token);
+
+    const updated = [];
+    this.getDependents(id).forEach((ebId) => {
+      const eb = this.blocks.get(ebId);
+      if (!eb || !eb.root) return;
+      eb.setRoot(transformExpr(eb.root, (node) => (isReference(node) ? expansion.clone() : undefined)));
+      this.upsert(eb);
+      updated.push(ebId);
+    });
+    return updated;
+  }
+
+  /**
+   * 式の中で解決できない参照（WordBlock のない語 token・存在しないブロック ID）を探す
+   * 1 つの語として書けない語 token（展開で埋め込んだ検索テキスト）は参照ではないので対象外。
+   * @param {ExprNode|null} root
+   * @returns {{kind: "token"|"blockRef", value: string}[]} 重複なし・出現順
+   */
+  findDanglingInExpr(root) {
+    const result = [];
+    const seen = new Set();
+    walkExpr(root, (node) => {
+      let ref = null;
+      if (
+        node instanceof WordTokenNode &&
+        node.token &&
+        this._isSingleIdent(node.token) &&
+        !this.findWordBlockByToken(node.token)
+      ) {
+        ref = { kind: 'token', value: node.token };
+      } else if (node instanceof BlockRefNode && !this.blocks.has(node.blockId)) {
+        ref = { kind: 'blockRef', value: node.blockId };
+      }
+      if (!ref) return;
+      const key = `${ref.kind}:${ref.value}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      result.push(ref);
+    });
+    return result;
+  }
+
+  /**
+   * すべての式ブロックの参照切れを、参照ごとにまとめて返す
+   * @returns {{kind: "token"|"blockRef", value: string, equationIds: string[]}[]}
+   */
+  findDanglingReferences() {
+    const grouped = new Map();
+    this.getAllEquations().forEach((eb) => {
+      this.findDanglingInExpr(eb.root).forEach((ref) => {
+        const key = `${ref.kind}:${ref.value}`;
+        if (!grouped.has(key)) grouped.set(key, Object.assign(ref, { equationIds: [] }));
+        grouped.get(key).equationIds.push(eb.id);
+      });
+    });
+    return Array.from(grouped.values());
+  }
+
+  /**
+   * リポジトリ内の循環参照をすべて探す（古い JSON を読み込んだ場合の確認用）
+   * 同じ循環は 1 回だけ、経路の先頭が最小 ID になる形で返す。
+   * @returns {string[][]}
+   */
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    this.getAllEquations().forEach((eb) => {
+      const cycle = this.getCycleOf(eb.id);
+      if (!cycle) return;
+      const ring = cycle.slice(0, -1);
+      const start = ring.indexOf([...ring].sort()[0]);
+      const normalized = [...ring.slice(start), ...ring.slice(0, start)];
+      const key = normalized.join('>');
+      if (seen.has(key)) return;
+      seen.add(key);
+      cycles.push([...normalized, normalized[0]]);
+    });
+    return cycles;
   }
 
   /**
@@ -131,16 +765,84 @@ class BlockRepository {
    * @returns {number}
    */
   countBlocksByKind(kind) {
-    return this.getAll().filter((b) => b.kind === kind).length;
+    return this.blocksByKind[kind] ? this.blocksByKind[kind].size : 0;
   }
 
   /**
-   * 指定種別のブロックを追加可能かチェック（上限30個）
+   * 指定種別のブロックを追加可能かチェック（上限は maxBlocksPerKind。null なら常に可）
    * @param {"WB"|"CB"|"EB"} kind
    * @returns {boolean}
    */
   canAddBlock(kind) {
-    return this.countBlocksByKind(kind) < MAX_BLOCKS_PER_KIND;
+    return this.maxBlocksPerKind === null || this.countBlocksByKind(kind) < this.maxBlocksPerKind;
+  }
+
+  /**
+   * 種別ごとのブロック数の上限を変更する
+   * @param {number|null} limit - null は無制限
+   * @throws {Error} 正の整数でない・既にある種別のブロック数より小さい場合
+   */
+  setMaxBlocksPerKind(limit) {
+    if (limit !== null) {
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('ブロック数の上限は 1 以上の整数で指定してください。');
+      }
+      const over = ['WB', 'CB', 'EB'].find((kind) => this.countBlocksByKind(kind) > limit);
+      if (over) {
+        throw new Error(
+          `${over === 'WB' ? 'Word' : over === 'CB' ? '分類' : '式'}ブロックが既に ${this.countBlocksByKind(over)} 個あるため、上限を ${limit} 個にはできません。`
+        );
+      }
+    }
+    this.maxBlocksPerKind = limit;
+    this._notifyChange();
+  }
+
+  /**
+   * 検索式の上限を変更する（値の検証は QueryMeter.normalizeLimits で済ませておく）
+   * @param {Object<string, number>} limits - 既定値から変える項目だけ
+   */
+  setQueryLimits(limits) {
+    this.queryLimits = Object.assign({}, limits);
+    this._notifyChange();
+  }
+
+  /**
+   * Word / 分類ブロックに付いているタグ（最初に現れた順）と件数
+   * @returns {{tag: string, count: number, color: string}[]}
+   */
+  getAllTags() {
+    const counts = new Map();
+    [...this.getAllWords(), ...this.getAllClasses()].forEach((blk) => {
+      (blk.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count, color: this.getTagColor(tag) }));
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {string} "#rrggbb"
+   */
+  getTagColor(tag) {
+    if (this.tagColors[tag]) return this.tagColors[tag];
+    let hash = 0;
+    for (let i = 0; i < tag.length; i++) hash = (hash * 31 + tag.charCodeAt(i)) >>> 0;
+    return TAG_COLOR_PALETTE[hash % TAG_COLOR_PALETTE.length];
+  }
+
+  /**
+   * タグの色を変更する
+   * @param {string} tag
+   * @param {string} color - "#rrggbb"
+   * @throws {Error} 色の形式が不正な場合
+   */
+  setTagColor(tag, color) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(color || '')) {
+      throw new Error(`タグの色は #rrggbb の形式で指定してください: ${color}`);
+    }
+    if (this.tagColors[tag] === color) return;
+    this.tagColors[tag] = color;
+    this._notifyChange();
   }
 
   /**
@@ -159,7 +861,7 @@ class BlockRepository {
     
     return {
       ok: false,
-      message: `${kindName}は${MAX_BLOCKS_PER_KIND}個までしか作成できません。既存のブロックを削除してから再度お試しください。`
+      message: `${kindName}は${this.maxBlocksPerKind}個までしか作成できません。既存のブロックを削除するか、ワークスペースの設定で上限を変更してください。`
     };
   }
 
@@ -225,6 +927,86 @@ class BlockRepository {
     return undefined;
   }
 
+  /**
+   * text が式の中で 1 つの語（IDENT）として読めるか
+   * @param {string} text
+   * @returns {boolean}
+   * @private
+   */
+  _isSingleIdent(text) {
+    const lexer = new Lexer(text);
+    const first = lexer.nextToken();
+    return first.type === TokenType.IDENT && first.text === text && lexer.nextToken().type === TokenType.EOF;
+  }
+
+  /**
+   * 新しい token として使えるか検査する
+   * - 式の中で 1 つの語として読めること（演算子・括弧・空白を含まない）
+   * - 他の Word / 分類ブロックの token と重ならないこと
+   * @param {string} token
+   * @param {string} [selfId] - 名前を変えるブロック自身（自分の現在の token は許す）
+   * @returns {{ok: boolean, message?: string}}
+   */
+  validateToken(token, selfId) {
+    if (!token) {
+      return { ok: false, message: 'token は必須です。' };
+    }
+
+    if (!this._isSingleIdent(token)) {
+      return { ok: false, message: `「${token}」は式の中で 1 つの語として使えません（演算子・括弧・空白を含めないでください）。` };
+    }
+
+    const owner = this.findWordBlockByToken(token) || this.findClassBlockByToken(token);
+    if (owner && owner.id !== selfId) {
+      return { ok: false, message: `token「${token}」は ${owner.label || owner.id} で使われています。` };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Word / 分類ブロックの token・ラベルを変更し、式ブロック中の WordTokenNode を新しい token に書き換える
+   * @param {string} id
+   * @param {{token?: string, label?: string}} changes
+   * @returns {{id: string, before: {token: string, label: string}, after: {token: string, label: string}, rewritten: string[]}}
+   *   rewritten は参照を書き換えた式ブロック ID
+   * @throws {Error} ブロックが見つからない・token が使えない場合
+   */
+  renameBlock(id, changes) {
+    const blk = this.blocks.get(id);
+    if (!blk || (blk.kind !== 'WB' && blk.kind !== 'CB')) {
+      throw new Error(`名前を変更できるブロックが見つかりません: ${id}`);
+    }
+
+    const before = { token: blk.token, label: blk.label };
+    const after = {
+      token: changes.token !== undefined ? String(changes.token).trim() : blk.token,
+      label: changes.label !== undefined ? String(changes.label).trim() : blk.label
+    };
+    if (after.token !== before.token) {
+      const check = this.validateToken(after.token, id);
+      if (!check.ok) throw new Error(check.message);
+    }
+
+    const rewritten = [];
+    if (after.token !== before.token) {
+      this.getAllEquations().forEach((eb) => {
+        const root = transformExpr(eb.root, (node) =>
+          node instanceof WordTokenNode && node.token === before.token
+            ? new WordTokenNode(after.token)
+            : undefined
+        );
+        if (root === eb.root) return;
+        eb.setRoot(root);
+        this.upsert(eb);
+        rewritten.push(eb.id);
+      });
+    }
+
+    blk.label = after.label;
+    this.updateToken(blk.id, after.token);
+    return { id, before, after, rewritten };
+  }
+
   /**
    * 単語 token から WordBlock を生成し登録
    * @param {string} token
@@ -237,6 +1019,7 @@ class BlockRepository {
     let wb = this.get(id);
     if (wb && wb.kind === 'WB') {
       wb.token = token;
+      wb.recordRevision();
       wb.updateQueryText(initialQueryText || `(${token})`);
       this.upsert(wb);
       return wb;
@@ -300,6 +1083,24 @@ class BlockRepository {
     return wb;
   }
 
+  /**
+   * ラベル＋種別で既存 Block を探し、あればその id を返す（採番はしない）
+   * @param {string} label
+   * @param {"WB"|"CB"|"EB"} kind
+   * @returns {string|null}
+   */
+  findIdByLabel(label, kind) {
+    const ids = this.labelIndex.get(this._labelKey(kind, label));
+    if (ids && ids.size === 1) return ids.values().next().value;
+    if (ids && ids.size > 1) {
+      // 同じラベルが複数あれば、登録順で最初のもの
+      for (const id of this.blocksByKind[kind].keys()) {
+        if (ids.has(id)) return id;
+      }
+    }
+    return null;
+  }
+
   /**
    * ラベル＋種別で既存 Block を探し、あればその id、なければ新規採番 id を返す
    * @param {string} label
@@ -307,12 +1108,7 @@ class BlockRepository {
    * @returns {string}
    */
   findOrCreateIdForLabel(label, kind) {
-    const all = this.getAll();
-    const found = all.find(
-      (b) => b.kind === kind && b.label === label
-    );
-    if (found) return found.id;
-    return this.nextId(kind);
+    return this.findIdByLabel(label, kind) || this.nextId(kind);
   }
 
   /**
@@ -335,22 +1131,80 @@ class BlockRepository {
    * @returns {any}
    */
   toJSON() {
-    return {
-      counters: this.counters,
+    return Object.assign(this._headToJSON(), {
       blocks: this.getAll().map((b) => b.toJSON())
+    });
+  }
+
+  /**
+   * ブロック以外の部分（ID の採番・設定）の JSON
+   * @returns {{counters: Object<string, number>, settings: Object}}
+   * @private
+   */
+  _headToJSON() {
+    return {
+      counters: Object.assign({}, this.counters),
+      settings: {
+        maxBlocksPerKind: this.maxBlocksPerKind,
+        tagColors: Object.assign({}, this.tagColors),
+        queryLimits: Object.assign({}, this.queryLimits)
+      }
     };
   }
 
+  /**
+   * ブロック単位の状態をまとめて適用する（操作履歴の取り消し・やり直し用。通知は最後に 1 回）
+   * @param {{counters: Object<string, number>, settings: Object}|null} head - ID の採番・設定（変えない場合は null）
+   * @param {{id: string, json: any|null}[]} states - ブロックの JSON（null ならそのブロックを削除）
+   * @param {string[]|null} [order] - 適用後のブロックの並び（削除を戻したブロックを元の位置に置くため）
+   */
+  applyBlockStates(head, states, order) {
+    if (head) this._loadHead(head);
+    states.forEach(({ id, json }) => {
+      if (json) {
+        this._store(Block.fromJSON(json));
+      } else {
+        this._delete(id);
+      }
+    });
+    if (order) {
+      const ordered = order.map((id) => this.blocks.get(id)).filter((blk) => blk);
+      this.blocks.clear();
+      Object.values(this.blocksByKind).forEach((map) => map.clear());
+      ordered.forEach((blk) => {
+        this.blocks.set(blk.id, blk);
+        if (this.blocksByKind[blk.kind]) this.blocksByKind[blk.kind].set(blk.id, blk);
+      });
+    }
+    this._notifyChange();
+  }
+
   /**
    * JSON からリポジトリ内容を復元
    * @param {any} json
    */
   loadFromJSON(json) {
     this.blocks.clear();
-    this.tokenToWordId.clear();
-    this.tokenToClassId.clear();
-    this.expressionKeyToWordId.clear();
-    this.expressionKeyToClassId.clear();
+    this._clearIndexes();
+    this._resetDependencyCaches();
+    this._loadHead(json);
+
+    // 1 件ずつ通知すると数千件の読み込みで購読者が何度も動くため、最後に 1 回だけ通知する
+    if (Array.isArray(json.blocks)) {
+      json.blocks.forEach((obj) => {
+        const blk = Block.fromJSON(obj);
+        if (blk && blk.id) this._store(blk);
+      });
+    }
+    this._notifyChange();
+  }
+
+  /**
+   * ID の採番・設定を JSON から読み込む（loadFromJSON / applyBlockStates 用）
+   * @param {any} json
+   * @private
+   */
+  _loadHead(json) {
     this.counters = {
       WB: 0,
       CB: 0,
@@ -360,13 +1214,17 @@ class BlockRepository {
     if (json && typeof json.counters === 'object') {
       this.counters = Object.assign(this.counters, json.counters);
     }
-
-    if (Array.isArray(json.blocks)) {
-      json.blocks.forEach((obj) => {
-        const blk = Block.fromJSON(obj);
-        this.add(blk);
-      });
-    }
+    const settings = (json && json.settings) || {};
+    this.maxBlocksPerKind = Number.isInteger(settings.maxBlocksPerKind) && settings.maxBlocksPerKind > 0
+      ? settings.maxBlocksPerKind
+      : DEFAULT_MAX_BLOCKS_PER_KIND;
+    this.tagColors = Object.assign({}, settings.tagColors || {});
+    // 壊れた値は既定値に戻す（項目の意味は QueryMeter が知っているので、ここでは正の数かだけを見る）
+    this.queryLimits = {};
+    Object.keys(settings.queryLimits || {}).forEach((key) => {
+      const value = settings.queryLimits[key];
+      if (typeof value === 'number' && Number.isFinite(value) && value > 0) this.queryLimits[key] = value;
+    });
   }
 }
 
@@ -1,6 +1,26 @@
 // js/core/block.js
 // Block 抽象クラスと派生クラス群（WordBlock, ClassBlock, EquationBlock）
 
+/**
+ * 選定理由・出典などの記録（検索報告書で語・分類を選んだ根拠を説明するため）
+ * @typedef {Object} BlockMeta
+ * @property {string} note - 自由記述のメモ（選定理由など）
+ * @property {string} source - 出典（公報番号、請求項の構成要素など）
+ * @property {string} author - 作成者
+ * @property {boolean} reviewed - 確認済みか
+ */
+
+/**
+ * Word / 分類ブロックの過去の定義（1 版）
+ * - Word: queryText / variants / displayLabel / expressionKey
+ * - 分類: codes / expressionKey
+ * @typedef {Object} BlockRevision
+ * @property {number} at - この定義だった時点の最終更新日時
+ */
+
+// ブロックごとに保持する過去の版の最大数（古いものから捨てる）
+const BLOCK_REVISION_MAX = 10;
+
 class Block {
   /**
    * @param {string} id
@@ -11,6 +31,10 @@ class Block {
     this.id = id;
     this.label = label || id;
     this.kind = kind; // "WB" | "CB" | "EB"
+    this.note = '';
+    this.source = '';
+    this.author = '';
+    this.reviewed = false;
     const now = Date.now();
     this.createdAt = now;
     this.updatedAt = now;
@@ -20,6 +44,34 @@ class Block {
     this.updatedAt = Date.now();
   }
 
+  /**
+   * メモ・出典等を設定（指定した項目だけ変える）
+   * @param {Partial<BlockMeta>} meta
+   */
+  setMeta(meta) {
+    if (!meta) return;
+    ['note', 'source', 'author'].forEach((key) => {
+      if (meta[key] !== undefined) this[key] = String(meta[key] == null ? '' : meta[key]).trim();
+    });
+    if (meta.reviewed !== undefined) this.reviewed = !!meta.reviewed;
+    this.touchUpdated();
+  }
+
+  /**
+   * @returns {BlockMeta}
+   */
+  getMeta() {
+    return { note: this.note, source: this.source, author: this.author, reviewed: this.reviewed };
+  }
+
+  /**
+   * メモ・出典等が 1 つでも記録されているか
+   * @returns {boolean}
+   */
+  hasMeta() {
+    return !!(this.note || this.source || this.author || this.reviewed);
+  }
+
   /**
    * 共通部分の JSON 化
    * @returns {any}
@@ -29,6 +81,10 @@ class Block {
       id: this.id,
       label: this.label,
       kind: this.kind,
+      note: this.note,
+      source: this.source,
+      author: this.author,
+      reviewed: this.reviewed,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -58,10 +114,151 @@ class Block {
 
 /**
  * 値を持つ Block の共通親（Word / Class）
+ *
+ * プロパティ:
+ * - tags: 一覧の整理用のタグ（例: ["構成要素A", "効果"]）。先頭のタグがフォルダとして使われる
+ * - revisions: 過去の定義（古い順、最大 BLOCK_REVISION_MAX 版）
  */
 class ValueBlock extends Block {
   constructor(id, label, kind) {
     super(id, label, kind);
+    this.tags = [];
+    /** @type {BlockRevision[]} */
+    this.revisions = [];
+    // recordRevision で控えた、操作前の定義（保存しない）
+    this._pendingRevision = null;
+  }
+
+  /**
+   * 定義を変える操作（編集の保存・再定義・統合など）の前に 1 回呼ぶ
+   * 現在の定義を控えておき、その後の更新で定義が実際に変わった時点で 1 版として残す。
+   * queryText・variants を続けて更新しても 1 操作 1 版になり、何も変わらなければ版は増えない。
+   */
+  recordRevision() {
+    this._pendingRevision = this.currentRevision();
+  }
+
+  /**
+   * 定義が変わる直前にサブクラスの更新メソッドから呼ぶ（控えた版があれば残す）
+   * @protected
+   */
+  _commitRevision() {
+    if (!this._pendingRevision) return;
+    this.revisions.push(this._pendingRevision);
+    this._pendingRevision = null;
+    if (this.revisions.length > BLOCK_REVISION_MAX) this.revisions.shift();
+  }
+
+  /**
+   * 現在の定義（版と同じ形）
+   * @returns {BlockRevision}
+   */
+  currentRevision() {
+    return Object.assign({ at: this.updatedAt }, this._captureDefinition());
+  }
+
+  /**
+   * 過去の版の定義に戻す（戻す前の定義も版として残るので、戻したことも取り消せる）
+   * expressionKey が変わるため、呼び出し後はリポジトリに upsert して索引を付け替えること。
+   * @param {number} index - revisions の添字
+   * @returns {BlockRevision} 戻した版
+   */
+  restoreRevision(index) {
+    const rev = this.revisions[index];
+    if (!rev) throw new Error(`${this.id} の版が見つかりません: ${index}`);
+    this.recordRevision();
+    this._applyDefinition(rev);
+    return rev;
+  }
+
+  /**
+   * 2 つの版の要素（Word は variants、分類は codes）の差分
+   * @param {BlockRevision} from
+   * @param {BlockRevision} to
+   * @returns {{added: string[], removed: string[]}} from → to で増えた要素・なくなった要素
+   */
+  diffRevisions(from, to) {
+    const before = this.getRevisionItems(from);
+    const after = this.getRevisionItems(to);
+    return {
+      added: after.filter((item) => !before.includes(item)),
+      removed: before.filter((item) => !after.includes(item))
+    };
+  }
+
+  /**
+   * 版の要素（差分の表示用。サブクラスで実装）
+   * @param {BlockRevision} rev
+   * @returns {string[]}
+   */
+  getRevisionItems(rev) {
+    return [];
+  }
+
+  /**
+   * @returns {Object} 版として残す定義（サブクラスで実装）
+   * @protected
+   */
+  _captureDefinition() {
+    return {};
+  }
+
+  /**
+   * @param {BlockRevision} rev
+   * @protected
+   */
+  _applyDefinition(rev) {}
+
+  /**
+   * タグを設定（前後の空白を除き、空・重複は取り除く）
+   * @param {string[]} tags
+   */
+  setTags(tags) {
+    this.tags = ValueBlock.normalizeTags(tags);
+    this.touchUpdated();
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {boolean}
+   */
+  hasTag(tag) {
+    return this.tags.includes(tag);
+  }
+
+  toJSON() {
+    const base = super.toJSON();
+    return Object.assign(base, {
+      tags: this.tags.slice(),
+      revisions: this.revisions.map((rev) => Object.assign({}, rev))
+    });
+  }
+
+  /**
+   * 保存データの版を読み込む（形の崩れたものは捨てる）
+   * @param {any} revisions
+   * @returns {BlockRevision[]}
+   */
+  static normalizeRevisions(revisions) {
+    if (!Array.isArray(revisions)) return [];
+    return revisions
+      .filter((rev) => rev && typeof rev === 'object' && typeof rev.at === 'number')
+      .slice(-BLOCK_REVISION_MAX)
+      .map((rev) => Object.assign({}, rev));
+  }
+
+  /**
+   * @param {any} tags
+   * @returns {string[]}
+   */
+  static normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const result = [];
+    tags.forEach((tag) => {
+      const trimmed = String(tag == null ? '' : tag).trim();
+      if (trimmed && !result.includes(trimmed)) result.push(trimmed);
+    });
+    return result;
   }
 }
 
@@ -121,6 +318,7 @@ class WordBlock extends ValueBlock {
   }
 
   updateQueryText(newText) {
+    if ((newText || '') !== this.queryText) this._commitRevision();
     this.queryText = newText || '';
     this.touchUpdated();
   }
@@ -139,7 +337,9 @@ class WordBlock extends ValueBlock {
    * @param {string[]} variants
    */
   updateVariants(variants) {
-    this.variants = Array.isArray(variants) ? variants : [];
+    const next = Array.isArray(variants) ? variants : [];
+    if (!sameItems(next, this.variants)) this._commitRevision();
+    this.variants = next;
     this.touchUpdated();
   }
 
@@ -165,6 +365,50 @@ class WordBlock extends ValueBlock {
     return countElements(this.queryText);
   }
 
+  getRevisionItems(rev) {
+    if (Array.isArray(rev.variants) && rev.variants.length) return rev.variants;
+    return rev.queryText ? [rev.queryText] : [];
+  }
+
+  /**
+   * variants が同じでも queryText が違う版（検索式だけを書き換えた版）は、queryText の語で比べる。
+   * 語の集まりも同じ（並び・空白だけの違い）なら queryText 全体を差分として返す。
+   * @param {BlockRevision} from
+   * @param {BlockRevision} to
+   * @returns {{added: string[], removed: string[]}}
+   */
+  diffRevisions(from, to) {
+    const diff = super.diffRevisions(from, to);
+    const before = from.queryText || '';
+    const after = to.queryText || '';
+    if (diff.added.length || diff.removed.length || before === after) return diff;
+
+    const beforeTerms = splitTopLevelByPlus(before);
+    const afterTerms = splitTopLevelByPlus(after);
+    const added = afterTerms.filter((item) => !beforeTerms.includes(item));
+    const removed = beforeTerms.filter((item) => !afterTerms.includes(item));
+    if (added.length || removed.length) return { added, removed };
+    return { added: after ? [after] : [], removed: before ? [before] : [] };
+  }
+
+  /** @protected */
+  _captureDefinition() {
+    return {
+      queryText: this.queryText,
+      variants: this.variants.slice(),
+      displayLabel: this.displayLabel,
+      expressionKey: this.expressionKey
+    };
+  }
+
+  /** @protected */
+  _applyDefinition(rev) {
+    this.updateQueryText(rev.queryText);
+    this.updateVariants(Array.isArray(rev.variants) ? rev.variants.slice() : []);
+    this.updateDisplayLabel(rev.displayLabel);
+    this.updateExpressionKey(rev.expressionKey);
+  }
+
   toJSON() {
     const base = super.toJSON();
     return Object.assign(base, {
@@ -190,6 +434,9 @@ class WordBlock extends ValueBlock {
       Array.isArray(obj.variants) ? obj.variants : [],
       obj.displayLabel || ''
     );
+    wb.tags = ValueBlock.normalizeTags(obj.tags);
+    wb.revisions = ValueBlock.normalizeRevisions(obj.revisions);
+    wb.setMeta(obj);
     wb.createdAt = obj.createdAt || Date.now();
     wb.updatedAt = obj.updatedAt || wb.createdAt;
     return wb;
@@ -256,7 +503,9 @@ class ClassBlock extends ValueBlock {
    * @param {string[]} codes
    */
   setCodes(codes) {
-    this.codes = Array.isArray(codes) ? codes : [];
+    const next = Array.isArray(codes) ? codes : [];
+    if (!sameItems(next, this.codes)) this._commitRevision();
+    this.codes = next;
     this._recalcExpressions();
     this.touchUpdated();
   }
@@ -279,6 +528,24 @@ class ClassBlock extends ValueBlock {
     return Array.isArray(this.codes) ? this.codes.length : 0;
   }
 
+  getRevisionItems(rev) {
+    return Array.isArray(rev.codes) ? rev.codes : [];
+  }
+
+  /** @protected */
+  _captureDefinition() {
+    return {
+      codes: this.codes.slice(),
+      expressionKey: this.expressionKey
+    };
+  }
+
+  /** @protected */
+  _applyDefinition(rev) {
+    this.setCodes(Array.isArray(rev.codes) ? rev.codes.slice() : []);
+    this.updateExpressionKey(rev.expressionKey);
+  }
+
   toJSON() {
     const base = super.toJSON();
     return Object.assign(base, {
@@ -302,6 +569,9 @@ class ClassBlock extends ValueBlock {
       Array.isArray(obj.codes) ? obj.codes : [],
       obj.expressionKey || ''
     );
+    cb.tags = ValueBlock.normalizeTags(obj.tags);
+    cb.revisions = ValueBlock.normalizeRevisions(obj.revisions);
+    cb.setMeta(obj);
     cb.createdAt = obj.createdAt || Date.now();
     cb.updatedAt = obj.updatedAt || cb.createdAt;
     // JSON に保存されている値があればそれを優先（なければ codes から再計算されたものが使われる）
@@ -343,6 +613,7 @@ class EquationBlock extends ExpressionBlock {
    * - Word のみ      → (WordExpr)/TX or WordExpr/TX
    * - Class のみ     → [(F)/CP+(F)/FI] or それを * で連結
    * - Word + Class   → Word部/TX * [(F)/CP+(F)/FI]*...
+   * - 論理差 (NOT)    → 残す側の式-除外する側の式（除外側が複合なら [] で囲む）
    *
    * - トップレベル OR（root が LogicalNode('+')）:
    *   * Word-only      → [E1/TX+E2/TX+...]
@@ -354,6 +625,23 @@ class EquationBlock extends ExpressionBlock {
   renderQuery(ctx) {
     if (!this.root) return '';
     ctx = ctx || new RenderContext(window.blockRepository || null);
+
+    // 循環参照している式（古い JSON など）は、再突入した時点で空として打ち切る
+    if (typeof ctx.enterBlock === 'function' && !ctx.enterBlock(this.id)) return '';
+    try {
+      return this._renderRootQuery(ctx);
+    } finally {
+      if (typeof ctx.leaveBlock === 'function') ctx.leaveBlock(this.id);
+    }
+  }
+
+  /**
+   * renderQuery の本体
+   * @param {RenderContext} ctx
+   * @returns {string}
+   * @private
+   */
+  _renderRootQuery(ctx) {
     const root = this.root;
 
     // --------------------------
@@ -378,8 +666,12 @@ class EquationBlock extends ExpressionBlock {
         typeSet.add(t);
       });
 
-      // Word+Class 混在 OR や mixed が含まれる場合は「通常式」として処理
-      if (typeSet.has('mixed') || (typeSet.has('word') && typeSet.has('class'))) {
+      // Word+Class 混在 OR や mixed、論理差（NOT）を含むブランチがある場合は「通常式」として処理
+      if (
+        typeSet.has('mixed') ||
+        (typeSet.has('word') && typeSet.has('class')) ||
+        partList.some(hasExclusionParts)
+      ) {
         const whole = translateExprToFieldParts(root, ctx);
         return renderFieldParts(whole);
       }
@@ -468,6 +760,10 @@ class EquationBlock extends ExpressionBlock {
    * @private
    */
   _extractTopLevelFactors(node) {
+    // 論理差は除外側を色付けしないので、残す側の因子だけを対象にする
+    if (node instanceof NotNode) {
+      return this._extractTopLevelFactors(node.include);
+    }
     if (node instanceof LogicalNode && node.op === '*') {
       return node.children || [];
     }
@@ -598,6 +894,7 @@ class EquationBlock extends ExpressionBlock {
   static fromJSON(obj) {
     const root = obj.root ? exprNodeFromJSON(obj.root) : null;
     const eb = new EquationBlock(obj.id, obj.label, root);
+    eb.setMeta(obj);
     eb.createdAt = obj.createdAt || Date.now();
     eb.updatedAt = obj.updatedAt || eb.createdAt;
     eb.canUseForProximity = !!obj.canUseForProximity;
@@ -618,34 +915,37 @@ class EquationBlock extends ExpressionBlock {
  * @property {number} k
  */
 
+/**
+ * レンダリング済みでそのまま出力する因子（論理差を含む OR など）
+ * @typedef {Object} RawTerm
+ * @property {'raw'} type
+ * @property {string} text
+ */
+
 /**
  * @typedef {Object} FieldParts
- * @property {(string|ProximityTerm)[]} w   - Word因子列 (AND結合)
+ * @property {(string|ProximityTerm|RawTerm)[]} w   - Word因子列 (AND結合)
  * @property {string[]}    c   - 分類式のリスト（1要素なら [F]、2つなら [F1,F2] → 積として扱われる）
+ * @property {string[]}    [n] - 除外式のリスト（レンダリング済み。"-" で末尾に連結される）
  */
 
 /**
- * ExprNode ツリーを FieldParts に翻訳
- * @param {ExprNode} node
- * @param {RenderContext} ctx
- * @returns {FieldParts}
+ * ExprNode → FieldParts の visitor（accept の arg に RenderContext を渡す）
+ * 状態を持たないので 1 つのインスタンスを使い回す。
  */
-function translateExprToFieldParts(node, ctx) {
-  /** @type {FieldParts} */
-  const empty = { w: [], c: [] };
-  if (!node) return empty;
-
-  const repo = ctx && ctx.repo ? ctx.repo : null;
-
-  // --------------------------
-  // WordTokenNode
-  // --------------------------
-  if (node instanceof WordTokenNode) {
+class FieldPartsVisitor extends ExprVisitor {
+  /**
+   * @param {WordTokenNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitWordToken(node, ctx) {
     const token = node.token || '';
-    if (!token) return empty;
+    if (!token) return { w: [], c: [] };
 
     let expr = token;
 
+    const repo = ctx && ctx.repo ? ctx.repo : null;
     if (repo && typeof repo.findWordBlockByToken === 'function') {
       const wb = repo.findWordBlockByToken(token);
       if (wb) {
@@ -660,10 +960,14 @@ function translateExprToFieldParts(node, ctx) {
     return { w: [expr], c: [] };
   }
 
-  // --------------------------
-  // BlockRefNode
-  // --------------------------
-  if (node instanceof BlockRefNode) {
+  /**
+   * @param {BlockRefNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitBlockRef(node, ctx) {
+    const empty = { w: [], c: [] };
+    const repo = ctx && ctx.repo ? ctx.repo : null;
     if (!repo) return empty;
     const blk = repo.get(node.blockId);
     if (!blk) return empty;
@@ -695,63 +999,89 @@ function translateExprToFieldParts(node, ctx) {
     if (blk.kind === 'EB') {
       const eb = blk;
       if (!eb.root) return empty;
-      return translateExprToFieldParts(eb.root, ctx);
+      // 循環参照している式ブロックは空として扱う
+      if (typeof ctx.enterBlock === 'function' && !ctx.enterBlock(eb.id)) return empty;
+      try {
+        return eb.root.accept(this, ctx);
+      } finally {
+        if (typeof ctx.leaveBlock === 'function') ctx.leaveBlock(eb.id);
+      }
     }
 
     return empty;
   }
 
-  // --------------------------
-  // LogicalNode（AND / OR）
-  // --------------------------
-  if (node instanceof LogicalNode) {
-    const op = node.op;
-    const children = Array.isArray(node.children) ? node.children : [];
-    const list = children.map((ch) => translateExprToFieldParts(ch, ctx));
-    if (list.length === 0) return empty;
+  /**
+   * 論理式（AND / OR）
+   * @param {LogicalNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitLogical(node, ctx) {
+    const list = node.children.map((ch) => ch.accept(this, ctx));
+    if (list.length === 0) return { w: [], c: [] };
 
-    if (op === '*') {
+    if (node.op === '*') {
       return combineFieldPartsProduct(list);
     }
-    if (op === '+') {
+    if (node.op === '+') {
       return combineFieldPartsOr(list, node, ctx);
     }
-    return empty;
+    return { w: [], c: [] };
+  }
+
+  /**
+   * 論理差（NOT）
+   * @param {NotNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitNot(node, ctx) {
+    const include = node.include ? node.include.accept(this, ctx) : { w: [], c: [] };
+    const exclude = node.exclude ? node.exclude.accept(this, ctx) : { w: [], c: [] };
+
+    // 除外側は独立した検索式としてレンダリングしておく
+    const excludeText = renderFieldParts(exclude);
+    const n = Array.isArray(include.n) ? [...include.n] : [];
+    if (excludeText) {
+      n.push(excludeText);
+    }
+
+    return { w: include.w || [], c: include.c || [], n };
   }
 
-  // --------------------------
-  // 2 要素近傍
-  // --------------------------
-  if (node instanceof ProximityNode) {
-    const ch = Array.isArray(node.children) ? node.children : [];
-    const left = ch[0] ? translateExprToFieldParts(ch[0], ctx) : empty;
-    const right = ch[1] ? translateExprToFieldParts(ch[1], ctx) : empty;
+  /**
+   * 2 要素近傍
+   * @param {ProximityNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitProximity(node, ctx) {
+    const empty = { w: [], c: [] };
+    const ch = node.children;
+    const left = ch[0] ? ch[0].accept(this, ctx) : empty;
+    const right = ch[1] ? ch[1].accept(this, ctx) : empty;
+
+    // 論理差は近傍の語に置けない（"A-B,10n,C" は検索式として成り立たない）
+    if (hasExclusionParts(left) || hasExclusionParts(right)) {
+      throw proximityExclusionError(node, ctx);
+    }
 
     // 分類が含まれている場合は近傍不可 -> 論理式フォールバック
-    if (
-      (left.c && left.c.length > 0) ||
-      (right.c && right.c.length > 0)
-    ) {
+    if ((left.c && left.c.length > 0) || (right.c && right.c.length > 0)) {
       const logical = node.renderLogical(ctx);
       if (!logical) return empty;
       return { w: [logical], c: [] };
     }
 
-    // 左辺・右辺の w を取得 (配列の先頭要素を使う、あるいは単純結合)
     // 近傍の左右は通常「単一の語」であることを期待するが、
     // 既に複合語(A+B)になっている場合は string として扱う。
-    // ProximityTerm がネストする場合の仕様は未定義だが、ここでは string 化して扱うか、
-    // 左辺だけは構造を維持するか...
-    // 仕様上、近傍は "Word NNn Word" なので、単純化して string を取り出す。
-    
-    const leftStr = left.w.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join('*'); 
-    // ↑仮の実装。ProximityTermがネストすることは想定外だが、もしあれば stringify などで逃げる
-    // 実際には left.w[0] が string であることを期待。
+    // ProximityTerm がネストすることは想定外なので、左辺は stringify で逃げ、右辺は捨てる。
+    const leftStr = left.w.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join('*');
 
     const rightStrs = right.w.map(item => {
       if (typeof item === 'string') return item;
-      // 右辺に ProximityTerm が来ることは仕様上ないはず (結合順序によるが)
-      return ''; 
+      return '';
     }).filter(s => s);
 
     if (!leftStr || rightStrs.length === 0) return empty;
@@ -767,22 +1097,19 @@ function translateExprToFieldParts(node, ctx) {
     return { w: [proxTerm], c: [] };
   }
 
-  // --------------------------
-  // 3 要素同時近傍
-  // --------------------------
-  if (node instanceof SimultaneousProximityNode) {
-    // SimultaneousProximityNode は現状 ProximityTerm で表現しきれないため
-    // 既存の論理式文字列生成ロジックを使うか、専用形式にする。
-    // C-2 の要求は「近傍ノードの結果を... ProximityTerm として保持」。
-    // 3要素近傍も {A,B,C},10n のように表現したい。
-    // しかし ProximityTerm は left / rightTerms 形式。
-    // ここでは単純化のため、SimultaneousProximityNode は w文字列 として返す(従来通り)。
-    // あるいは ProximityTerm を拡張して 'simultaneous' type を持たせる手もあるが
-    // renderFieldParts での対応が必要。今回は文字列で逃げる。
-    
-    const children = Array.isArray(node.children) ? node.children : [];
-    const parts = children.map((ch) => translateExprToFieldParts(ch, ctx));
+  /**
+   * 3 要素以上の同時近傍
+   * ProximityTerm（left / rightTerms）では表せないので、{A,B,C},10n の文字列として返す。
+   * @param {SimultaneousProximityNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitSimultaneousProximity(node, ctx) {
+    const parts = node.children.map((ch) => ch.accept(this, ctx));
 
+    if (parts.some(hasExclusionParts)) {
+      throw proximityExclusionError(node, ctx);
+    }
     if (parts.some((p) => p.c && p.c.length > 0)) {
       const logical = node.renderLogical(ctx);
       return { w: [logical], c: [] };
@@ -793,18 +1120,36 @@ function translateExprToFieldParts(node, ctx) {
       .map(item => typeof item === 'string' ? item : '')
       .filter((s) => s && s.length > 0)
       .join(',');
-    
+
     const proxExpr = `{${inner}},${node.k}n`;
     return { w: [proxExpr], c: [] };
   }
 
-  // --------------------------
-  // その他未知ノード
-  // --------------------------
-  const logical =
-    typeof node.renderLogical === 'function' ? node.renderLogical(ctx) : '';
-  if (!logical) return empty;
-  return { w: [logical], c: [] };
+  /**
+   * その他未知ノード（論理式の文字列として扱う）
+   * @param {ExprNode} node
+   * @param {RenderContext} ctx
+   * @returns {FieldParts}
+   */
+  visitNode(node, ctx) {
+    const logical =
+      typeof node.renderLogical === 'function' ? node.renderLogical(ctx) : '';
+    if (!logical) return { w: [], c: [] };
+    return { w: [logical], c: [] };
+  }
+}
+
+const FIELD_PARTS_VISITOR = new FieldPartsVisitor();
+
+/**
+ * ExprNode ツリーを FieldParts に翻訳
+ * @param {ExprNode} node
+ * @param {RenderContext} ctx
+ * @returns {FieldParts}
+ */
+function translateExprToFieldParts(node, ctx) {
+  if (!node) return { w: [], c: [] };
+  return node.accept(FIELD_PARTS_VISITOR, ctx);
 }
 
 /**
@@ -817,6 +1162,7 @@ function translateExprToFieldParts(node, ctx) {
 function combineFieldPartsProduct(list) {
   const wList = [];
   const cList = [];
+  const nList = [];
 
   list.forEach((p) => {
     if (p.w && p.w.length > 0) {
@@ -825,9 +1171,13 @@ function combineFieldPartsProduct(list) {
     if (p.c && p.c.length > 0) {
       cList.push(...p.c);
     }
+    // (A-B)*C は A*C-B と等価なので、除外式も連結してよい
+    if (p.n && p.n.length > 0) {
+      nList.push(...p.n);
+    }
   });
 
-  return { w: wList, c: cList };
+  return { w: wList, c: cList, n: nList };
 }
 
 /**
@@ -843,6 +1193,20 @@ function combineFieldPartsProduct(list) {
 function combineFieldPartsOr(list, node, ctx) {
   const empty = { w: [], c: [] };
 
+  // 論理差を含むブランチがある場合は共通項のくくり出しができないので、
+  // 各ブランチを独立した検索式としてレンダリングし [b1+b2+...] の 1 因子にする。
+  // 論理差を含むブランチはそれぞれ [] で囲む（[A-B+C] は A-(B+C) と読まれるため [[A-B]+C] とする）
+  if (list.some(hasExclusionParts)) {
+    const branches = list
+      .map((p) => {
+        const text = renderFieldParts(p);
+        return text && hasExclusionParts(p) ? wrapExclusionTerm(text) : text;
+      })
+      .filter((s) => s && s.length > 0);
+    if (branches.length === 0) return empty;
+    return { w: [{ type: 'raw', text: `[${branches.join('+')}]` }], c: [] };
+  }
+
   // 1. 全体の型判定
   const typeSet = new Set();
   list.forEach((p) => {
@@ -937,6 +1301,51 @@ function combineFieldPartsOr(list, node, ctx) {
   return { w: wFactors, c: mergedC };
 }
 
+/**
+ * FieldParts が論理差（除外式またはレンダリング済み因子）を含むか判定
+ * @param {FieldParts} parts
+ * @returns {boolean}
+ */
+function hasExclusionParts(parts) {
+  if (!parts) return false;
+  if (Array.isArray(parts.n) && parts.n.length > 0) return true;
+  return Array.isArray(parts.w) &&
+    parts.w.some((item) => item && typeof item === 'object' && item.type === 'raw');
+}
+
+/**
+ * 近傍のオペランドに論理差が含まれている場合のエラー
+ * 参照先の式ブロックに論理差がある場合も含むため、構文解析だけでは防ぎきれない。
+ * @param {ProximityBaseNode} node
+ * @param {RenderContext} ctx
+ * @returns {Error}
+ */
+function proximityExclusionError(node, ctx) {
+  return new Error(`近傍演算の語に論理差（-）は使えません: ${node.renderLogical(ctx)}`);
+}
+
+/**
+ * 除外式を "-" の右側に置けるよう、複合式なら [] で囲む
+ * トップレベルに + / * / - があれば複合式とみなす
+ * @param {string} text - レンダリング済みの除外式
+ * @returns {string}
+ */
+function wrapExclusionTerm(text) {
+  const s = (text || '').trim();
+  let depth = 0;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '(' || ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === '}' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && '+＋*-'.includes(ch)) {
+      return `[${s}]`;
+    }
+  }
+  return s;
+}
+
 /**
  * 文字列内の要素数をカウント（+ または ＋ で区切られた要素数）
  * 括弧の適用ルール判定に使用
@@ -967,6 +1376,16 @@ function countElements(text) {
   return count;
 }
 
+/**
+ * 2 つの文字列配列が順序も含めて同じか（定義が変わったかの判定に使用）
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameItems(a, b) {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
 /**
  * 要素数に基づいて適切な括弧付き/TX式を生成
  * @param {string} body - 本体文字列
@@ -1000,6 +1419,10 @@ function renderFieldParts(parts) {
   // wList は「積」の因子列。
   // 各因子について /TX 付与を行う。
   const renderedW = wList.map(item => {
+    if (typeof item === 'object' && item.type === 'raw') {
+      // RawTerm: レンダリング済みなのでそのまま
+      return item.text;
+    }
     if (typeof item === 'object' && item.type === 'prox') {
       // ProximityTerm: [left, mode, (right1+right2...)/TX]
       // 左辺と右辺それぞれに要素数判定を適用
@@ -1078,10 +1501,20 @@ function renderFieldParts(parts) {
     return `[${innerExpr}/CP+${innerExpr}/FI]`;
   }).join('*');
 
-  if (renderedW && renderedC) return `${renderedW}*${renderedC}`;
-  if (renderedW) return renderedW;
-  if (renderedC) return renderedC;
-  return '';
+  let included = '';
+  if (renderedW && renderedC) included = `${renderedW}*${renderedC}`;
+  else if (renderedW) included = renderedW;
+  else if (renderedC) included = renderedC;
+  if (!included) return '';
+
+  // 除外式（論理差）は末尾に "-" で連結
+  const nList = parts.n || [];
+  const renderedN = nList
+    .filter((s) => s && s.trim().length > 0)
+    .map((s) => `-${wrapExclusionTerm(s)}`)
+    .join('');
+
+  return `${included}${renderedN}`;
 }
 
 /* =========================================================
@@ -1118,6 +1551,37 @@ function splitTopLevelByStar(expr) {
   return result;
 }
 
+/**
+ * 最外周の括弧を外し、トップレベルの "+" / "＋" で式を分割する。
+ * 括弧 "( )" "{ }" "[ ]" の内側の "+" は無視する。
+ * @param {string} expr
+ * @returns {string[]}
+ */
+function splitTopLevelByPlus(expr) {
+  const body = stripOuterParens((expr || '').trim());
+  const result = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '(' || ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === '}' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+    } else if ((ch === '+' || ch === '＋') && depth === 0) {
+      const part = body.slice(start, i).trim();
+      if (part) result.push(part);
+      start = i + 1;
+    }
+  }
+
+  const last = body.slice(start).trim();
+  if (last) result.push(last);
+
+  return result;
+}
+
 /**
  * 文字列全体を包んでいる最外周の括弧 "( )" または "{ }" を可能な限り剥がす。
  * @param {string} s
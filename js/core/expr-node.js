@@ -6,6 +6,14 @@
  */
 
 /** export class */ class ExprNode {
+  constructor() {
+    /**
+     * パーサが付与する入力文字列上の範囲（プログラムで組み立てたノードは null）
+     * @type {{start: number, end: number}|null}
+     */
+    this.span = null;
+  }
+
   /**
    * 人間が読むための簡易論理式文字列を返す。
    * @param {import('./render-context.js').RenderContext} [ctx]
@@ -49,6 +57,17 @@
   clone() {
     throw new Error('clone() must be implemented by subclasses');
   }
+
+  /**
+   * ノードの種類に応じた visitor のメソッドを呼び出す（ダブルディスパッチ）。
+   * 新しい処理はノードクラスにメソッドを足さず、ExprVisitor として書ける。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg] - visitor に引き回す任意の値
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    throw new Error('accept() must be implemented by subclasses');
+  }
 }
 
 /**
@@ -77,6 +96,16 @@
   forEachChild(fn) {
     this.children.forEach(fn);
   }
+
+  /**
+   * 子ノードだけを差し替えた同じ種類の新しいノードを返す（自身は変更しない）。
+   * 入力上の範囲（span）は引き継ぐ。
+   * @param {ExprNode[]} children
+   * @returns {CompositeNode}
+   */
+  withChildren(children) {
+    throw new Error('withChildren() must be implemented by subclasses');
+  }
 }
 
 /**
@@ -141,6 +170,16 @@
   clone() {
     return new WordTokenNode(this.token);
   }
+
+  /**
+   * visitor.visitWordToken(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitWordToken(this, arg);
+  }
 }
 
 /**
@@ -200,6 +239,16 @@
   clone() {
     return new BlockRefNode(this.blockId);
   }
+
+  /**
+   * visitor.visitBlockRef(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitBlockRef(this, arg);
+  }
 }
 
 /**
@@ -218,12 +267,19 @@
 
   /**
    * 子ノードの論理表示を op で結合した文字列を返す。
+   * AND の子に OR がある場合と、子が論理差の場合（"-" の優先順位は最も低い）は括弧で囲む。
    * @param {import('./render-context.js').RenderContext} [ctx]
    * @returns {string}
    */
   renderLogical(ctx) {
     if (!this.children.length) return '';
-    const parts = this.children.map((c) => c.renderLogical(ctx));
+    const parts = this.children.map((c) => {
+      const text = c.renderLogical(ctx);
+      const grouped =
+        c instanceof NotNode ||
+        (this.op === '*' && c instanceof LogicalNode && c.op === '+' && c.children.length > 1);
+      return grouped ? `(${text})` : text;
+    });
     return parts.join(` ${this.op} `);
   }
 
@@ -263,6 +319,149 @@
     const clonedChildren = this.children.map((c) => c.clone());
     return new LogicalNode(this.op, clonedChildren);
   }
+
+  /**
+   * 子ノードだけを差し替えた新しい LogicalNode を返す（自身は変更しない）。
+   * @param {ExprNode[]} children
+   * @returns {LogicalNode}
+   */
+  withChildren(children) {
+    const node = new LogicalNode(this.op, children);
+    node.span = this.span;
+    return node;
+  }
+
+  /**
+   * visitor.visitLogical(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitLogical(this, arg);
+  }
+}
+
+/**
+ * 論理差（NOT）ノード A - B
+ * 「include に該当し、かつ exclude に該当しない」を表す 2 項演算。
+ * J-PlatPat の "-" 演算子に対応する。
+ */
+/** export class */ class NotNode extends CompositeNode {
+  /**
+   * @param {ExprNode} include - 残す側の式
+   * @param {ExprNode} exclude - 除外する側の式
+   */
+  constructor(include, exclude) {
+    super([include, exclude]);
+  }
+
+  /**
+   * 残す側の式
+   * @returns {ExprNode}
+   */
+  get include() {
+    return this.children[0];
+  }
+
+  /**
+   * 除外する側の式
+   * @returns {ExprNode}
+   */
+  get exclude() {
+    return this.children[1];
+  }
+
+  /**
+   * 左/右を論理表示し、"A - B" の形で返す。
+   * 左右が和・積・論理差なら括弧で囲む（"(A - B) * C" や "A - (B + C)" と読み違えないように）。
+   * @param {import('./render-context.js').RenderContext} [ctx]
+   * @returns {string}
+   */
+  renderLogical(ctx) {
+    const render = (c) => {
+      if (!c) return '';
+      const text = c.renderLogical(ctx);
+      const grouped = c instanceof NotNode || (c instanceof LogicalNode && c.children.length > 1);
+      return grouped ? `(${text})` : text;
+    };
+    return `${render(this.children[0])} - ${render(this.children[1])}`;
+  }
+
+  /**
+   * 左/右を検索式として展開し、括弧付きで返す。
+   * @param {import('./render-context.js').RenderContext} ctx
+   * @returns {string}
+   */
+  renderQuery(ctx) {
+    const left = this.children[0]?.renderQuery(ctx) ?? '';
+    const right = this.children[1]?.renderQuery(ctx) ?? '';
+    return `(${left} - ${right})`;
+  }
+
+  /**
+   * 左右の子ノードに collectWordTokens を委譲する。
+   * @param {Set<string>} targetSet
+   */
+  collectWordTokens(targetSet) {
+    this.forEachChild((child) => child.collectWordTokens(targetSet));
+  }
+
+  /**
+   * 左右の子ノードに collectBlockRefIds を委譲する。
+   * @param {Set<string>} targetSet
+   */
+  collectBlockRefIds(targetSet) {
+    this.forEachChild((child) => child.collectBlockRefIds(targetSet));
+  }
+
+  /**
+   * 左右ノードを clone した新しい NotNode を返す。
+   * @returns {NotNode}
+   */
+  clone() {
+    const includeClone = this.children[0]?.clone();
+    const excludeClone = this.children[1]?.clone();
+    return new NotNode(includeClone, excludeClone);
+  }
+
+  /**
+   * 子ノードだけを差し替えた新しい NotNode を返す（自身は変更しない）。
+   * @param {ExprNode[]} children
+   * @returns {NotNode}
+   */
+  withChildren(children) {
+    const node = new NotNode(children[0], children[1]);
+    node.span = this.span;
+    return node;
+  }
+
+  /**
+   * visitor.visitNot(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitNot(this, arg);
+  }
+}
+
+/**
+ * 近傍の語を論理表示する
+ * 語は 1 項（語・括弧・{ } の同時近傍）として読まれるので、和・積・2 要素近傍は括弧で囲む。
+ * @param {ExprNode|undefined} node
+ * @param {import('./render-context.js').RenderContext} [ctx]
+ * @returns {string}
+ */
+function renderProximityOperand(node, ctx) {
+  if (!node) return '';
+  const text = node.renderLogical(ctx);
+  const grouped =
+    node instanceof CompositeNode &&
+    !(node instanceof SimultaneousProximityNode) &&
+    !(node instanceof LogicalNode && node.children.length <= 1);
+  return grouped ? `(${text})` : text;
 }
 
 /**
@@ -296,14 +495,14 @@
   }
 
   /**
-   * 左/右を論理表示し、"A,10n,B" の形で返す。
+   * 左/右を論理表示し、"A,10n,B" の形で返す（複合式の語は括弧で囲む）。
    * @param {import('./render-context.js').RenderContext} [ctx]
    * @returns {string}
    */
   renderLogical(ctx) {
     const suffix = this.mode === 'NNc' ? 'c' : 'n';
-    const left = this.children[0]?.renderLogical(ctx) ?? '';
-    const right = this.children[1]?.renderLogical(ctx) ?? '';
+    const left = renderProximityOperand(this.children[0], ctx);
+    const right = renderProximityOperand(this.children[1], ctx);
     return `${left},${this.k}${suffix},${right}`;
   }
 
@@ -344,6 +543,27 @@
     const rightClone = this.children[1]?.clone();
     return new ProximityNode(this.mode, this.k, leftClone, rightClone);
   }
+
+  /**
+   * 子ノードだけを差し替えた新しい ProximityNode を返す（自身は変更しない）。
+   * @param {ExprNode[]} children
+   * @returns {ProximityNode}
+   */
+  withChildren(children) {
+    const node = new ProximityNode(this.mode, this.k, children[0], children[1]);
+    node.span = this.span;
+    return node;
+  }
+
+  /**
+   * visitor.visitProximity(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitProximity(this, arg);
+  }
 }
 
 /**
@@ -366,7 +586,7 @@
    * @returns {string}
    */
   renderLogical(ctx) {
-    const inner = this.children.map((c) => c.renderLogical(ctx)).join(',');
+    const inner = this.children.map((c) => renderProximityOperand(c, ctx)).join(',');
     return `{${inner}},${this.k}n`;
   }
 
@@ -405,44 +625,261 @@
     const clonedChildren = this.children.map((c) => c.clone());
     return new SimultaneousProximityNode(this.k, clonedChildren);
   }
+
+  /**
+   * 子ノードだけを差し替えた新しい SimultaneousProximityNode を返す（自身は変更しない）。
+   * @param {ExprNode[]} children
+   * @returns {SimultaneousProximityNode}
+   */
+  withChildren(children) {
+    const node = new SimultaneousProximityNode(this.k, children);
+    node.span = this.span;
+    return node;
+  }
+
+  /**
+   * visitor.visitSimultaneousProximity(this, arg) を呼び出す。
+   * @param {ExprVisitor} visitor
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  accept(visitor, arg) {
+    return visitor.visitSimultaneousProximity(this, arg);
+  }
 }
 
+// ========================================
+// Visitor / 走査 / 書き換え
+// ========================================
+
 /**
- * AST ノードを JSON シリアライズするユーティリティ。
- * @param {ExprNode} node
- * @returns {any}
+ * AST の visitor 基底クラス
+ * 既定の各 visitXxx は visitNode に委譲するので、必要な種類だけを上書きすればよい。
+ *
+ * 例: 語の数を数える
+ *   class WordCounter extends ExprVisitor {
+ *     visitNode(node) { return (node.children || []).reduce((n, c) => n + c.accept(this), 0); }
+ *     visitWordToken() { return 1; }
+ *   }
  */
-/** export function*/ function exprNodeToJSON(node) {
-  if (node instanceof WordTokenNode) {
+/** export class */ class ExprVisitor {
+  /**
+   * 個別のメソッドが上書きされていない種類のノードで呼ばれる。
+   * @param {ExprNode} node
+   * @param {*} [arg]
+   * @returns {*}
+   */
+  visitNode(node, arg) {
+    return undefined;
+  }
+
+  /** @param {WordTokenNode} node @param {*} [arg] */
+  visitWordToken(node, arg) {
+    return this.visitNode(node, arg);
+  }
+
+  /** @param {BlockRefNode} node @param {*} [arg] */
+  visitBlockRef(node, arg) {
+    return this.visitNode(node, arg);
+  }
+
+  /** @param {LogicalNode} node @param {*} [arg] */
+  visitLogical(node, arg) {
+    return this.visitNode(node, arg);
+  }
+
+  /** @param {NotNode} node @param {*} [arg] */
+  visitNot(node, arg) {
+    return this.visitNode(node, arg);
+  }
+
+  /** @param {ProximityNode} node @param {*} [arg] */
+  visitProximity(node, arg) {
+    return this.visitNode(node, arg);
+  }
+
+  /** @param {SimultaneousProximityNode} node @param {*} [arg] */
+  visitSimultaneousProximity(node, arg) {
+    return this.visitNode(node, arg);
+  }
+}
+
+/**
+ * 走査中のノードの位置情報（根からの経路）
+ */
+/** export class */ class ExprPath {
+  /**
+   * @param {ExprNode} node
+   * @param {ExprPath|null} parent - 親ノードの経路（根なら null）
+   * @param {number} index - 親の children 内での位置（根なら -1）
+   */
+  constructor(node, parent, index) {
+    this.node = node;
+    this.parent = parent || null;
+    this.index = parent ? index : -1;
+    this.depth = parent ? parent.depth + 1 : 0;
+  }
+
+  /**
+   * 親ノード（根なら null）
+   * @returns {ExprNode|null}
+   */
+  get parentNode() {
+    return this.parent ? this.parent.node : null;
+  }
+
+  /**
+   * 根から自身の親までのノード（根が先頭）
+   * @returns {ExprNode[]}
+   */
+  ancestors() {
+    const list = [];
+    for (let p = this.parent; p; p = p.parent) list.unshift(p.node);
+    return list;
+  }
+
+  /**
+   * 根から辿る children の添字列（根なら空配列）
+   * @returns {number[]}
+   */
+  indices() {
+    const list = [];
+    for (let p = this; p.parent; p = p.parent) list.unshift(p.index);
+    return list;
+  }
+}
+
+/**
+ * walkExpr の enter が返せる制御値
+ * - SKIP: このノードの子を辿らない
+ * - STOP: 走査全体を打ち切る
+ */
+/** export const */ const ExprWalk = Object.freeze({
+  SKIP: 'skip',
+  STOP: 'stop'
+});
+
+/**
+ * AST を深さ優先で走査する。
+ * visitor は関数（enter として扱う）か { enter, leave } を渡す。
+ * enter は子より先、leave は子の後に呼ばれる。
+ *
+ * @param {ExprNode|null} root
+ * @param {((node: ExprNode, path: ExprPath) => (string|void))|{enter?: (node: ExprNode, path: ExprPath) => (string|void), leave?: (node: ExprNode, path: ExprPath) => (string|void)}} visitor
+ * @returns {boolean} 最後まで走査したら true、STOP で打ち切ったら false
+ */
+/** export function*/ function walkExpr(root, visitor) {
+  const enter = typeof visitor === 'function' ? visitor : visitor && visitor.enter;
+  const leave = typeof visitor === 'function' ? null : visitor && visitor.leave;
+
+  const visit = (node, path) => {
+    const action = enter ? enter(node, path) : undefined;
+    if (action === ExprWalk.STOP) return false;
+    if (action !== ExprWalk.SKIP && node instanceof CompositeNode) {
+      for (let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        if (!child) continue;
+        if (!visit(child, new ExprPath(child, path, i))) return false;
+      }
+    }
+    return !(leave && leave(node, path) === ExprWalk.STOP);
+  };
+
+  if (!root) return true;
+  return visit(root, new ExprPath(root, null, -1));
+}
+
+/**
+ * AST を書き換えた新しい木を返す（元の木は変更しない）。
+ * 子から先に fn を呼び（後順）、fn が ExprNode を返せばそのノードに置き換える。
+ * undefined を返したノードはそのまま残す。変化のない部分木は元のノードを共有する。
+ *
+ * @param {ExprNode|null} root
+ * @param {(node: ExprNode, path: ExprPath) => (ExprNode|void)} fn
+ *   node は子を書き換え済みのノード、path は元の木での位置
+ * @returns {ExprNode|null}
+ */
+/** export function*/ function transformExpr(root, fn) {
+  const visit = (node, path) => {
+    let current = node;
+    if (node instanceof CompositeNode) {
+      let changed = false;
+      const children = node.children.map((child, i) => {
+        if (!child) return child;
+        const next = visit(child, new ExprPath(child, path, i));
+        if (next !== child) changed = true;
+        return next;
+      });
+      if (changed) current = node.withChildren(children);
+    }
+    const replaced = fn(current, path);
+    return replaced instanceof ExprNode ? replaced : current;
+  };
+
+  if (!root) return root;
+  return visit(root, new ExprPath(root, null, -1));
+}
+
+/**
+ * AST → JSON 変換の visitor
+ */
+class ExprJSONVisitor extends ExprVisitor {
+  visitWordToken(node) {
     return { type: 'word', token: node.token };
   }
-  if (node instanceof BlockRefNode) {
+
+  visitBlockRef(node) {
     return { type: 'blockRef', blockId: node.blockId };
   }
-  if (node instanceof LogicalNode) {
+
+  visitLogical(node) {
     return {
       type: 'logical',
       op: node.op,
-      children: node.children.map(exprNodeToJSON),
+      children: node.children.map((c) => c.accept(this)),
     };
   }
-  if (node instanceof ProximityNode) {
+
+  visitNot(node) {
+    return {
+      type: 'not',
+      children: node.children.map((c) => c.accept(this)),
+    };
+  }
+
+  visitProximity(node) {
     return {
       type: 'proximity',
       mode: node.mode,
       k: node.k,
-      children: node.children.map(exprNodeToJSON),
+      children: node.children.map((c) => c.accept(this)),
     };
   }
-  if (node instanceof SimultaneousProximityNode) {
+
+  visitSimultaneousProximity(node) {
     return {
       type: 'simulProx',
       mode: node.mode,
       k: node.k,
-      children: node.children.map(exprNodeToJSON),
+      children: node.children.map((c) => c.accept(this)),
     };
   }
-  throw new Error('Unsupported ExprNode subtype in exprNodeToJSON');
+
+  visitNode() {
+    throw new Error('Unsupported ExprNode subtype in exprNodeToJSON');
+  }
+}
+
+/**
+ * AST ノードを JSON シリアライズするユーティリティ。
+ * @param {ExprNode} node
+ * @returns {any}
+ */
+/** export function*/ function exprNodeToJSON(node) {
+  if (!(node instanceof ExprNode)) {
+    throw new Error('Unsupported ExprNode subtype in exprNodeToJSON');
+  }
+  return node.accept(new ExprJSONVisitor());
 }
 
 /**
@@ -466,6 +903,11 @@
           ? obj.children.map(exprNodeFromJSON)
           : []
       );
+    case 'not':
+      return new NotNode(
+        exprNodeFromJSON(obj.children[0]),
+        exprNodeFromJSON(obj.children[1])
+      );
     case 'proximity':
       return new ProximityNode(
         obj.mode,
@@ -492,9 +934,16 @@ window.CompositeNode = CompositeNode;
 window.WordTokenNode = WordTokenNode;
 window.BlockRefNode = BlockRefNode;
 window.LogicalNode = LogicalNode;
+window.NotNode = NotNode;
 window.ProximityBaseNode = ProximityBaseNode;
 window.ProximityNode = ProximityNode;
 window.SimultaneousProximityNode = SimultaneousProximityNode;
 
+window.ExprVisitor = ExprVisitor;
+window.ExprPath = ExprPath;
+window.ExprWalk = ExprWalk;
+window.walkExpr = walkExpr;
+window.transformExpr = transformExpr;
+
 window.exprNodeToJSON = exprNodeToJSON;
 window.exprNodeFromJSON = exprNodeFromJSON;
\ No newline at end of file
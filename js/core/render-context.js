@@ -7,6 +7,38 @@ class RenderContext {
    */
   constructor(blockRepository) {
     this.repo = blockRepository;
+    /** @type {Set<string>} 展開中の式ブロック ID（循環参照の検出用） */
+    this.expandingIds = new Set();
+    /** @type {Set<string>} 警告済みの循環参照ブロック ID */
+    this.reportedCycleIds = new Set();
+  }
+
+  /**
+   * 式ブロックの展開を始める。
+   * 展開中のブロックに再び入ろうとした場合（循環参照）は false を返すので、
+   * 呼び出し側はそのブロックを空として扱い、展開を打ち切る。
+   * @param {string} blockId
+   * @returns {boolean}
+   */
+  enterBlock(blockId) {
+    if (!blockId) return true;
+    if (this.expandingIds.has(blockId)) {
+      if (!this.reportedCycleIds.has(blockId)) {
+        this.reportedCycleIds.add(blockId);
+        console.warn(`式ブロック ${blockId} が循環参照しているため、展開を打ち切りました。`);
+      }
+      return false;
+    }
+    this.expandingIds.add(blockId);
+    return true;
+  }
+
+  /**
+   * enterBlock で始めた展開を終える
+   * @param {string} blockId
+   */
+  leaveBlock(blockId) {
+    if (blockId) this.expandingIds.delete(blockId);
   }
 
   /**
@@ -7,6 +7,11 @@
 // - ただし、式の境界の直後に現れる "/TX", "/CP", "/FI" などは FIELD として扱う
 //   → ")/TX", " + /CP" など
 // - 数字から始まる "10n", "5c" は PROX トークン
+// - 半角 "-" は語の途中でも常に MINUS（論理差 / NOT）として扱う（J-PlatPat と同じ解釈）
+//   → "A-B", "A+B-C", "基地局/TX-端末/TX" の "-" はすべて MINUS
+//   → "Wi-Fi" のようなハイフンを含む語は全角 "－" で書く（"Wi－Fi" は IDENT のまま）
+// - "[" / "]" は J-PlatPat 検索式（[A,10n,B/TX] など）のために個別トークンにする
+// - PROX 直後の "/TX" も FIELD として扱う（{A,B,C},10n/TX）
 
 // import { TokenType, Token } from './token.js';
 
@@ -19,15 +24,31 @@ class Lexer {
     this.input = input || '';
     this.index = 0;
     this.length = this.input.length;
+    // 直前に返したトークンの種別（PROX 直後のフィールド判定用）
+    this.lastTokenType = null;
   }
 
   /**
    * 現在位置から次のトークンを読み取り、インデックスを進める。
+   * トークンには入力文字列上の開始・終了オフセットを記録する。
    * @returns {Token}
    */
   nextToken() {
     this.skipWhitespace();
 
+    const start = this.index;
+    const token = this.scanToken();
+    token.start = start;
+    token.end = this.index;
+    this.lastTokenType = token.type;
+    return token;
+  }
+
+  /**
+   * 空白を読み飛ばした位置から 1 トークン分を読み取る（位置情報は nextToken 側で付与）。
+   * @returns {Token}
+   */
+  scanToken() {
     if (this.index >= this.length) {
       return new Token(TokenType.EOF, '');
     }
@@ -43,6 +64,10 @@ class Lexer {
       this.advance();
       return new Token(TokenType.STAR, '*');
     }
+    if (ch === '-') {
+      this.advance();
+      return new Token(TokenType.MINUS, '-');
+    }
     if (ch === ',') {
       this.advance();
       return new Token(TokenType.COMMA, ',');
@@ -63,6 +88,14 @@ class Lexer {
       this.advance();
       return new Token(TokenType.RBRACE, '}');
     }
+    if (ch === '[') {
+      this.advance();
+      return new Token(TokenType.LBRACKET, '[');
+    }
+    if (ch === ']') {
+      this.advance();
+      return new Token(TokenType.RBRACKET, ']');
+    }
     if (ch === '=') {
       this.advance();
       return new Token(TokenType.ASSIGN, '=');
@@ -73,7 +106,8 @@ class Lexer {
       const prev = this.peekPrevNonWhitespaceChar();
       const next = this.peekChar(1);
       const isFieldStart =
-        this.isFieldBoundary(prev) && this.isAlpha(next);
+        (this.isFieldBoundary(prev) || this.lastTokenType === TokenType.PROX) &&
+        this.isAlpha(next);
 
       if (isFieldStart) {
         return this.readField();
@@ -214,13 +248,14 @@ class Lexer {
    * トークンを区切るセパレータかどうか。
    * 空白 + 明示的な演算子・記号類。
    * "/" はここには含めない → "H04W16/24" は1トークン。
+   * "-" は含める → "A-B" は IDENT, MINUS, IDENT。
    * @param {string} ch
    * @returns {boolean}
    */
   isSeparator(ch) {
     if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') return true;
     // これらは個別のトークンとして扱う
-    if ('+*(),{}='.includes(ch)) return true;
+    if ('+*-(),{}[]='.includes(ch)) return true;
     return false;
   }
 
@@ -243,14 +278,14 @@ class Lexer {
 
   /**
    * 直前文字が「フィールド開始にふさわしい境界」かどうか。
-   * 例: null (先頭), 空白, "+", "*", "(", ")", "{", "}", ",", "="
+   * 例: null (先頭), 空白, "+", "*", "-", "(", ")", "{", "}", "[", "]", ",", "="
    * @param {string|null} prev
    * @returns {boolean}
    */
   isFieldBoundary(prev) {
     if (prev == null) return true;
     if (prev === ' ' || prev === '\t' || prev === '\r' || prev === '\n') return true;
-    if ('+*(),{}='.includes(prev)) return true;
+    if ('+*-(),{}[]='.includes(prev)) return true;
     return false;
   }
 }
@@ -0,0 +1,69 @@
+// js/parser/parse-error.js
+// 構文解析エラー（コード・メッセージ・位置を持つ構造化診断）
+
+/**
+ * 診断コード
+ */
+// export const ParseErrorCode = {
+const ParseErrorCode = {
+  UNEXPECTED_TOKEN: 'unexpected-token',    // 式の途中・末尾に想定外のトークン
+  UNEXPECTED_END: 'unexpected-end',        // 式が途中で終わっている
+  EXPECTED_TOKEN: 'expected-token',        // ")" や "," など必須トークンの欠落
+  INVALID_PROX_SPEC: 'invalid-prox-spec',  // "10n" / "5c" 以外の近傍指定
+  UNSUPPORTED_PROX_MODE: 'unsupported-prox-mode', // 3要素同時近傍での NNc 指定など
+  EXCLUSION_IN_PROX: 'exclusion-in-prox',  // 近傍のオペランドに論理差（A-B）を含む
+};
+
+/**
+ * UI などに渡すための診断オブジェクト
+ * @typedef {Object} ParseDiagnostic
+ * @property {string} code - ParseErrorCode のいずれか
+ * @property {string} message
+ * @property {import('./token.js').SourceSpan} span
+ */
+
+// export class ParseError extends Error {
+class ParseError extends Error {
+  /**
+   * @param {string} code - ParseErrorCode のいずれか
+   * @param {string} message
+   * @param {import('./token.js').SourceSpan} span - 問題のある範囲
+   */
+  constructor(code, message, span) {
+    super(message);
+    this.name = 'ParseError';
+    this.code = code;
+    this.span = span || { start: 0, end: 0 };
+  }
+
+  /**
+   * プレーンな診断オブジェクトに変換する。
+   * @returns {ParseDiagnostic}
+   */
+  toDiagnostic() {
+    return {
+      code: this.code,
+      message: this.message,
+      span: { start: this.span.start, end: this.span.end },
+    };
+  }
+}
+
+/**
+ * 1 つの式で見つかった複数の構文エラー（Parser.parseLineRecovering の結果）をまとめて投げる
+ */
+// export class ParseErrorList extends Error {
+class ParseErrorList extends Error {
+  /**
+   * @param {ParseDiagnostic[]} diagnostics - 1 件以上
+   */
+  constructor(diagnostics) {
+    super(diagnostics.map((d) => d.message).join(' / '));
+    this.name = 'ParseErrorList';
+    this.diagnostics = diagnostics;
+  }
+}
+
+window.ParseErrorCode = ParseErrorCode;
+window.ParseError = ParseError;
+window.ParseErrorList = ParseErrorList;
@@ -4,14 +4,24 @@
 // - H04W16/24 のような分類コードは Lexer 側で IDENT("H04W16/24") になる前提。
 // - /TX, /CP, /FI は FIELD トークンとして末尾に 1 個だけ現れる想定。
 // - PROX ("10n","5c") は PROX トークンとして扱う。
+// - MINUS ("-") は論理差（NOT）。優先順位は最も低い（A+B-C → (A+B)-C）。
+//   語の途中の "-" も Lexer が MINUS にする（ハイフンを含む語は全角 "－" で書く）。
+// - 生成した AST ノードには入力文字列上の範囲 span = { start, end } を付ける。
+// - 構文エラーは ParseError（code, message, span）として投げる。
+// - parseLineRecovering() は最初のエラーで止まらず、+ * - ) } で同期し直して
+//   すべての診断と、解析できた部分だけからなる AST を返す。
 
 // import { Lexer } from './lexer.js';
 // import { TokenType } from './token.js';
+// import { ParseError, ParseErrorCode } from './parse-error.js';
 // import {
 //   WordTokenNode,
 //   LogicalNode,
+//   NotNode,
 //   ProximityNode,
 //   SimultaneousProximityNode,
+//   walkExpr,
+//   ExprWalk,
 // } from '../core/expr-node.js';
 
 // export class Parser {
@@ -32,6 +42,15 @@ class Parser {
 
     this.pos = 0;
     this.current = this.tokens[0];
+    // 直前に消費したトークンの終了オフセット（ノードの span 計算用）
+    this.lastEnd = this.current.start;
+
+    // エラー回復モード（parseLineRecovering 中のみ true）
+    this.recovering = false;
+    /** @type {import('./parse-error.js').ParseDiagnostic[]} */
+    this.diagnostics = [];
+    // 現在開いている "(" の数（同期時に ")" で止まるかどうかの判定用）
+    this.parenDepth = 0;
   }
 
   /**
@@ -72,7 +91,8 @@ class Parser {
 
     // 末尾は EOF であることを期待
     if (this.current.type !== TokenType.EOF) {
-      throw new Error(
+      throw this.error(
+        ParseErrorCode.UNEXPECTED_TOKEN,
         `Unexpected token at end of line: ${this.current.text} (${this.current.type})`
       );
     }
@@ -83,6 +103,84 @@ class Parser {
     return result;
   }
 
+  /**
+   * parseLine のエラー回復版。
+   * 最初のエラーで止まらずに + * - ) } の位置で同期し直し、見つかったエラーを
+   * すべて diagnostics に集める。expr には解析できた部分だけからなる AST を返す
+   * （壊れたオペランドは取り除く。すべて壊れていれば null）。
+   *
+   * 例:
+   *   NB = 基地局+(eNB*)+gNB*{UE,端末},10n
+   *    → expr=(基地局+eNB+gNB), diagnostics=2 件
+   *
+   * @returns {{ name?: string, expr: import('../core/expr-node.js').ExprNode|null, field?: string, diagnostics: import('./parse-error.js').ParseDiagnostic[] }}
+   */
+  parseLineRecovering() {
+    this.recovering = true;
+    this.diagnostics = [];
+    this.parenDepth = 0;
+
+    let name;
+    let field;
+
+    if (
+      this.current.type === TokenType.IDENT &&
+      this.peek().type === TokenType.ASSIGN
+    ) {
+      name = this.current.text;
+      this.advance(); // IDENT
+      this.advance(); // '='
+    }
+
+    let expr = this.parseExpr();
+
+    // 式の後ろに余分なトークンが残っている場合（閉じ過ぎた ")" など）は
+    // 報告して読み飛ばし、演算子が続けばそれまでの式を左辺として解析を続ける
+    while (!this.match(TokenType.EOF) && !this.match(TokenType.FIELD)) {
+      this.report(
+        this.error(
+          ParseErrorCode.UNEXPECTED_TOKEN,
+          `Unexpected token: ${this.current.text} (${this.current.type})`
+        )
+      );
+      this.advance();
+      this.synchronize();
+
+      const opTok = this.current;
+      if (
+        this.match(TokenType.PLUS) ||
+        this.match(TokenType.STAR) ||
+        this.match(TokenType.MINUS)
+      ) {
+        this.advance();
+        // 優先順位は厳密には復元できないため、残り全体を右辺として結合する
+        const right = this.parseExpr();
+        expr = this.combine(opTok.type, expr, right);
+      }
+    }
+
+    if (this.match(TokenType.FIELD)) {
+      field = this.current.text;
+      this.advance();
+      if (!this.match(TokenType.EOF)) {
+        this.report(
+          this.error(
+            ParseErrorCode.UNEXPECTED_TOKEN,
+            `Unexpected token at end of line: ${this.current.text} (${this.current.type})`,
+            { start: this.current.start, end: this.tokens[this.tokens.length - 1].start }
+          )
+        );
+      }
+    }
+
+    this.recovering = false;
+
+    const result = { expr, diagnostics: this.diagnostics };
+    if (name) result.name = name;
+    if (field) result.field = field;
+    return result;
+  }
+
   // ==============================
   // 基本ヘルパ
   // ==============================
@@ -92,6 +190,7 @@ class Parser {
    * @returns {import('./token.js').Token}
    */
   advance() {
+    this.lastEnd = this.current.end;
     if (this.pos < this.tokens.length - 1) {
       this.pos += 1;
       this.current = this.tokens[this.pos];
@@ -122,7 +221,8 @@ class Parser {
   consume(expectedType, errorMessage) {
     const tok = this.current;
     if (tok.type !== expectedType) {
-      throw new Error(
+      throw this.error(
+        ParseErrorCode.EXPECTED_TOKEN,
         errorMessage ||
           `Expected token type ${expectedType} but got ${tok.type} (${tok.text})`
       );
@@ -131,6 +231,143 @@ class Parser {
     return tok;
   }
 
+  /**
+   * 現在トークン（または指定範囲）を指す ParseError を生成する。
+   * @param {string} code - ParseErrorCode のいずれか
+   * @param {string} message
+   * @param {import('./token.js').SourceSpan} [span] - 省略時は現在トークンの範囲
+   * @returns {ParseError}
+   */
+  error(code, message, span) {
+    return new ParseError(code, message, span || this.current.span);
+  }
+
+  /**
+   * 回復モード用: エラーを診断として記録する。
+   * @param {ParseError} err
+   */
+  report(err) {
+    this.diagnostics.push(err.toDiagnostic());
+  }
+
+  /**
+   * 回復モード用: 次の同期点までトークンを読み飛ばす。
+   * - + * - : 同じ位置で止まる（呼び出し側のループが続きを解析する）
+   * - )     : "(" の内側なら止まる。対応する "(" がなければ読み飛ばす
+   * - }     : 壊れた同時近傍の終わりとみなし、後続の ",10n" ごと読み飛ばして止まる
+   * - EOF, FIELD : 止まる
+   */
+  synchronize() {
+    while (!this.match(TokenType.EOF) && !this.match(TokenType.FIELD)) {
+      if (
+        this.match(TokenType.PLUS) ||
+        this.match(TokenType.STAR) ||
+        this.match(TokenType.MINUS)
+      ) {
+        return;
+      }
+      if (this.match(TokenType.RPAREN)) {
+        if (this.parenDepth > 0) return;
+        this.advance();
+        continue;
+      }
+      if (this.match(TokenType.RBRACE)) {
+        this.advance(); // '}'
+        if (this.match(TokenType.COMMA) && this.peek().type === TokenType.PROX) {
+          this.advance(); // ','
+          this.advance(); // PROX
+        }
+        return;
+      }
+      this.advance();
+    }
+  }
+
+  /**
+   * オペランドを 1 つ解析する。回復モードではエラーを記録して同期点まで
+   * 読み飛ばし、null を返す（通常モードではそのまま投げる）。
+   * @param {() => import('../core/expr-node.js').ExprNode} parseFn
+   * @returns {import('../core/expr-node.js').ExprNode|null}
+   */
+  parseOperand(parseFn) {
+    if (!this.recovering) {
+      return parseFn.call(this);
+    }
+    try {
+      return parseFn.call(this);
+    } catch (e) {
+      if (!(e instanceof ParseError)) throw e;
+      this.report(e);
+      this.synchronize();
+      return null;
+    }
+  }
+
+  /**
+   * 二項演算の結果ノードを作る。回復モードで片側が null（壊れたオペランド）の
+   * 場合はもう片方をそのまま返す。
+   * @param {string} opType - TokenType.PLUS / STAR / MINUS
+   * @param {import('../core/expr-node.js').ExprNode|null} left
+   * @param {import('../core/expr-node.js').ExprNode|null} right
+   * @param {number} [start] - span の開始位置（省略時は left の開始位置）
+   * @returns {import('../core/expr-node.js').ExprNode|null}
+   */
+  combine(opType, left, right, start) {
+    if (!left) return right;
+    if (!right) return left;
+
+    let node;
+    if (opType === TokenType.MINUS) {
+      node = new NotNode(left, right);
+    } else {
+      node = new LogicalNode(opType === TokenType.PLUS ? '+' : '*', [left, right]);
+    }
+    const from = start !== undefined ? start : left.span ? left.span.start : 0;
+    node.span = { start: from, end: right.span ? right.span.end : this.lastEnd };
+    return node;
+  }
+
+  /**
+   * 閉じ括弧を消費する。回復モードで見つからない場合はエラーを記録し、
+   * 対応する閉じ括弧（なければ行末）まで読み飛ばす。
+   * @param {string} closeType - TokenType.RPAREN / RBRACE
+   * @param {string} errorMessage
+   */
+  closeGroup(closeType, errorMessage) {
+    if (this.match(closeType) || !this.recovering) {
+      this.consume(closeType, errorMessage);
+      return;
+    }
+
+    this.report(this.error(ParseErrorCode.EXPECTED_TOKEN, errorMessage));
+
+    const openType = closeType === TokenType.RPAREN ? TokenType.LPAREN : TokenType.LBRACE;
+    let depth = 0;
+    while (!this.match(TokenType.EOF) && !this.match(TokenType.FIELD)) {
+      if (this.match(openType)) {
+        depth += 1;
+      } else if (this.match(closeType)) {
+        if (depth === 0) {
+          this.advance();
+          return;
+        }
+        depth -= 1;
+      }
+      this.advance();
+    }
+  }
+
+  /**
+   * start から直前に消費したトークンの末尾までを node.span として記録する。
+   * @param {import('../core/expr-node.js').ExprNode} node
+   * @param {number} start
+   * @returns {import('../core/expr-node.js').ExprNode}
+   */
+  finishNode(node, start) {
+    node.span = { start, end: this.lastEnd };
+    return node;
+  }
+
   /**
    * current.type === type かどうかを返す。
    * @param {string} type
@@ -145,11 +382,30 @@ class Parser {
   // ==============================
 
   /**
-   * OR, AND, 近傍を含む完全な式を解析。
+   * NOT, OR, AND, 近傍を含む完全な式を解析。
    * @returns {import('../core/expr-node.js').ExprNode}
    */
   parseExpr() {
-    return this.parseOrExpr();
+    return this.parseNotExpr();
+  }
+
+  /**
+   * or_expr ('-' or_expr)* を解析。
+   * 例: A+B-C → NotNode((A+B), C)、A-B-C → NotNode(NotNode(A, B), C)
+   * @returns {import('../core/expr-node.js').ExprNode}
+   */
+  parseNotExpr() {
+    const start = this.current.start;
+    let node = this.parseOrExpr();
+
+    while (this.match(TokenType.MINUS)) {
+      this.advance(); // '-'
+      const right = this.parseOrExpr();
+      // 左結合で NotNode を積み上げる
+      node = this.combine(TokenType.MINUS, node, right, start);
+    }
+
+    return node;
   }
 
   /**
@@ -157,13 +413,14 @@ class Parser {
    * @returns {import('../core/expr-node.js').ExprNode}
    */
   parseOrExpr() {
+    const start = this.current.start;
     let node = this.parseAndExpr();
 
     while (this.match(TokenType.PLUS)) {
       this.advance(); // '+'
       const right = this.parseAndExpr();
       // 左結合で LogicalNode を積み上げる
-      node = new LogicalNode('+', [node, right]);
+      node = this.combine(TokenType.PLUS, node, right, start);
     }
 
     return node;
@@ -174,12 +431,13 @@ class Parser {
    * @returns {import('../core/expr-node.js').ExprNode}
    */
   parseAndExpr() {
-    let node = this.parseProxExpr();
+    const start = this.current.start;
+    let node = this.parseOperand(this.parseProxExpr);
 
     while (this.match(TokenType.STAR)) {
       this.advance(); // '*'
-      const right = this.parseProxExpr();
-      node = new LogicalNode('*', [node, right]);
+      const right = this.parseOperand(this.parseProxExpr);
+      node = this.combine(TokenType.STAR, node, right, start);
     }
 
     return node;
@@ -192,6 +450,7 @@ class Parser {
    * @returns {import('../core/expr-node.js').ExprNode}
    */
   parseProxExpr() {
+    const start = this.current.start;
     // 左辺
     let left = this.parsePrimary();
 
@@ -208,8 +467,11 @@ class Parser {
       );
       const right = this.parsePrimary();
 
-      const { mode, k } = this.parseProxSpec(proxTok.text);
-      return new ProximityNode(mode, k, left, right);
+      const { mode, k } = this.parseProxSpec(proxTok);
+      // 回復モードで片側が壊れていた場合は近傍として組み立てない（診断は記録済み）
+      if (!left || !right) return null;
+      this.checkProxOperands([left, right]);
+      return this.finishNode(new ProximityNode(mode, k, left, right), start);
     }
 
     return left;
@@ -219,8 +481,9 @@ class Parser {
    * IDENT → WordTokenNode
    * ( expr ) → expr
    * {A,B,C},10n → SimultaneousProximityNode として扱う
+   * 回復モードで括弧の中身がすべて壊れていた場合は null を返す。
    *
-   * @returns {import('../core/expr-node.js').ExprNode}
+   * @returns {import('../core/expr-node.js').ExprNode|null}
    */
   parsePrimary() {
     const tok = this.current;
@@ -232,9 +495,14 @@ class Parser {
 
     if (this.match(TokenType.LPAREN)) {
       this.advance(); // '('
+      this.parenDepth += 1;
       const expr = this.parseExpr();
-      this.consume(TokenType.RPAREN, 'Expected ")" to close "("');
-      return expr;
+      this.closeGroup(TokenType.RPAREN, 'Expected ")" to close "("');
+      this.parenDepth -= 1;
+      // 回復モードで中身がすべて壊れていた場合（診断は記録済み）
+      if (!expr) return null;
+      // 括弧込みの範囲を式の span とする
+      return this.finishNode(expr, tok.start);
     }
 
     if (this.match(TokenType.IDENT)) {
@@ -245,23 +513,25 @@ class Parser {
       // 例:
       //  - "NB"           → WordBlock token
       //  - "H04W16/24"    → ClassBlock.codes の要素
-      return new WordTokenNode(tok.text);
+      return this.finishNode(new WordTokenNode(tok.text), tok.start);
     }
 
     if (this.match(TokenType.EOF) || this.match(TokenType.FIELD)) {
-      throw new Error('Unexpected end of expression');
+      throw this.error(ParseErrorCode.UNEXPECTED_END, 'Unexpected end of expression');
     }
 
-    throw new Error(
+    throw this.error(
+      ParseErrorCode.UNEXPECTED_TOKEN,
       `Unexpected token in primary: ${tok.text} (${tok.type})`
     );
   }
 
   /**
    * {A,B,C},10n のような 3要素同時近傍を primary として解析する。
-   * @returns {import('../core/expr-node.js').ExprNode}
+   * @returns {import('../core/expr-node.js').ExprNode|null}
    */
   parseSimultaneousProximityPrimary() {
+    const start = this.current.start;
     // 先頭 '{'
     this.consume(TokenType.LBRACE, 'Expected "{" to start simultaneous proximity');
 
@@ -279,25 +549,59 @@ class Parser {
       'Expected proximity spec (e.g. 10n) after "{A,B,C},"'
     );
 
-    const { mode, k } = this.parseProxSpec(proxTok.text);
+    const { mode, k } = this.parseProxSpec(proxTok);
 
     // 仕様上、3要素同時近傍は NNn のみ（段落近傍 NNc は不可）
     if (mode !== 'NNn') {
-      throw new Error('Simultaneous proximity supports NNn (n) only');
+      throw this.error(
+        ParseErrorCode.UNSUPPORTED_PROX_MODE,
+        'Simultaneous proximity supports NNn (n) only',
+        proxTok.span
+      );
     }
 
-    return new SimultaneousProximityNode(k, [first, second, third]);
+    if (!first || !second || !third) return null;
+    this.checkProxOperands([first, second, third]);
+
+    return this.finishNode(
+      new SimultaneousProximityNode(k, [first, second, third]),
+      start
+    );
   }
 
   /**
-   * "10n" / "5c" のような proximity 文字列から mode と k を取り出す。
-   * @param {string} text
+   * 近傍のオペランドに論理差が含まれていないかを確かめる。
+   * J-PlatPat の近傍検索は語の並びを指定するもので、"(A-B),10n,C" のような式は書けない。
+   * @param {import('../core/expr-node.js').ExprNode[]} operands
+   * @throws {ParseError} 論理差を含むオペランドがある場合
+   */
+  checkProxOperands(operands) {
+    operands.forEach((operand) => {
+      const hasNot = !walkExpr(operand, (node) => (node instanceof NotNode ? ExprWalk.STOP : undefined));
+      if (hasNot) {
+        throw this.error(
+          ParseErrorCode.EXCLUSION_IN_PROX,
+          'Exclusion ("-") cannot be used inside proximity',
+          operand.span
+        );
+      }
+    });
+  }
+
+  /**
+   * "10n" / "5c" のような proximity トークンから mode と k を取り出す。
+   * @param {import('./token.js').Token} proxTok
    * @returns {{ mode: "NNn"|"NNc", k: number }}
    */
-  parseProxSpec(text) {
+  parseProxSpec(proxTok) {
+    const text = proxTok.text;
     const m = /^(\d+)([nc])$/i.exec(text);
     if (!m) {
-      throw new Error(`Invalid proximity spec: ${text}`);
+      throw this.error(
+        ParseErrorCode.INVALID_PROX_SPEC,
+        `Invalid proximity spec: ${text}`,
+        proxTok.span
+      );
     }
     const k = parseInt(m[1], 10);
     const suffix = m[2].toLowerCase();
@@ -0,0 +1,434 @@
+// js/parser/query-parser.js
+// J-PlatPat 形式の検索式（EquationBlock.renderQuery の出力形式）を解析する構文解析器
+//
+// - Parser（定義スクリプト用）と同じ Lexer を使うが、文法は検索式側のもの:
+//     (A+B)/TX*[H04W16/24/CP+H04W16/24/FI]
+//     [A,10n,B/TX+C/TX]
+//     {A,B,C},10n/TX
+//     A/TX-[B/TX+C/TX]
+// - "/TX", "/CP", "/FI" はフィールド指定として直前の項・括弧グループに付く。
+//   "基地局/TX" のように語に直接付いたものは IDENT の末尾から切り出す。
+// - "[...]" はグループ化。ただし中身が "左辺,10n,右辺" なら近傍として扱い、
+//   右辺は "B/TX+C/TX" のような和全体とする（renderFieldParts の出力形式）。
+// - 結果はブロックに解決する前の QueryNode ツリー（フィールド付き）で返す。
+//   ブロックへの対応付けは ExpressionBlockConverter.importEquationFromQuery が行う。
+// - 構文エラーは ParseError（code, message, span）として投げる。
+
+// import { Lexer } from './lexer.js';
+// import { TokenType } from './token.js';
+// import { ParseError, ParseErrorCode } from './parse-error.js';
+
+/**
+ * 検索式の構文木ノード
+ *
+ * - term:   語・分類コード 1 つ（field は語に直接付いたフィールド）
+ * - tagged: "( ... )/TX" のように括弧グループに付いたフィールド
+ * - or / and: 和・積（children は 2 個以上）
+ * - not:    論理差（children = [残す側, 除外する側]）
+ * - prox:   2 要素近傍（left, right）
+ * - simul:  3 要素同時近傍（children）
+ *
+ * @typedef {Object} QueryNode
+ * @property {"term"|"tagged"|"or"|"and"|"not"|"prox"|"simul"} type
+ * @property {string} [text]
+ * @property {string|null} [field] - "/TX" | "/CP" | "/FI"
+ * @property {QueryNode} [child]
+ * @property {QueryNode[]} [children]
+ * @property {QueryNode} [left]
+ * @property {QueryNode} [right]
+ * @property {"NNn"|"NNc"} [mode]
+ * @property {number} [k]
+ * @property {boolean} [grouped] - "( )" / "[ ]" で囲まれていた
+ * @property {import('./token.js').SourceSpan} span
+ */
+
+// 語の末尾に直接付いたフィールド（例: "基地局/TX", "H04W16/24/CP"）
+const QUERY_FIELD_SUFFIX_RE = /^(.+?)(\/(?:TX|CP|FI))$/i;
+
+// export class QueryParser {
+class QueryParser {
+  /**
+   * @param {Lexer} lexer
+   */
+  constructor(lexer) {
+    this.lexer = lexer;
+
+    /** @type {import('./token.js').Token[]} */
+    this.tokens = [];
+    let t;
+    do {
+      t = this.lexer.nextToken();
+      this.tokens.push(t);
+    } while (t.type !== TokenType.EOF);
+
+    this.pos = 0;
+    this.current = this.tokens[0];
+    this.lastEnd = this.current.start;
+  }
+
+  /**
+   * 検索式全体を解析する。
+   * @returns {QueryNode}
+   */
+  parseQuery() {
+    if (this.match(TokenType.EOF)) {
+      throw this.error(ParseErrorCode.UNEXPECTED_END, 'Empty query');
+    }
+
+    const node = this.parseNotExpr();
+
+    if (!this.match(TokenType.EOF)) {
+      throw this.error(
+        ParseErrorCode.UNEXPECTED_TOKEN,
+        `Unexpected token at end of query: ${this.current.text} (${this.current.type})`
+      );
+    }
+    return node;
+  }
+
+  // ==============================
+  // 基本ヘルパ
+  // ==============================
+
+  /**
+   * @returns {import('./token.js').Token}
+   */
+  advance() {
+    this.lastEnd = this.current.end;
+    if (this.pos < this.tokens.length - 1) {
+      this.pos += 1;
+      this.current = this.tokens[this.pos];
+    }
+    return this.current;
+  }
+
+  /**
+   * @param {number} [offset=1]
+   * @returns {import('./token.js').Token}
+   */
+  peek(offset = 1) {
+    const idx = this.pos + offset;
+    if (idx < 0 || idx >= this.tokens.length) {
+      return this.tokens[this.tokens.length - 1];
+    }
+    return this.tokens[idx];
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean}
+   */
+  match(type) {
+    return this.current.type === type;
+  }
+
+  /**
+   * @param {string} expectedType
+   * @param {string} errorMessage
+   * @returns {import('./token.js').Token}
+   */
+  consume(expectedType, errorMessage) {
+    const tok = this.current;
+    if (tok.type !== expectedType) {
+      throw this.error(ParseErrorCode.EXPECTED_TOKEN, errorMessage);
+    }
+    this.advance();
+    return tok;
+  }
+
+  /**
+   * @param {string} code - ParseErrorCode のいずれか
+   * @param {string} message
+   * @param {import('./token.js').SourceSpan} [span] - 省略時は現在トークンの範囲
+   * @returns {ParseError}
+   */
+  error(code, message, span) {
+    return new ParseError(code, message, span || this.current.span);
+  }
+
+  /**
+   * start から直前に消費したトークンの末尾までを node.span として記録する。
+   * @param {QueryNode} node
+   * @param {number} start
+   * @returns {QueryNode}
+   */
+  finishNode(node, start) {
+    node.span = { start, end: this.lastEnd };
+    return node;
+  }
+
+  /**
+   * 現在トークンがフィールド指定なら消費してその値（"/TX" 等）を返す。
+   * PROX の直後以外で "/TX" が IDENT として切り出された場合も受け付ける。
+   * @returns {string|null}
+   */
+  matchField() {
+    if (this.match(TokenType.FIELD)) {
+      const field = this.current.text.toUpperCase();
+      this.advance();
+      return field;
+    }
+    if (this.match(TokenType.IDENT) && /^\/(TX|CP|FI)$/i.test(this.current.text)) {
+      const field = this.current.text.toUpperCase();
+      this.advance();
+      return field;
+    }
+    return null;
+  }
+
+  /**
+   * 同じ演算子の連鎖を 1 つの n 項ノードにまとめる（A+B+C → or[A,B,C]）。
+   * @param {"or"|"and"} type
+   * @param {QueryNode} left
+   * @param {QueryNode} right
+   * @param {number} start
+   * @returns {QueryNode}
+   */
+  combine(type, left, right, start) {
+    const children = left.type === type && !left.grouped ? [...left.children, right] : [left, right];
+    return this.finishNode({ type, children }, start);
+  }
+
+  // ==============================
+  // 式パーサ
+  // ==============================
+
+  /**
+   * or_expr ('-' or_expr)*
+   * @returns {QueryNode}
+   */
+  parseNotExpr() {
+    const start = this.current.start;
+    let node = this.parseOrExpr();
+
+    while (this.match(TokenType.MINUS)) {
+      this.advance(); // '-'
+      const right = this.parseOrExpr();
+      node = this.finishNode({ type: 'not', children: [node, right] }, start);
+    }
+    return node;
+  }
+
+  /**
+   * and_expr ('+' and_expr)*
+   * @returns {QueryNode}
+   */
+  parseOrExpr() {
+    const start = this.current.start;
+    let node = this.parseAndExpr();
+
+    while (this.match(TokenType.PLUS)) {
+      this.advance(); // '+'
+      const right = this.parseAndExpr();
+      node = this.combine('or', node, right, start);
+    }
+    return node;
+  }
+
+  /**
+   * prox_expr ('*' prox_expr)*
+   * @returns {QueryNode}
+   */
+  parseAndExpr() {
+    const start = this.current.start;
+    let node = this.parseProxExpr();
+
+    while (this.match(TokenType.STAR)) {
+      this.advance(); // '*'
+      const right = this.parseProxExpr();
+      node = this.combine('and', node, right, start);
+    }
+    return node;
+  }
+
+  /**
+   * 括弧なしの近傍 A,10n,B（右辺は 1 項のみ）
+   * @returns {QueryNode}
+   */
+  parseProxExpr() {
+    const start = this.current.start;
+    const left = this.parseTagged();
+
+    if (this.match(TokenType.COMMA) && this.peek().type === TokenType.PROX) {
+      this.advance(); // ','
+      const proxTok = this.current;
+      this.advance(); // PROX
+      this.consume(TokenType.COMMA, 'Expected "," after proximity specifier (e.g. 10n,)');
+      const right = this.parseTagged();
+      const { mode, k } = this.parseProxSpec(proxTok);
+      return this.finishNode({ type: 'prox', mode, k, left, right }, start);
+    }
+    return left;
+  }
+
+  /**
+   * primary [field]
+   * @returns {QueryNode}
+   */
+  parseTagged() {
+    const start = this.current.start;
+    const node = this.parsePrimary();
+    const field = this.matchField();
+    if (!field) return node;
+
+    if (node.type === 'term' && !node.field) {
+      node.field = field;
+      return this.finishNode(node, start);
+    }
+    return this.finishNode({ type: 'tagged', field, child: node }, start);
+  }
+
+  /**
+   * 語 / ( expr ) / [ expr ] / [ 左辺,10n,右辺 ] / {A,B,C},10n
+   * @returns {QueryNode}
+   */
+  parsePrimary() {
+    const tok = this.current;
+
+    if (this.match(TokenType.LBRACE)) {
+      return this.parseSimultaneousProximity();
+    }
+
+    if (this.match(TokenType.LPAREN)) {
+      this.advance(); // '('
+      const expr = this.parseNotExpr();
+      this.consume(TokenType.RPAREN, 'Expected ")" to close "("');
+      expr.grouped = true;
+      return this.finishNode(expr, tok.start);
+    }
+
+    if (this.match(TokenType.LBRACKET)) {
+      return this.parseBracket();
+    }
+
+    if (this.match(TokenType.IDENT)) {
+      this.advance();
+      const m = QUERY_FIELD_SUFFIX_RE.exec(tok.text);
+      const node = m
+        ? { type: 'term', text: m[1], field: m[2].toUpperCase() }
+        : { type: 'term', text: tok.text, field: null };
+      return this.finishNode(node, tok.start);
+    }
+
+    if (this.match(TokenType.EOF)) {
+      throw this.error(ParseErrorCode.UNEXPECTED_END, 'Unexpected end of query');
+    }
+
+    throw this.error(
+      ParseErrorCode.UNEXPECTED_TOKEN,
+      `Unexpected token in query: ${tok.text} (${tok.type})`
+    );
+  }
+
+  /**
+   * "[" から始まるグループ。トップレベルに ",10n," があれば近傍として解析する。
+   * @returns {QueryNode}
+   */
+  parseBracket() {
+    const start = this.current.start;
+    this.advance(); // '['
+
+    let node;
+    if (this.bracketHasProximity()) {
+      const left = this.parseTagged();
+      this.consume(TokenType.COMMA, 'Expected "," after left operand in "[A,10n,B]"');
+      const proxTok = this.consume(TokenType.PROX, 'Expected proximity spec (e.g. 10n or 5c)');
+      this.consume(TokenType.COMMA, 'Expected "," after proximity specifier (e.g. 10n,)');
+      // 右辺は "B/TX+C/TX" のような和全体
+      const right = this.parseOrExpr();
+      const { mode, k } = this.parseProxSpec(proxTok);
+      node = { type: 'prox', mode, k, left, right };
+    } else {
+      node = this.parseNotExpr();
+    }
+
+    this.consume(TokenType.RBRACKET, 'Expected "]" to close "["');
+    node.grouped = true;
+    return this.finishNode(node, start);
+  }
+
+  /**
+   * 現在位置（"[" の直後）から対応する "]" までの間に、
+   * 入れ子になっていない "," PROX が現れるかどうかを先読みで判定する。
+   * @returns {boolean}
+   */
+  bracketHasProximity() {
+    let depth = 0;
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      const t = this.tokens[i];
+      if (t.type === TokenType.LPAREN || t.type === TokenType.LBRACKET || t.type === TokenType.LBRACE) {
+        depth += 1;
+      } else if (t.type === TokenType.RPAREN || t.type === TokenType.RBRACE) {
+        depth -= 1;
+      } else if (t.type === TokenType.RBRACKET) {
+        if (depth === 0) return false;
+        depth -= 1;
+      } else if (t.type === TokenType.EOF) {
+        return false;
+      } else if (
+        depth === 0 &&
+        t.type === TokenType.COMMA &&
+        this.tokens[i + 1] &&
+        this.tokens[i + 1].type === TokenType.PROX
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * {A,B,C},10n（フィールドは parseTagged 側で拾う）
+   * @returns {QueryNode}
+   */
+  parseSimultaneousProximity() {
+    const start = this.current.start;
+    this.consume(TokenType.LBRACE, 'Expected "{" to start simultaneous proximity');
+
+    const children = [this.parseTagged()];
+    this.consume(TokenType.COMMA, 'Expected "," after first operand in "{A,B,C}"');
+    children.push(this.parseTagged());
+    this.consume(TokenType.COMMA, 'Expected "," after second operand in "{A,B,C}"');
+    children.push(this.parseTagged());
+    this.consume(TokenType.RBRACE, 'Expected "}" after third operand in "{A,B,C}"');
+
+    this.consume(TokenType.COMMA, 'Expected "," after "}" in "{A,B,C},10n"');
+    const proxTok = this.consume(
+      TokenType.PROX,
+      'Expected proximity spec (e.g. 10n) after "{A,B,C},"'
+    );
+    const { mode, k } = this.parseProxSpec(proxTok);
+
+    if (mode !== 'NNn') {
+      throw this.error(
+        ParseErrorCode.UNSUPPORTED_PROX_MODE,
+        'Simultaneous proximity supports NNn (n) only',
+        proxTok.span
+      );
+    }
+
+    return this.finishNode({ type: 'simul', k, children }, start);
+  }
+
+  /**
+   * "10n" / "5c" のような proximity トークンから mode と k を取り出す。
+   * @param {import('./token.js').Token} proxTok
+   * @returns {{ mode: "NNn"|"NNc", k: number }}
+   */
+  parseProxSpec(proxTok) {
+    const m = /^(\d+)([nc])$/i.exec(proxTok.text);
+    if (!m) {
+      throw this.error(
+        ParseErrorCode.INVALID_PROX_SPEC,
+        `Invalid proximity spec: ${proxTok.text}`,
+        proxTok.span
+      );
+    }
+    return {
+      mode: m[2].toLowerCase() === 'c' ? 'NNc' : 'NNn',
+      k: parseInt(m[1], 10),
+    };
+  }
+}
+
+window.QueryParser = QueryParser;
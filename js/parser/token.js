@@ -6,30 +6,52 @@ const TokenType = {
   IDENT: 'ident',
   PLUS: 'plus',
   STAR: 'star',
+  MINUS: 'minus',  // 論理差（NOT）
   COMMA: 'comma',
   LPAREN: 'lparen',
   RPAREN: 'rparen',
   LBRACE: 'lbrace',
   RBRACE: 'rbrace',
+  LBRACKET: 'lbracket', // [ （J-PlatPat 検索式のグループ・近傍）
+  RBRACKET: 'rbracket', // ]
   ASSIGN: 'assign',
   FIELD: 'field',  // /TX, /CP, /FI 等
   PROX: 'prox',    // 10n, 5c 等
   EOF: 'eof',
 };
 
+/**
+ * 入力文字列上の範囲（start は含む / end は含まない、0 始まりのオフセット）
+ * @typedef {Object} SourceSpan
+ * @property {number} start
+ * @property {number} end
+ */
+
 // export class Token {
 class Token {
   /**
    * @param {string} type - TokenType のいずれか
    * @param {string} text - 元の文字列
+   * @param {number} [start] - 入力文字列上の開始オフセット
+   * @param {number} [end] - 入力文字列上の終了オフセット（この位置は含まない）
    */
-  constructor(type, text) {
+  constructor(type, text, start, end) {
     this.type = type;
     this.text = text;
+    this.start = typeof start === 'number' ? start : -1;
+    this.end = typeof end === 'number' ? end : -1;
+  }
+
+  /**
+   * トークンの位置を SourceSpan として返す。
+   * @returns {SourceSpan}
+   */
+  get span() {
+    return { start: this.start, end: this.end };
   }
 
   toString() {
-    return `Token(${this.type}, "${this.text}")`;
+    return `Token(${this.type}, "${this.text}", ${this.start}-${this.end})`;
   }
 }
 
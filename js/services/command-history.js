@@ -0,0 +1,303 @@
+// js/services/command-history.js
+// リポジトリを変更する操作の履歴（元に戻す / やり直し）
+
+/**
+ * 履歴 1 件（操作で変わった部分だけを、操作の前後の JSON 文字列で持つ）
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - 表示用の操作名（例: "2近傍式「P2:A+B」を作成"）
+ * @property {number} at - 操作した日時
+ * @property {HistoryChange[]} changes - 変わったブロック
+ * @property {string|null} headBefore - ID の採番・設定（変わっていなければ null）
+ * @property {string|null} headAfter
+ * @property {string[]|null} orderBefore - ブロックの並び（末尾への追加しかなければ null）
+ * @property {string[]|null} orderAfter
+ */
+
+/**
+ * 1 ブロックの変更
+ * @typedef {Object} HistoryChange
+ * @property {string} id
+ * @property {string|null} before - 操作前のブロック JSON（操作で追加されたブロックなら null）
+ * @property {string|null} after - 操作後のブロック JSON（操作で削除されたブロックなら null）
+ */
+
+/**
+ * 履歴が把握しているリポジトリの状態（次の操作の前の状態として使い回す）
+ * @typedef {Object} HistoryState
+ * @property {string} head - ID の採番・設定の JSON
+ * @property {Map<string, string>} blocks - ブロック ID → JSON（リポジトリと同じ並び）
+ */
+
+// 保持する履歴の最大件数（古いものから捨てる）
+const HISTORY_MAX_ENTRIES = 100;
+
+class CommandHistory {
+  /**
+   * @param {BlockRepository} repo
+   */
+  constructor(repo) {
+    this.repo = repo;
+    /** @type {HistoryEntry[]} */
+    this.undoStack = [];
+    /** @type {HistoryEntry[]} */
+    this.redoStack = [];
+    /** 操作・取り消しの実行中（この間のリポジトリの変更は履歴の外の変更とみなさない） */
+    this.running = false;
+    /** @type {(() => void)|null} 履歴が変わったときの通知先 */
+    this.onChange = null;
+    /**
+     * 直前の操作の後の状態（操作ごとに全体を 2 回 JSON 化しないよう、次の操作の前の状態として使う）
+     * @type {HistoryState|null}
+     */
+    this.state = null;
+
+    // 履歴を経由しない変更（ワークスペースの切り替え等）があると前後の状態が食い違うため、履歴を消す
+    this.repo.addChangeListener(() => {
+      if (this.running) return;
+      this.state = null;
+      this.clear();
+    });
+  }
+
+  /**
+   * 操作を実行し、リポジトリが変わっていれば履歴に積む
+   * 操作が例外を投げた場合は、途中までの変更を取り消してから投げ直す。
+   * 操作の中から呼ばれた場合は外側の操作の一部として扱う（履歴は 1 件）。
+   *
+   * @param {string|((result: any) => string)} label - 関数の場合は操作の戻り値から操作名を作る
+   * @param {() => any} action
+   * @returns {any} action の戻り値
+   */
+  execute(label, action) {
+    if (this.running) return action();
+
+    const before = this.state || this._capture();
+    let result;
+    this.running = true;
+    try {
+      result = action();
+    } catch (e) {
+      this._restore(before);
+      throw e;
+    } finally {
+      this.running = false;
+    }
+
+    const after = this._capture();
+    this.state = after;
+    const entry = this._diff(before, after);
+    if (!entry) return result;
+
+    entry.label = typeof label === 'function' ? label(result) : label;
+    entry.at = Date.now();
+    this.undoStack.push(entry);
+    if (this.undoStack.length > HISTORY_MAX_ENTRIES) this.undoStack.shift();
+    this.redoStack = [];
+    this._notify();
+    return result;
+  }
+
+  /**
+   * 直前の操作を取り消す
+   * @returns {HistoryEntry|null} 取り消した操作（なければ null）
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this._apply(entry, 'before');
+    this.redoStack.push(entry);
+    this._notify();
+    return entry;
+  }
+
+  /**
+   * 取り消した操作をやり直す
+   * @returns {HistoryEntry|null} やり直した操作（なければ null）
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this._apply(entry, 'after');
+    this.undoStack.push(entry);
+    this._notify();
+    return entry;
+  }
+
+  /**
+   * 履歴の指定位置まで取り消す・やり直す
+   * @param {number} position - 適用済みにする操作の件数（0 なら最初の状態）
+   * @returns {number} 取り消し（負）・やり直し（正）した件数
+   */
+  goTo(position) {
+    const target = Math.max(0, Math.min(position, this.undoStack.length + this.redoStack.length));
+    let moved = 0;
+    while (this.undoStack.length > target) {
+      this.undo();
+      moved--;
+    }
+    while (this.undoStack.length < target) {
+      this.redo();
+      moved++;
+    }
+    return moved;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * @returns {HistoryEntry|null} 次に取り消される操作
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * @returns {HistoryEntry|null} 次にやり直される操作
+   */
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  /**
+   * 古い順の履歴（取り消した操作は undone: true で末尾に続く）
+   * @returns {{label: string, at: number, undone: boolean}[]}
+   */
+  list() {
+    return [
+      ...this.undoStack.map((e) => ({ label: e.label, at: e.at, undone: false })),
+      ...this.redoStack
+        .slice()
+        .reverse()
+        .map((e) => ({ label: e.label, at: e.at, undone: true }))
+    ];
+  }
+
+  clear() {
+    if (!this.undoStack.length && !this.redoStack.length) return;
+    this.undoStack = [];
+    this.redoStack = [];
+    this._notify();
+  }
+
+  /**
+   * リポジトリの現在の状態をブロックごとの JSON 文字列にする
+   * @returns {HistoryState}
+   * @private
+   */
+  _capture() {
+    const { blocks, ...head } = this.repo.toJSON();
+    return {
+      head: JSON.stringify(head),
+      blocks: new Map(blocks.map((obj) => [obj.id, JSON.stringify(obj)]))
+    };
+  }
+
+  /**
+   * 2 つの状態の差分を履歴 1 件にする（label・at は呼び出し側で付ける）
+   * @param {HistoryState} before
+   * @param {HistoryState} after
+   * @returns {HistoryEntry|null} 変わっていなければ null
+   * @private
+   */
+  _diff(before, after) {
+    const changes = [];
+    before.blocks.forEach((json, id) => {
+      const next = after.blocks.has(id) ? after.blocks.get(id) : null;
+      if (next !== json) changes.push({ id, before: json, after: next });
+    });
+    after.blocks.forEach((json, id) => {
+      if (!before.blocks.has(id)) changes.push({ id, before: null, after: json });
+    });
+    const headChanged = before.head !== after.head;
+    if (!changes.length && !headChanged) return null;
+
+    // 末尾への追加だけなら、取り消し（削除）・やり直し（末尾への追加）で並びは保たれる
+    const orderBefore = Array.from(before.blocks.keys());
+    const orderAfter = Array.from(after.blocks.keys());
+    const appendedOnly = orderBefore.length <= orderAfter.length &&
+      orderBefore.every((id, i) => id === orderAfter[i]);
+    return {
+      changes,
+      headBefore: headChanged ? before.head : null,
+      headAfter: headChanged ? after.head : null,
+      orderBefore: appendedOnly ? null : orderBefore,
+      orderAfter: appendedOnly ? null : orderAfter
+    };
+  }
+
+  /**
+   * 履歴 1 件の操作前（before）・操作後（after）の状態をリポジトリに適用する
+   * @param {HistoryEntry} entry
+   * @param {"before"|"after"} side
+   * @private
+   */
+  _apply(entry, side) {
+    const head = side === 'before' ? entry.headBefore : entry.headAfter;
+    const order = side === 'before' ? entry.orderBefore : entry.orderAfter;
+    this.running = true;
+    try {
+      this.repo.applyBlockStates(
+        head ? JSON.parse(head) : null,
+        entry.changes.map((change) => ({
+          id: change.id,
+          json: change[side] ? JSON.parse(change[side]) : null
+        })),
+        order
+      );
+    } finally {
+      this.running = false;
+    }
+    this.state = this.state ? this._advanceState(this.state, entry, side) : this._capture();
+  }
+
+  /**
+   * 履歴 1 件を適用した後の状態を、全体を JSON 化し直さずに作る
+   * @param {HistoryState} state - 適用前の状態
+   * @param {HistoryEntry} entry
+   * @param {"before"|"after"} side
+   * @returns {HistoryState}
+   * @private
+   */
+  _advanceState(state, entry, side) {
+    const head = side === 'before' ? entry.headBefore : entry.headAfter;
+    const order = side === 'before' ? entry.orderBefore : entry.orderAfter;
+    const blocks = new Map(state.blocks);
+    entry.changes.forEach((change) => {
+      if (change[side]) {
+        blocks.set(change.id, change[side]);
+      } else {
+        blocks.delete(change.id);
+      }
+    });
+    return {
+      head: head || state.head,
+      blocks: order ? new Map(order.map((id) => [id, blocks.get(id)])) : blocks
+    };
+  }
+
+  /**
+   * 操作が失敗したときに、操作前の状態へ丸ごと戻す
+   * @param {HistoryState} state
+   * @private
+   */
+  _restore(state) {
+    const json = JSON.parse(state.head);
+    json.blocks = Array.from(state.blocks.values(), (text) => JSON.parse(text));
+    this.repo.loadFromJSON(json);
+    this.state = state;
+  }
+
+  /** @private */
+  _notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+// グローバル公開
+window.CommandHistory = CommandHistory;
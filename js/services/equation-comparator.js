@@ -0,0 +1,99 @@
+// js/services/equation-comparator.js
+// 2 つの式ブロックの論理的な広さ（等価・包含・重なり）を比べる
+
+/**
+ * 比較結果
+ * - equivalent:  A と B は同じ文献集合を表す
+ * - a_in_b:      A ⊂ B（B の方が広い）
+ * - b_in_a:      B ⊂ A（A の方が広い）
+ * - overlapping: どちらにも相手に含まれない部分がある
+ * - unknown:     変数が多すぎる・循環参照などで判定できなかった
+ *
+ * onlyInA / onlyInB は「A だけ（B だけ）がヒットする文献」の語の割り当て例。
+ *
+ * @typedef {Object} EquationComparison
+ * @property {"equivalent"|"a_in_b"|"b_in_a"|"overlapping"|"unknown"} relation
+ * @property {string} message
+ * @property {{present: string[], absent: string[]}} [onlyInA]
+ * @property {{present: string[], absent: string[]}} [onlyInB]
+ */
+
+// QueryVerifier.relate の結果 → 比較結果の relation
+const COMPARISON_RELATIONS = {
+  equivalent: 'equivalent',
+  subset: 'a_in_b',
+  superset: 'b_in_a',
+  overlapping: 'overlapping'
+};
+
+class EquationComparator {
+  /**
+   * @param {BlockRepository} repo
+   * @param {RenderContext} ctx
+   */
+  constructor(repo, ctx) {
+    this.repo = repo;
+    this.ctx = ctx;
+    // 論理形の構築と真理値表による判定は検索式の往復検証と共通
+    this.verifier = new QueryVerifier(repo, ctx);
+  }
+
+  /**
+   * 式ブロック A と B を比較する
+   *
+   * BlockRef / 語 token は RenderContext 経由で展開し、語・分類コードの単位で比べる。
+   * 近傍は不透明な項として扱う（近傍が真なら左右の式も真、距離の短い近傍が真なら
+   * 同じ左右の長い近傍も真、という関係だけを仮定する）。
+   *
+   * @param {EquationBlock} ebA
+   * @param {EquationBlock} ebB
+   * @returns {EquationComparison}
+   */
+  compareEquations(ebA, ebB) {
+    let formA;
+    let formB;
+    try {
+      formA = this.verifier.fromExpr(ebA.root, new Set([ebA.id]));
+      formB = this.verifier.fromExpr(ebB.root, new Set([ebB.id]));
+    } catch (e) {
+      return { relation: 'unknown', message: e.message || String(e) };
+    }
+
+    const rel = this.verifier.relate(formA, formB);
+    if (!rel.relation) {
+      return { relation: 'unknown', message: rel.message };
+    }
+
+    const relation = COMPARISON_RELATIONS[rel.relation];
+    const result = { relation, message: this._describe(relation, ebA, ebB) };
+    if (rel.onlyInA) result.onlyInA = rel.onlyInA;
+    if (rel.onlyInB) result.onlyInB = rel.onlyInB;
+    return result;
+  }
+
+  /**
+   * 判定結果の説明文
+   * @param {string} relation
+   * @param {EquationBlock} ebA
+   * @param {EquationBlock} ebB
+   * @returns {string}
+   * @private
+   */
+  _describe(relation, ebA, ebB) {
+    const a = ebA.label || ebA.id;
+    const b = ebB.label || ebB.id;
+    switch (relation) {
+      case 'equivalent':
+        return `${a} と ${b} は論理的に等価です。`;
+      case 'a_in_b':
+        return `${a} ⊂ ${b}: ${b} の方が広い式です。`;
+      case 'b_in_a':
+        return `${b} ⊂ ${a}: ${a} の方が広い式です。`;
+      default:
+        return `${a} と ${b} は互いに相手に含まれない部分があります（重なり）。`;
+    }
+  }
+}
+
+// グローバル公開
+window.EquationComparator = EquationComparator;
@@ -0,0 +1,308 @@
+// js/services/expr-simplifier.js
+// 式ブロックの AST を論理的に等価なまま簡約する（最適化）
+
+/**
+ * 簡約結果
+ * @typedef {Object} SimplifyResult
+ * @property {ExprNode|null} root - 簡約後の AST（元の木は変更しない）
+ * @property {boolean} changed - 元の AST から変化したか
+ * @property {string[]} rules - 適用した規則の表示名（適用順・重複なし）
+ */
+
+// 規則の表示名
+const SIMPLIFY_RULE_LABELS = {
+  flatten: '入れ子の平坦化',
+  dedupe: '重複の除去',
+  absorb: '吸収則',
+  factor: '共通項のくくり出し',
+  unwrap: '単項の括弧外し'
+};
+
+// 1 パスで収束しない場合（くくり出し後に再び吸収できる等）に繰り返す上限
+const SIMPLIFY_MAX_PASSES = 8;
+
+class ExprSimplifier {
+  /**
+   * AST を簡約する
+   *
+   * - 入れ子の平坦化: (A+B)+C → A+B+C、(A*B)*C → A*B*C
+   * - 重複の除去（冪等律）: A+A → A、A*B*A → A*B
+   * - 吸収則: A+A*B → A、A*(A+B) → A
+   * - 共通項のくくり出し: A*B+A*C → A*(B+C)
+   *
+   * 近傍・論理差はそのまま残し、子の式だけを簡約する。
+   * BlockRef は参照先を展開せず 1 つの項として扱う。
+   *
+   * @param {ExprNode|null} root
+   * @returns {SimplifyResult}
+   */
+  simplify(root) {
+    if (!root) return { root: null, changed: false, rules: [] };
+
+    this._applied = [];
+    let current = root;
+    for (let pass = 0; pass < SIMPLIFY_MAX_PASSES; pass++) {
+      const next = this._simplifyNode(current);
+      const stable = this._sameShape(next, current);
+      current = next;
+      if (stable) break;
+    }
+
+    const changed = !this._sameShape(current, root);
+    const rules = this._applied.map((name) => SIMPLIFY_RULE_LABELS[name]);
+    this._applied = [];
+    return { root: current, changed, rules };
+  }
+
+  /**
+   * 構造を表す比較用キー（AND / OR の子の順序は無視する）
+   * @param {ExprNode} node
+   * @returns {string}
+   */
+  keyOf(node) {
+    if (node instanceof WordTokenNode) return `W${JSON.stringify(node.token)}`;
+    if (node instanceof BlockRefNode) return `R${JSON.stringify(node.blockId)}`;
+    if (node instanceof LogicalNode) {
+      const keys = node.children.map((c) => this.keyOf(c)).sort();
+      return `${node.op}(${keys.join(',')})`;
+    }
+    if (node instanceof NotNode) {
+      return `-(${this.keyOf(node.include)},${this.keyOf(node.exclude)})`;
+    }
+    if (node instanceof ProximityNode) {
+      const [left, right] = node.children;
+      return `P${node.mode}${node.k}(${this.keyOf(left)},${this.keyOf(right)})`;
+    }
+    if (node instanceof SimultaneousProximityNode) {
+      return `S${node.k}(${node.children.map((c) => this.keyOf(c)).join(',')})`;
+    }
+    throw new Error('Unsupported ExprNode subtype in ExprSimplifier');
+  }
+
+  /**
+   * 1 ノード分の簡約（子を先に簡約した新しいノードを返す）
+   * @param {ExprNode} node
+   * @returns {ExprNode}
+   * @private
+   */
+  _simplifyNode(node) {
+    if (node instanceof LogicalNode) {
+      return this._simplifyLogical(node);
+    }
+    if (node instanceof CompositeNode) {
+      // 論理差・近傍は形を保ったまま子だけを簡約する
+      return node.withChildren(node.children.map((c) => this._simplifyNode(c)));
+    }
+    return node.clone();
+  }
+
+  /**
+   * AND / OR ノードの簡約
+   * @param {LogicalNode} node
+   * @returns {ExprNode}
+   * @private
+   */
+  _simplifyLogical(node) {
+    const op = node.op;
+    let children = this._flatten(op, node.children.map((c) => this._simplifyNode(c)));
+    children = this._dedupe(children);
+    children = this._absorb(op, children);
+    if (op === '+') {
+      children = this._factor(children);
+    }
+
+    if (children.length === 1) {
+      if (node.children.length === 1) this._mark('unwrap');
+      return children[0];
+    }
+    return new LogicalNode(op, children);
+  }
+
+  /**
+   * 同じ演算子の入れ子を 1 段に展開する
+   * @param {"+"|"*"} op
+   * @param {ExprNode[]} children
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _flatten(op, children) {
+    const result = [];
+    children.forEach((child) => {
+      if (child instanceof LogicalNode && child.op === op) {
+        this._mark('flatten');
+        result.push(...child.children);
+      } else {
+        result.push(child);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * 同じ構造の項を 1 つにまとめる（先に現れたものを残す）
+   * @param {ExprNode[]} children
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _dedupe(children) {
+    const seen = new Set();
+    return children.filter((child) => {
+      const key = this.keyOf(child);
+      if (seen.has(key)) {
+        this._mark('dedupe');
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * 吸収則: OR なら A+A*B の A*B を、AND なら A*(A+B) の A+B を取り除く
+   * 兄弟の項集合を真に含む項（双対演算子のノード）が吸収される。
+   * @param {"+"|"*"} op
+   * @param {ExprNode[]} children
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _absorb(op, children) {
+    const dual = op === '+' ? '*' : '+';
+    const termSets = children.map((child) => this._termKeys(dual, child));
+    return children.filter((child, i) => {
+      const absorbed = termSets.some(
+        (other, j) => j !== i && other.size < termSets[i].size && this._isSubset(other, termSets[i])
+      );
+      if (absorbed) this._mark('absorb');
+      return !absorbed;
+    });
+  }
+
+  /**
+   * OR の項のうち、同じ AND 因子を持つものをまとめてくくり出す
+   * A*B + A*C + D → A*(B+C) + D
+   * 最も多くの項に共通する因子から順に、共通する項が 2 つ以上ある間くり返す。
+   * @param {ExprNode[]} children
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _factor(children) {
+    let current = children;
+    for (;;) {
+      const factor = this._pickCommonFactor(current);
+      if (!factor) return current;
+      this._mark('factor');
+
+      const grouped = [];
+      const rest = [];
+      current.forEach((child) => {
+        const factors = this._factorsOf(child);
+        if (factors.some((f) => this.keyOf(f) === factor.key)) {
+          grouped.push(factors.filter((f) => this.keyOf(f) !== factor.key));
+        } else {
+          rest.push(child);
+        }
+      });
+
+      const remainders = grouped.map((factors) =>
+        factors.length === 1 ? factors[0] : new LogicalNode('*', factors)
+      );
+      const merged = new LogicalNode('*', [factor.node, new LogicalNode('+', remainders)]);
+      // まとめた項の位置は、最初にまとめた項があった位置にそろえる
+      const firstIndex = current.findIndex((child) =>
+        this._factorsOf(child).some((f) => this.keyOf(f) === factor.key)
+      );
+      const next = rest.slice();
+      next.splice(Math.min(firstIndex, next.length), 0, this._simplifyLogical(merged));
+      current = next;
+    }
+  }
+
+  /**
+   * 2 つ以上の AND 項に共通する因子のうち、最も多く現れるものを返す
+   * くくり出した残りが空になる項（= 因子そのもの）は吸収則で先に消えている前提。
+   * @param {ExprNode[]} children
+   * @returns {{key: string, node: ExprNode}|null}
+   * @private
+   */
+  _pickCommonFactor(children) {
+    const counts = new Map();
+    children.forEach((child) => {
+      if (!(child instanceof LogicalNode && child.op === '*')) return;
+      child.children.forEach((factor) => {
+        const key = this.keyOf(factor);
+        const entry = counts.get(key);
+        if (entry) {
+          entry.count++;
+        } else {
+          counts.set(key, { key, node: factor, count: 1 });
+        }
+      });
+    });
+
+    let best = null;
+    counts.forEach((entry) => {
+      if (entry.count >= 2 && (!best || entry.count > best.count)) best = entry;
+    });
+    return best ? { key: best.key, node: best.node } : null;
+  }
+
+  /**
+   * AND 項の因子一覧（AND でなければ自身のみ）
+   * @param {ExprNode} node
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _factorsOf(node) {
+    return node instanceof LogicalNode && node.op === '*' ? node.children : [node];
+  }
+
+  /**
+   * 指定演算子のノードなら子のキー集合、そうでなければ自身のキーのみの集合
+   * @param {"+"|"*"} op
+   * @param {ExprNode} node
+   * @returns {Set<string>}
+   * @private
+   */
+  _termKeys(op, node) {
+    if (node instanceof LogicalNode && node.op === op) {
+      return new Set(node.children.map((c) => this.keyOf(c)));
+    }
+    return new Set([this.keyOf(node)]);
+  }
+
+  /**
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {boolean} a ⊆ b
+   * @private
+   */
+  _isSubset(a, b) {
+    for (const key of a) {
+      if (!b.has(key)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 子の並び順まで含めて同じ形か（キーは順序を無視するため別に比べる）
+   * @param {ExprNode} a
+   * @param {ExprNode} b
+   * @returns {boolean}
+   * @private
+   */
+  _sameShape(a, b) {
+    return JSON.stringify(exprNodeToJSON(a)) === JSON.stringify(exprNodeToJSON(b));
+  }
+
+  /**
+   * 適用した規則を記録する
+   * @param {string} name
+   * @private
+   */
+  _mark(name) {
+    if (!this._applied.includes(name)) this._applied.push(name);
+  }
+}
+
+// グローバル公開
+window.ExprSimplifier = ExprSimplifier;
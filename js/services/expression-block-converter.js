@@ -13,6 +13,10 @@
  * - WordBlockはWord式単位で作成（トークン単位ではない）
  * - tokenはランダムID、expressionKeyで意味的識別
  * - 分割モードではEquationBlockは一切生成しない
+ *
+ * 検索式取込（importEquationFromQuery）は上記とは別系統:
+ * - QueryParser で J-PlatPat 形式の検索式を構文解析し、式の構造を保ったまま
+ *   BlockRefNode で Word/Class ブロックを参照する EquationBlock を生成する
  */
 class ExpressionBlockConverter {
   /**
@@ -27,6 +31,8 @@ class ExpressionBlockConverter {
     this.wordNormalizer = new WordNormalizer();
     this.exprNormalizer = new ExpressionNormalizer();
     this.wordTokenGenerator = new WordTokenGenerator(repo, 8);
+    // 検索式取込の結果が描画し直しても同じ意味になるかの検証
+    this.queryVerifier = new QueryVerifier(repo, ctx);
     
     // 内部状態（処理中の式情報）
     this.inputed_qu_raw = '';      // 入力そのまま
@@ -97,6 +103,24 @@ class ExpressionBlockConverter {
     return { errors, createdBlocks };
   }
 
+  /**
+   * Word 式 / Class 式の文字列から 1 つのブロックを作成または再利用する
+   * （参照切れの修復などで、式全体ではなく 1 ブロックだけ作りたい場合に使う）
+   *
+   * @param {string} text - 例: "antenna+アンテナ"、"(antenna+アンテナ)/TX"、"H04W12/00/CP+H04W12/00/FI"
+   * @param {"WB"|"CB"} kind
+   * @returns {string|null} - ブロックID、または作成できなければ null
+   */
+  createBlockFromText(text, kind) {
+    if (!text || !text.trim()) return null;
+    const core = this._stripFieldTag(this.exprNormalizer.normalizeInline(text).trim());
+
+    if (kind === 'CB') {
+      return this._createOrReuseClassBlock(this._stripOuterSquareBrackets(core));
+    }
+    return this._createOrReuseWordBlock(this._stripOuterParens(core));
+  }
+
   // ========================================
   // レイヤ1: 式文字列レイヤ
   // ========================================
@@ -631,6 +655,320 @@ class ExpressionBlockConverter {
     return wordIds;
   }
 
+  // ========================================
+  // 検索式取込 → EquationBlock生成
+  // ========================================
+
+  /**
+   * J-PlatPat 形式の検索式（renderQuery の出力形式）を取り込み、
+   * Word/Class ブロックを参照する EquationBlock を生成する
+   *
+   * - "( ... )/TX" やフィールド付きの語 1 つ、近傍の各辺の和 → 1 つの WordBlock
+   * - "[(F)/CP+(F)/FI]" のような /CP と /FI の組 → 1 つの ClassBlock
+   * - 既存ブロックと語・分類コードの集合が一致すれば再利用する
+   * - 作った式ブロックの検索式が式ブロックの論理と一致しなければ（描画で意味が変わる取込）失敗とする
+   * - 途中で失敗した場合は、この取込で新規作成したブロックを削除して元に戻す
+   *
+   * 例: "(antenna+アンテナ)/TX*[基地局,10n,(端末+UE)/TX]*[H04W16/24/CP+H04W16/24/FI]"
+   *  → EB = WB(antenna+アンテナ) * (WB(基地局),10n,WB(端末+UE)) * CB(H04W16/24)
+   *
+   * @param {string} rawText - 入力された検索式（改行・全角記号を含んでもよい）
+   * @returns {{errors: string[], diagnostic?: ParseDiagnostic, equationId: string|null, createdBlocks: {words: string[], classes: string[]}, reusedBlockIds: string[]}}
+   */
+  importEquationFromQuery(rawText) {
+    const errors = [];
+    const createdBlocks = {
+      words: [],
+      classes: []
+    };
+    const result = { errors, equationId: null, createdBlocks, reusedBlockIds: [] };
+
+    if (!rawText || !rawText.trim()) {
+      errors.push('入力が空です。');
+      return result;
+    }
+
+    // 位置を保ったまま全角記号を半角に（エラー位置を入力上で示すため）
+    const text = this.exprNormalizer.normalizeSymbolsKeepingLength(rawText);
+
+    let query;
+    try {
+      query = new QueryParser(new Lexer(text)).parseQuery();
+    } catch (e) {
+      if (e instanceof ParseError) {
+        errors.push(`検索式の構文エラー: ${e.message}`);
+        result.diagnostic = e.toDiagnostic();
+        return result;
+      }
+      errors.push(`式の処理エラー: ${e.message || e}`);
+      return result;
+    }
+
+    const idsBefore = new Set(this.repo.getAll().map((b) => b.id));
+    /** @type {string[]} */
+    const warnings = [];
+
+    try {
+      const root = this._importQueryNode(query, null, true, warnings);
+
+      const limitCheck = this.repo.checkBlockLimit('EB');
+      if (!limitCheck.ok) {
+        throw new Error(limitCheck.message);
+      }
+
+      const compact = this.exprNormalizer.removeSpaces(text);
+      const label = `IMPORT:${compact.length > 24 ? compact.slice(0, 24) + '…' : compact}`;
+      const eb = new EquationBlock(this.repo.nextId('EB'), label, root);
+      // 分類・論理差を含む式は近傍の素材にできない
+      eb.canUseForProximity = !this._containsClassOrNot(root);
+      this.repo.upsert(eb);
+
+      // 語と分類の和のように、式ブロックとしては表せても検索式に描画すると意味が変わるものは取り込まない
+      const check = this.queryVerifier.verifyEquation(eb);
+      if (check.status === 'mismatch') {
+        const detail = check.divergence
+          ? `（式ブロック: ${check.divergence.expected} / 検索式: ${check.divergence.actual}）`
+          : '';
+        throw new Error(`取り込んだ式を検索式に戻すと意味が変わるため、取り込めません${detail}。`);
+      }
+      if (check.status === 'unverified') {
+        warnings.push(`取り込んだ式を検索式に戻したときに同じ意味になるか確認できませんでした: ${check.message}`);
+      }
+      result.equationId = eb.id;
+    } catch (e) {
+      // この取込で作ったブロックを削除して元に戻す
+      this.repo.getAll().forEach((b) => {
+        if (!idsBefore.has(b.id)) this.repo.remove(b.id);
+      });
+      errors.push(`式の処理エラー: ${e.message || e}`);
+      return result;
+    }
+
+    const refIds = new Set();
+    this.repo.get(result.equationId).root.collectBlockRefIds(refIds);
+    refIds.forEach((id) => {
+      if (idsBefore.has(id)) {
+        result.reusedBlockIds.push(id);
+      } else if (id.startsWith('WB')) {
+        createdBlocks.words.push(id);
+      } else if (id.startsWith('CB')) {
+        createdBlocks.classes.push(id);
+      }
+    });
+
+    errors.push(...warnings);
+    return result;
+  }
+
+  /**
+   * QueryNode → ExprNode（語・分類は BlockRefNode に解決）
+   * @param {QueryNode} q
+   * @param {string|null} field - 外側から引き継いだフィールド
+   * @param {boolean} asGroup - 語だけの和なら 1 つの WordBlock にまとめてよい位置か
+   * @param {string[]} warnings
+   * @returns {ExprNode}
+   * @private
+   */
+  _importQueryNode(q, field, asGroup, warnings) {
+    if (q.type === 'tagged') {
+      return this._importQueryNode(q.child, q.field, true, warnings);
+    }
+
+    const effectiveField = field || '/TX';
+
+    // 語だけの和: ( 基地局+eNB )/TX → WordBlock 1 つ
+    if (effectiveField === '/TX' && (q.type === 'term' || asGroup)) {
+      const terms = this._collectPlainWordTerms(q);
+      if (terms) {
+        return new BlockRefNode(this._importWordGroup(terms));
+      }
+    }
+
+    switch (q.type) {
+      case 'term': {
+        // /CP だけ、/FI だけの分類コード
+        const codes = this._collectClassCodes(q, field);
+        if (!codes) {
+          // /CP・/FI の指定がない（分類コードとして集められない）ので、語として取り込む
+          warnings.push(`${q.text} は分類コードとして取り込めないため、/TX の語として取り込みました。`);
+          return new BlockRefNode(this._importWordGroup([q.text]));
+        }
+        warnings.push(
+          `分類コード ${q.text} は ${q.field || field} のみで指定されています（/CP と /FI の両方で検索する分類ブロックとして取り込みました）。`
+        );
+        return new BlockRefNode(this._importClassGroup([...codes.cp, ...codes.fi]));
+      }
+
+      case 'or': {
+        // /CP と /FI の組になっている分類部分を 1 つの ClassBlock にまとめる
+        const classCodes = { cp: [], fi: [] };
+        const others = [];
+        q.children.forEach((ch) => {
+          const codes = this._collectClassCodes(ch, field);
+          if (codes) {
+            classCodes.cp.push(...codes.cp);
+            classCodes.fi.push(...codes.fi);
+          } else {
+            others.push(this._importQueryNode(ch, field, false, warnings));
+          }
+        });
+
+        const children = [];
+        if (classCodes.cp.length > 0 || classCodes.fi.length > 0) {
+          const cp = [...new Set(classCodes.cp)].sort();
+          const fi = [...new Set(classCodes.fi)].sort();
+          if (cp.join('+') !== fi.join('+')) {
+            warnings.push(
+              `/CP と /FI の分類コードが一致しません（${cp.join('+') || 'なし'} / ${fi.join('+') || 'なし'}）。両方を合わせた分類ブロックとして取り込みました。`
+            );
+          }
+          children.push(new BlockRefNode(this._importClassGroup([...classCodes.cp, ...classCodes.fi])));
+        }
+        children.push(...others);
+        return children.length === 1 ? children[0] : new LogicalNode('+', children);
+      }
+
+      case 'and':
+        return new LogicalNode(
+          '*',
+          q.children.map((ch) => this._importQueryNode(ch, field, false, warnings))
+        );
+
+      case 'not':
+        return new NotNode(
+          this._importQueryNode(q.children[0], field, false, warnings),
+          this._importQueryNode(q.children[1], field, false, warnings)
+        );
+
+      case 'prox':
+        return new ProximityNode(
+          q.mode,
+          q.k,
+          this._importQueryNode(q.left, field, true, warnings),
+          this._importQueryNode(q.right, field, true, warnings)
+        );
+
+      case 'simul':
+        return new SimultaneousProximityNode(
+          q.k,
+          q.children.map((ch) => this._importQueryNode(ch, field, true, warnings))
+        );
+
+      default:
+        throw new Error(`不明な検索式ノード: ${q.type}`);
+    }
+  }
+
+  /**
+   * フィールド指定のない語だけの和なら語の配列を返す（それ以外は null）
+   * @param {QueryNode} q
+   * @returns {string[]|null}
+   * @private
+   */
+  _collectPlainWordTerms(q) {
+    if (q.type === 'term') {
+      if (q.field && q.field !== '/TX') return null;
+      return [q.text];
+    }
+    if (q.type === 'or') {
+      const terms = [];
+      for (const ch of q.children) {
+        if (ch.type === 'term' && ch.field) return null; // 項ごとに /TX → 別々のブロック
+        const sub = this._collectPlainWordTerms(ch);
+        if (!sub) return null;
+        terms.push(...sub);
+      }
+      return terms;
+    }
+    return null;
+  }
+
+  /**
+   * /CP・/FI 付きの分類コードだけからなる和ならコードを集める（それ以外は null）
+   * @param {QueryNode} q
+   * @param {string|null} field - 外側から引き継いだフィールド
+   * @returns {{cp: string[], fi: string[]}|null}
+   * @private
+   */
+  _collectClassCodes(q, field) {
+    if (q.type === 'term') {
+      const f = q.field || field;
+      if (f === '/CP') return { cp: [q.text], fi: [] };
+      if (f === '/FI') return { cp: [], fi: [q.text] };
+      return null;
+    }
+    if (q.type === 'tagged') {
+      return this._collectClassCodes(q.child, q.field);
+    }
+    if (q.type === 'or') {
+      const codes = { cp: [], fi: [] };
+      for (const ch of q.children) {
+        const sub = this._collectClassCodes(ch, field);
+        if (!sub) return null;
+        codes.cp.push(...sub.cp);
+        codes.fi.push(...sub.fi);
+      }
+      return codes;
+    }
+    return null;
+  }
+
+  /**
+   * 語の集合に対応する WordBlock を再利用または作成し、その ID を返す
+   * @param {string[]} terms
+   * @returns {string}
+   * @private
+   */
+  _importWordGroup(terms) {
+    const unique = [...new Set(terms)];
+
+    // 語の集合が一致する既存 WordBlock があれば再利用（renderQuery の出力を取り込み直すケース）
+    const key = [...unique].sort().join('+');
+    const existing = this.repo.getAllWords().find((wb) => {
+      const list = wb.variants && wb.variants.length > 0
+        ? wb.variants
+        : this._splitByPlus(this._stripOuterParens(wb.queryText || ''));
+      return [...new Set(list)].sort().join('+') === key;
+    });
+    if (existing) return existing.id;
+
+    const id = this._createOrReuseWordBlock(unique.join('+'));
+    if (!id) {
+      throw new Error(`Wordブロックを作成できませんでした: ${unique.join('+')}`);
+    }
+    return id;
+  }
+
+  /**
+   * 分類コードの集合に対応する ClassBlock を再利用または作成し、その ID を返す
+   * @param {string[]} codes
+   * @returns {string}
+   * @private
+   */
+  _importClassGroup(codes) {
+    const unique = [...new Set(codes)];
+    const id = this._createOrReuseClassBlock(unique.join('+'));
+    if (!id) {
+      throw new Error(`分類ブロックを作成できませんでした: ${unique.join('+')}`);
+    }
+    return id;
+  }
+
+  /**
+   * ClassBlock への参照または論理差を含むか
+   * @param {ExprNode} node
+   * @returns {boolean}
+   * @private
+   */
+  _containsClassOrNot(node) {
+    if (node instanceof NotNode) return true;
+    if (node instanceof BlockRefNode) {
+      const blk = this.repo.get(node.blockId);
+      return !!blk && blk.kind === 'CB';
+    }
+    return (node.children || []).some((ch) => this._containsClassOrNot(ch));
+  }
+
   /**
    * カンマでトップレベル分割（括弧ネストを考慮）
    * @param {string} str - 例: "(W1),(W2),基地局"
@@ -194,6 +194,28 @@ class ExpressionNormalizer {
     if (!text) return '';
     return text.replace(/[\s　]/g, '');
   }
+
+  /**
+   * 全角記号を半角に統一する（文字数を変えない版）
+   * 構文エラーの位置を元の入力上で示せるよう、スペースは削除せず半角スペースにする。
+   *
+   * @param {string} text
+   * @returns {string}
+   *
+   * 例: "（A＋B）／TX　*C" → "(A+B)/TX *C"
+   */
+  normalizeSymbolsKeepingLength(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+    return Array.from(text)
+      .map((ch) => {
+        if (ch === '　') return ' ';
+        const half = this.fullToHalfMap[ch];
+        return half && half.length === 1 ? half : ch;
+      })
+      .join('');
+  }
 }
 
 // グローバル公開
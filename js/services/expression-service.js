@@ -1,5 +1,19 @@
 // js/services/expression-service.js
-// ブロック生成サービス（1行入力 + 単語/分類 切り替え）
+// ブロック生成サービス（複数行の定義入力 + 単語/分類 切り替え）
+
+/**
+ * parseInputLines の行ごとの処理結果
+ * @typedef {Object} InputLineResult
+ * @property {number} line - 入力テキスト上の行番号（1 始まり）
+ * @property {string} text - 行の内容（trim 済み）
+ * @property {"created"|"updated"|"failed"} status
+ * @property {string} [blockId] - 生成・更新したブロックの ID
+ * @property {string} [name] - 行名（NAME = ... の NAME）
+ * @property {string} [message] - 失敗時のエラーメッセージ
+ * @property {number} offset - 入力テキスト全体における text 先頭のオフセット
+ * @property {ParseDiagnostic[]} [diagnostics] - 構文エラー時の全診断（span は text 内の位置）
+ * @property {ExprNode|null} [ast] - 構文エラー時に解析できた部分だけの AST（ブロックは作らない）
+ */
 
 class ExpressionService {
   /**
@@ -17,86 +31,175 @@ class ExpressionService {
   /**
    * ブロックビルダー用: テキストエリア入力 → 単語 or 分類ブロック生成
    *
+   * 複数行の定義スクリプトに対応する。1 行 = 1 ブロック（NAME = expr または expr）。
+   * - 後の行は、前の行で定義した NAME を式中で参照できる（定義内容に展開される）
+   * - 各行は独立して処理し、エラーの行があっても他の行の処理は続ける
+   *
+   * 例:
+   *   NB  = 基地局+eNB
+   *   UE  = 端末+UE
+   *   ALL = NB+UE+ノード     → ALL は 基地局+eNB+端末+UE+ノード として登録
+   *
    * @param {string} text - textarea 全体の内容
    * @param {"word"|"class"} builderKind - ラジオボタンの選択
-   * @returns {{ errors: string[], createdBlockIds: string[] }}
+   * @returns {{ errors: string[], createdBlockIds: string[], lines: InputLineResult[] }}
    */
   parseInputLines(text, builderKind) {
     const errors = [];
     const createdIds = [];
+    /** @type {InputLineResult[]} */
+    const lines = [];
 
     const kind = builderKind === 'class' ? 'class' : 'word';
-    const raw = (text || '').split(/\r?\n/);
-    const nonEmpty = raw.map((l) => l.trim()).filter((l) => l.length > 0);
+    const source = text || '';
+    const raw = source.split(/\r?\n/);
 
-    if (nonEmpty.length === 0) {
+    if (raw.every((l) => l.trim().length === 0)) {
       errors.push('入力が空です。');
-      return { errors, createdBlockIds: createdIds };
+      return { errors, createdBlockIds: createdIds, lines };
     }
 
-    if (nonEmpty.length > 1) {
-      errors.push(
-        '一度に登録できるのは 1 行だけです。先頭行のみ処理しました。'
-      );
-    }
+    // このスクリプト内で定義された NAME → 展開済み式
+    /** @type {Map<string, ExprNode>} */
+    const scope = new Map();
+
+    let lineStart = 0;
+    raw.forEach((rawLine, index) => {
+      const offset = lineStart + (rawLine.length - rawLine.trimStart().length);
+      lineStart += rawLine.length + (source.startsWith('\r\n', lineStart + rawLine.length) ? 2 : 1);
+
+      const line = rawLine.trim();
+      if (line.length === 0) return;
+
+      const lineNo = index + 1;
+      const parsed = this._processInputLine(line);
+      // 構文エラーの行はブロックを作らず、診断と解析できた部分の AST だけを返す
+      if (parsed.diagnostics.length > 0) {
+        const error = new ParseErrorList(parsed.diagnostics);
+        errors.push(`行 ${lineNo}: ${error.message}`);
+        lines.push({
+          line: lineNo,
+          text: line,
+          offset,
+          status: 'failed',
+          message: error.message,
+          diagnostics: parsed.diagnostics,
+          ast: parsed.ast
+        });
+        return;
+      }
+      try {
+        const result = this._registerInputLine(parsed.name, parsed.ast, kind, scope);
+        createdIds.push(result.blockId);
+        lines.push(Object.assign({ line: lineNo, text: line, offset }, result));
+      } catch (e) {
+        const message = e && e.message ? e.message : String(e);
+        errors.push(`行 ${lineNo}: ${message}`);
+        const failed = { line: lineNo, text: line, offset, status: 'failed', message };
+        if (e instanceof ParseError) failed.diagnostics = [e.toDiagnostic()];
+        lines.push(failed);
+      }
+    });
 
-    const line = nonEmpty[0];
+    return { errors, createdBlockIds: createdIds, lines };
+  }
 
-    try {
-      const lexer = new Lexer(line);
-      const parser = new Parser(lexer);
-      const parsed = parser.parseLine(); // { name, expr, field }
+  /**
+   * 定義スクリプトの 1 行を解析する（例外は投げない）。
+   * 1 行に複数の誤りがあってもまとめて報告できるよう、回復モードで解析する。
+   * diagnostics があっても ast には解析できた部分が入るので、扱いは呼び出し側が決める。
+   *
+   * @param {string} line - 空でない 1 行
+   * @returns {{ name: string|null, ast: ExprNode|null, diagnostics: ParseDiagnostic[] }}
+   * @private
+   */
+  _processInputLine(line) {
+    const parser = new Parser(new Lexer(line));
+    const parsed = parser.parseLineRecovering(); // { name, expr, field, diagnostics }
+    return {
+      name: parsed.name ? String(parsed.name).trim() : null,
+      ast: parsed.expr,
+      diagnostics: parsed.diagnostics
+    };
+  }
 
-      const name = parsed.name || null;
-      const expr = parsed.expr;
+  /**
+   * 解析済みの 1 行から Word / Class ブロックを生成・更新する。
+   * 成功した行の NAME は scope に登録され、以降の行から参照できる。
+   *
+   * @param {string|null} name - 行名（NAME = ... の NAME）
+   * @param {ExprNode|null} ast
+   * @param {"word"|"class"} kind
+   * @param {Map<string, ExprNode>} scope - スクリプト内で定義済みの NAME → 展開済み式
+   * @returns {{ status: "created"|"updated", blockId: string, name?: string }}
+   * @throws {Error} 式が空・上限を超える場合など
+   * @private
+   */
+  _registerInputLine(name, ast, kind, scope) {
+    if (!ast) {
+      throw new Error('式が解析できませんでした。');
+    }
 
-      if (!expr) {
-        throw new Error('式が解析できませんでした。');
+    // 前の行で定義された NAME を展開（自分自身の NAME は展開しない）
+    const expr = this._expandScriptNames(ast, scope, name);
+
+    const blockKind = kind === 'word' ? 'WB' : 'CB';
+    const existing = name
+      ? kind === 'word'
+        ? this.repo.findWordBlockByToken(name)
+        : this.repo.findClassBlockByToken(name)
+      : null;
+    const idsBefore = new Set(this.repo.getAll().map((b) => b.id));
+
+    // Word/Classブロックは既存を上書きする場合があるので、新規作成の場合のみ上限チェック
+    if (!existing) {
+      const limitCheck = this.repo.checkBlockLimit(blockKind);
+      if (!limitCheck.ok) {
+        throw new Error(limitCheck.message);
       }
+    }
 
-      let newId;
-      if (kind === 'word') {
-        // Word/Classブロックは既存を上書きする場合があるので、
-        // 新規作成かどうかを事前にチェック
-        const existingToken = name && String(name).trim();
-        const existing = existingToken 
-          ? this.repo.findWordBlockByToken(existingToken)
-          : null;
-        
-        if (!existing) {
-          // 新規作成の場合のみ上限チェック
-          const limitCheck = this.repo.checkBlockLimit('WB');
-          if (!limitCheck.ok) {
-            errors.push(limitCheck.message);
-            return { errors, createdBlockIds: createdIds };
-          }
-        }
-        
-        newId = this._createWordBlockFromExpr(name, expr);
-      } else {
-        const existingToken = name && String(name).trim();
-        const existing = existingToken 
-          ? this.repo.findClassBlockByToken(existingToken)
-          : null;
-        
-        if (!existing) {
-          const limitCheck = this.repo.checkBlockLimit('CB');
-          if (!limitCheck.ok) {
-            errors.push(limitCheck.message);
-            return { errors, createdBlockIds: createdIds };
-          }
-        }
-        
-        newId = this._createClassBlockFromExpr(name, expr);
-      }
-      if (newId) {
-        createdIds.push(newId);
+    const blockId = kind === 'word'
+      ? this._createWordBlockFromExpr(name, expr)
+      : this._createClassBlockFromExpr(name, expr);
+
+    if (name) {
+      scope.set(name, expr);
+    }
+
+    const result = {
+      status: idsBefore.has(blockId) ? 'updated' : 'created',
+      blockId
+    };
+    if (name) result.name = name;
+    return result;
+  }
+
+  /**
+   * 式中の WordTokenNode のうち、scope に定義済みの NAME を定義内容で置き換えた新しい式を返す。
+   * @param {ExprNode} node
+   * @param {Map<string, ExprNode>} scope
+   * @param {string|null} selfName - 定義中の NAME（自己参照は展開しない）
+   * @returns {ExprNode}
+   * @private
+   */
+  _expandScriptNames(node, scope, selfName) {
+    if (node instanceof WordTokenNode) {
+      if (node.token !== selfName && scope.has(node.token)) {
+        return scope.get(node.token).clone();
       }
-    } catch (e) {
-      errors.push('行 1: ' + (e && e.message ? e.message : String(e)));
+      return node.clone();
+    }
+
+    if (node instanceof CompositeNode) {
+      const copy = node.clone();
+      copy.children = node.children.map((ch) =>
+        this._expandScriptNames(ch, scope, selfName)
+      );
+      return copy;
     }
 
-    return { errors, createdBlockIds: createdIds };
+    return node.clone();
   }
 
   /**
@@ -311,7 +414,7 @@ class ExpressionService {
    * @private
    */
   _createWordBlockFromExpr(name, expr) {
-    const logical = expr.renderLogical();
+    const logical = this._renderLogicalChecked(expr);
     const body = logical.trim();
 
     let token = name && String(name).trim();
@@ -339,12 +442,14 @@ class ExpressionService {
     // token で既存 WordBlock を優先検索
     let wb = this.repo.findWordBlockByToken(token);
     if (wb && wb.kind === 'WB') {
-      wb.token = token;
       wb.label = label;
+      wb.recordRevision();
       wb.updateQueryText(queryText);
-      wb.updateExpressionKey(expressionKey);
       wb.updateVariants(variants);
       wb.updateDisplayLabel(displayLabel);
+      // token / expressionKey はインデックスの付け替えを伴うためリポジトリ経由で更新する
+      this.repo.updateToken(wb.id, token);
+      this.repo.updateExpressionKey(wb.id, expressionKey);
       this.repo.upsert(wb);
       return wb.id;
     }
@@ -355,6 +460,54 @@ class ExpressionService {
     return id;
   }
 
+  /**
+   * 式を論理表示し、その文字列を解析し直すと同じ式になることを確かめる。
+   * 単語ブロックの本文は論理表示から作るため、括弧が足りず別の式に読める場合は取り込まない。
+   * @param {ExprNode} expr
+   * @returns {string}
+   * @throws {Error} 論理表示が元の式と異なる式に読める場合
+   * @private
+   */
+  _renderLogicalChecked(expr) {
+    const text = expr.renderLogical();
+    const reparsed = new Parser(new Lexer(text)).parseLine().expr;
+    if (!reparsed || this._logicalShape(reparsed) !== this._logicalShape(expr)) {
+      throw new Error(`式を論理式として表示すると別の式に読めてしまいます: ${text}`);
+    }
+    return text;
+  }
+
+  /**
+   * 式の構造を比較用の文字列にする（同じ演算子の入れ子は平らにする）。
+   * @param {ExprNode} node
+   * @returns {string}
+   * @private
+   */
+  _logicalShape(node) {
+    if (node instanceof LogicalNode) {
+      const items = [];
+      const collect = (n) => {
+        if (n instanceof LogicalNode && n.op === node.op) {
+          n.children.forEach(collect);
+        } else {
+          items.push(this._logicalShape(n));
+        }
+      };
+      collect(node);
+      return items.length === 1 ? items[0] : `${node.op}(${items.join(',')})`;
+    }
+    if (node instanceof NotNode) {
+      return `-(${node.children.map((ch) => this._logicalShape(ch)).join(',')})`;
+    }
+    if (node instanceof SimultaneousProximityNode) {
+      return `{${node.children.map((ch) => this._logicalShape(ch)).join(',')}}${node.k}${node.mode}`;
+    }
+    if (node instanceof ProximityBaseNode) {
+      return `${node.mode}${node.k}(${node.children.map((ch) => this._logicalShape(ch)).join(',')})`;
+    }
+    return JSON.stringify(node ? node.renderLogical() : '');
+  }
+
   /**
    * 分類ブロック生成:
    *  - 使用可能: 識別子 + '+' のみ
@@ -401,14 +554,19 @@ class ExpressionService {
     // token で既存 ClassBlock を優先検索
     let cb = this.repo.findClassBlockByToken(token);
     if (cb && cb.kind === 'CB') {
-      cb.token = token;
       cb.label = label;
+      cb.recordRevision();
       cb.setCodes(codes); // codes から classificationExpr / searchExpr を再計算
+      this.repo.updateToken(cb.id, token);
       this.repo.upsert(cb);
       return cb.id;
     }
 
-    const id = this.repo.findOrCreateIdForLabel(label, 'CB');
+    // 名前付き定義はラベル（先頭コード）が同じでも別ブロックとして扱う
+    // （複数行スクリプトで C2 = C1+... と書いたときに C1 を上書きしないため）
+    const id = name
+      ? this.repo.nextId('CB')
+      : this.repo.findOrCreateIdForLabel(label, 'CB');
     cb = new ClassBlock(id, label, token, codes);
     this.repo.upsert(cb);
     return id;
@@ -0,0 +1,327 @@
+// js/services/project-file-service.js
+// プロジェクトファイル（.json）の書き出しと読み込み（置き換え / 統合）
+
+/**
+ * プロジェクトファイルの中身（RepositorySnapshot に形式名を加えたもの）
+ * @typedef {Object} ProjectFileData
+ * @property {string} format - PROJECT_FILE_FORMAT
+ * @property {number} schemaVersion
+ * @property {number} savedAt
+ * @property {{counters: Object<string, number>, blocks: Object[]}} repository
+ */
+
+/**
+ * 同じ token が別の定義を指している衝突
+ * - keepExisting: 既存のブロックを使う（読み込んだブロックは追加しない）
+ * - useIncoming:  既存のブロックの定義を読み込んだ定義で上書きする
+ * - keepBoth:     読み込んだブロックの token を変えて両方残す
+ *
+ * @typedef {Object} ProjectMergeConflict
+ * @property {string} token
+ * @property {Block} incoming
+ * @property {Block} existing
+ * @property {boolean} sameKind - 種別が違う場合は keepBoth しか選べない
+ * @property {string} renamedToken - keepBoth を選んだときの新しい token
+ * @property {"keepExisting"|"useIncoming"|"keepBoth"} resolution
+ */
+
+/**
+ * 統合の計画（applyMerge に渡す前に衝突の解決方法を選ばせる）
+ * @typedef {Object} ProjectMergePlan
+ * @property {Block[]} incoming - 読み込んだブロック（JSON から復元したもの。まだリポジトリには入っていない）
+ * @property {{incomingId: string, existingId: string}[]} reused - 定義（expressionKey 等）が一致し、既存を使うもの
+ * @property {{from: string, to: string}[]} renumbered - ID が既存と重なるため振り直すもの
+ * @property {ProjectMergeConflict[]} conflicts
+ * @property {Object<string, number>} added - 種別ごとの追加数（衝突で既存を使う分も含む最大値）
+ * @property {Object<string, number>} counters - 統合後の採番カウンタ
+ * @property {Object<string, string>} tagColors - 読み込んだファイルのタグの色
+ */
+
+// プロジェクトファイルの形式名
+const PROJECT_FILE_FORMAT = 'patent-query-builder-project';
+
+class ProjectFileService {
+  /**
+   * @param {BlockRepository} repo
+   */
+  constructor(repo) {
+    this.repo = repo;
+  }
+
+  /**
+   * 現在のリポジトリをプロジェクトファイルの文字列にする
+   * @returns {{fileName: string, text: string}}
+   */
+  exportProject() {
+    const data = {
+      format: PROJECT_FILE_FORMAT,
+      schemaVersion: REPOSITORY_SCHEMA_VERSION,
+      savedAt: Date.now(),
+      repository: this.repo.toJSON()
+    };
+    const pad = (n) => String(n).padStart(2, '0');
+    const d = new Date(data.savedAt);
+    const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}`;
+    return { fileName: `query-blocks-${stamp}.json`, text: JSON.stringify(data, null, 2) };
+  }
+
+  /**
+   * プロジェクトファイルの文字列を読み、現在のスキーマのブロック一覧にする
+   * 自動保存のデータ（format なし）や古いスキーマのファイルも読める。
+   * @param {string} text
+   * @returns {{blocks: Block[], counters: Object<string, number>, tagColors: Object<string, string>, savedAt: number|null, fromVersion: number}}
+   * @throws {Error} JSON でない・形式が不正な場合
+   */
+  parseProject(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`JSON として読めません: ${e.message || e}`);
+    }
+    if (data && data.format && data.format !== PROJECT_FILE_FORMAT) {
+      throw new Error(`このアプリのプロジェクトファイルではありません（${data.format}）。`);
+    }
+
+    const { snapshot, fromVersion } = RepositoryStorage.migrate(data);
+    const blocks = snapshot.repository.blocks.map((obj) => Block.fromJSON(obj));
+    const settings = snapshot.repository.settings || {};
+    const tagColors = {};
+    Object.keys(settings.tagColors || {}).forEach((tag) => {
+      const color = settings.tagColors[tag];
+      if (/^#[0-9a-fA-F]{6}$/.test(color)) tagColors[tag] = color;
+    });
+    return {
+      blocks,
+      counters: snapshot.repository.counters || {},
+      tagColors,
+      savedAt: snapshot.savedAt || null,
+      fromVersion
+    };
+  }
+
+  /**
+   * リポジトリの中身を読み込んだプロジェクトで置き換える
+   * @param {{blocks: Block[], counters: Object<string, number>, tagColors?: Object<string, string>}} project
+   */
+  replace(project) {
+    // ブロック数・検索式の上限はワークスペースの設定なので、読み込んだファイルの値ではなく現在の値を引き継ぐ
+    // （タグの色は読み込んだブロックのタグに合わせて、ファイルの値を優先する）
+    this.repo.loadFromJSON({
+      counters: project.counters,
+      settings: {
+        maxBlocksPerKind: this.repo.maxBlocksPerKind,
+        queryLimits: Object.assign({}, this.repo.queryLimits),
+        tagColors: Object.assign({}, this.repo.tagColors, project.tagColors)
+      },
+      blocks: project.blocks.map((blk) => blk.toJSON())
+    });
+  }
+
+  /**
+   * 統合の計画を立てる（リポジトリは変更しない）
+   *
+   * - Word / 分類ブロックは定義（expressionKey、なければ検索式・分類コード）が同じ既存ブロックを再利用する
+   * - 定義が違うのに token が同じものは衝突として返す（既定の解決方法は keepBoth）
+   * - 既存と重なる ID は nextId と同じ規則で振り直す
+   *
+   * @param {{blocks: Block[], tagColors?: Object<string, string>}} project
+   * @returns {ProjectMergePlan}
+   * @throws {Error} 統合するとブロック数の上限を超える場合
+   */
+  planMerge(project) {
+    const plan = {
+      incoming: project.blocks,
+      reused: [],
+      renumbered: [],
+      conflicts: [],
+      added: { WB: 0, CB: 0, EB: 0 },
+      tagColors: project.tagColors || {}
+    };
+    const reservedTokens = new Set(project.blocks.map((blk) => blk.token).filter((t) => t));
+
+    project.blocks.forEach((blk) => {
+      if (blk.kind === 'EB') {
+        plan.added.EB++;
+        return;
+      }
+
+      const same = this._findSameDefinition(blk);
+      if (same) {
+        plan.reused.push({ incomingId: blk.id, existingId: same.id });
+        return;
+      }
+
+      const owner = blk.token && (this.repo.findWordBlockByToken(blk.token) || this.repo.findClassBlockByToken(blk.token));
+      if (owner) {
+        const renamedToken = this._uniqueToken(blk.token, reservedTokens);
+        reservedTokens.add(renamedToken);
+        plan.conflicts.push({
+          token: blk.token,
+          incoming: blk,
+          existing: owner,
+          sameKind: owner.kind === blk.kind,
+          renamedToken,
+          resolution: 'keepBoth'
+        });
+      }
+      plan.added[blk.kind]++;
+    });
+
+    // 追加されるブロックの ID を決める（既存と重なるものだけ振り直す）
+    const counters = Object.assign({}, this.repo.counters);
+    project.blocks.forEach((blk) => {
+      const m = /^(WB|CB|EB)-(\d+)$/.exec(blk.id);
+      if (m) counters[m[1]] = Math.max(counters[m[1]] || 0, parseInt(m[2], 10));
+    });
+    const reusedIds = new Set(plan.reused.map((r) => r.incomingId));
+    project.blocks.forEach((blk) => {
+      if (reusedIds.has(blk.id) || !this.repo.get(blk.id)) return;
+      counters[blk.kind] = (counters[blk.kind] || 0) + 1;
+      plan.renumbered.push({ from: blk.id, to: `${blk.kind}-${String(counters[blk.kind]).padStart(4, '0')}` });
+    });
+    plan.counters = counters;
+
+    const limit = this.repo.maxBlocksPerKind;
+    ['WB', 'CB', 'EB'].forEach((kind) => {
+      const total = this.repo.countBlocksByKind(kind) + plan.added[kind];
+      if (limit !== null && total > limit) {
+        throw new Error(
+          `統合すると${kind === 'WB' ? 'Word' : kind === 'CB' ? '分類' : '式'}ブロックが ${total} 個になり、上限（${limit} 個）を超えます。`
+        );
+      }
+    });
+    return plan;
+  }
+
+  /**
+   * 計画に従って統合する
+   * 読み込んだ式ブロックの BlockRefNode は振り直し・再利用後の ID に、
+   * WordTokenNode は再利用・改名後の token に書き換える。
+   * @param {ProjectMergePlan} plan
+   * @returns {{added: string[], reused: number, updated: string[]}}
+   */
+  applyMerge(plan) {
+    const idMap = new Map();
+    const tokenMap = new Map();
+    const skip = new Set();
+    const updated = [];
+
+    plan.renumbered.forEach(({ from, to }) => idMap.set(from, to));
+    plan.reused.forEach(({ incomingId, existingId }) => {
+      const incoming = plan.incoming.find((blk) => blk.id === incomingId);
+      const existing = this.repo.get(existingId);
+      idMap.set(incomingId, existingId);
+      if (incoming.token && incoming.token !== existing.token) tokenMap.set(incoming.token, existing.token);
+      skip.add(incomingId);
+    });
+
+    plan.conflicts.forEach((conflict) => {
+      const { incoming, existing } = conflict;
+      const resolution = conflict.sameKind ? conflict.resolution : 'keepBoth';
+      if (resolution === 'keepExisting') {
+        idMap.set(incoming.id, existing.id);
+        skip.add(incoming.id);
+      } else if (resolution === 'useIncoming') {
+        this._overwriteDefinition(existing, incoming);
+        idMap.set(incoming.id, existing.id);
+        skip.add(incoming.id);
+        updated.push(existing.id);
+      } else {
+        tokenMap.set(incoming.token, conflict.renamedToken);
+        incoming.token = conflict.renamedToken;
+        if (incoming.label === conflict.token) incoming.label = conflict.renamedToken;
+      }
+    });
+
+    const added = [];
+    plan.incoming.forEach((blk) => {
+      if (skip.has(blk.id)) return;
+      const copy = Block.fromJSON(Object.assign(blk.toJSON(), { id: idMap.get(blk.id) || blk.id }));
+      if (copy.kind === 'EB' && copy.root) {
+        copy.setRoot(
+          transformExpr(copy.root, (node) => {
+            if (node instanceof BlockRefNode && idMap.has(node.blockId)) {
+              return new BlockRefNode(idMap.get(node.blockId));
+            }
+            if (node instanceof WordTokenNode && tokenMap.has(node.token)) {
+              return new WordTokenNode(tokenMap.get(node.token));
+            }
+            return undefined;
+          })
+        );
+      }
+      this.repo.upsert(copy);
+      added.push(copy.id);
+    });
+
+    Object.keys(plan.counters).forEach((kind) => {
+      this.repo.counters[kind] = Math.max(this.repo.counters[kind] || 0, plan.counters[kind]);
+    });
+    // 既存のタグの色は変えず、新しいタグだけ読み込んだ色にする
+    Object.keys(plan.tagColors || {}).forEach((tag) => {
+      if (!this.repo.tagColors[tag]) this.repo.setTagColor(tag, plan.tagColors[tag]);
+    });
+    return { added, reused: plan.reused.length, updated };
+  }
+
+  /**
+   * 定義が同じ既存ブロック
+   * @param {WordBlock|ClassBlock} blk
+   * @returns {Block|undefined}
+   * @private
+   */
+  _findSameDefinition(blk) {
+    if (blk.kind === 'WB') {
+      if (blk.expressionKey) {
+        const found = this.repo.findWordBlockByExpressionKey(blk.expressionKey);
+        if (found) return found;
+      }
+      return this.repo.getAllWords().find((wb) => wb.queryText && wb.queryText === blk.queryText);
+    }
+    if (blk.kind === 'CB') {
+      const key = blk.expressionKey || [...blk.codes].sort().join('+');
+      return (
+        this.repo.findClassBlockByExpressionKey(key) ||
+        this.repo.getAllClasses().find((cb) => [...cb.codes].sort().join('+') === key)
+      );
+    }
+    return undefined;
+  }
+
+  /**
+   * 既存ブロックの定義（検索式・分類コード等）を読み込んだブロックの内容で上書きする
+   * @param {WordBlock|ClassBlock} existing
+   * @param {WordBlock|ClassBlock} incoming
+   * @private
+   */
+  _overwriteDefinition(existing, incoming) {
+    existing.recordRevision();
+    if (existing.kind === 'WB') {
+      existing.updateQueryText(incoming.queryText);
+      existing.updateVariants(incoming.variants);
+      existing.updateDisplayLabel(incoming.displayLabel);
+    } else {
+      existing.setCodes(incoming.codes);
+    }
+    this.repo.updateExpressionKey(existing.id, incoming.expressionKey);
+    this.repo.upsert(existing);
+  }
+
+  /**
+   * 既存・読み込み中のどちらとも重ならない token（"NB" → "NB_2"）
+   * @param {string} token
+   * @param {Set<string>} reserved
+   * @returns {string}
+   * @private
+   */
+  _uniqueToken(token, reserved) {
+    for (let n = 2; ; n++) {
+      const candidate = `${token}_${n}`;
+      if (!reserved.has(candidate) && this.repo.validateToken(candidate).ok) return candidate;
+    }
+  }
+}
+
+// グローバル公開
+window.ProjectFileService = ProjectFileService;
@@ -0,0 +1,265 @@
+// js/services/query-meter.js
+// 検索式の長さ・複雑さの計測と、検索システムの上限との照合
+
+/**
+ * 検索式の計測値
+ * @typedef {Object} QueryMetrics
+ * @property {number} length - コピーされる検索式の文字数（内部整形後）
+ * @property {number|null} terms - 語・分類コードの数（解析できなければ null）
+ * @property {number|null} orBranches - 和（+）で並ぶ項の総数
+ * @property {number|null} proximity - 近傍（2 要素・同時近傍）の数
+ * @property {number} depth - 括弧 ( ) [ ] { } の最大入れ子の深さ
+ */
+
+/**
+ * 上限との照合結果 1 件
+ * @typedef {Object} QueryLimitIssue
+ * @property {"length"|"terms"|"orBranches"|"proximity"|"depth"|"parse"} metric
+ * @property {"warning"|"error"} level
+ * @property {string} message
+ */
+
+/**
+ * 上限プロファイル
+ * warnRatio は「上限のこの割合を超えたら警告」を表す。
+ * @typedef {Object} QueryLimitProfile
+ * @property {string} name
+ * @property {number} maxLength
+ * @property {number} maxTerms
+ * @property {number} maxOrBranches
+ * @property {number} maxProximity
+ * @property {number} maxDepth
+ * @property {number} warnRatio
+ */
+
+// 上限プロファイル（既定値は運用しながら調整する前提。項目ごとにワークスペースの設定で上書きできる）
+const QUERY_LIMIT_PROFILES = {
+  jplatpat: {
+    name: 'J-PlatPat',
+    maxLength: 1500,
+    maxTerms: 300,
+    maxOrBranches: 200,
+    maxProximity: 30,
+    maxDepth: 10,
+    warnRatio: 0.8
+  }
+};
+
+// 計測値の表示名と、対応するプロファイルの上限キー
+const QUERY_METRIC_DEFS = [
+  { metric: 'length', label: '文字数', limitKey: 'maxLength' },
+  { metric: 'terms', label: '語数', limitKey: 'maxTerms' },
+  { metric: 'orBranches', label: 'OR 項数', limitKey: 'maxOrBranches' },
+  { metric: 'proximity', label: '近傍数', limitKey: 'maxProximity' },
+  { metric: 'depth', label: '入れ子の深さ', limitKey: 'maxDepth' }
+];
+
+class QueryMeter {
+  /**
+   * @param {RenderContext} ctx
+   * @param {Partial<QueryLimitProfile>} [profile] - 既定（J-PlatPat）からの差分
+   */
+  constructor(ctx, profile) {
+    this.ctx = ctx;
+    this.exprNormalizer = new ExpressionNormalizer();
+    this.setProfile(profile);
+  }
+
+  /**
+   * 上限プロファイルを設定する（指定しなかった項目は J-PlatPat の既定値）
+   * @param {Partial<QueryLimitProfile>} [profile]
+   */
+  setProfile(profile) {
+    this.profile = Object.assign({}, QUERY_LIMIT_PROFILES.jplatpat, profile || {});
+  }
+
+  /**
+   * 設定画面で編集する上限の項目（表示名と既定値）
+   * @returns {{key: string, label: string, defaultValue: number}[]}
+   */
+  static limitFields() {
+    const defaults = QUERY_LIMIT_PROFILES.jplatpat;
+    return QUERY_METRIC_DEFS.map((def) => ({
+      key: def.limitKey,
+      label: def.label,
+      defaultValue: defaults[def.limitKey]
+    }));
+  }
+
+  /**
+   * 入力された上限を検証し、既定値から変える項目だけを返す
+   * @param {Object<string, string>} inputs - 項目 -> 入力文字列（空欄は既定値）
+   * @returns {Object<string, number>}
+   * @throws {Error} 1 以上の整数でない場合
+   */
+  static normalizeLimits(inputs) {
+    const limits = {};
+    QueryMeter.limitFields().forEach((field) => {
+      const text = String(inputs[field.key] || '').trim();
+      if (text === '') return;
+      const value = Number(text);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${field.label}の上限は 1 以上の整数で指定してください。`);
+      }
+      if (value !== field.defaultValue) limits[field.key] = value;
+    });
+    return limits;
+  }
+
+  /**
+   * 式ブロックの検索式を計測し、上限と照合する
+   * @param {EquationBlock} eb
+   * @returns {{query: string, metrics: QueryMetrics, issues: QueryLimitIssue[], level: "ok"|"warning"|"error"}}
+   */
+  measureEquation(eb) {
+    const query = this.exprNormalizer.normalizeInline(eb.renderQuery(this.ctx) || '');
+    const { metrics, parseError } = this.measureText(query);
+    const issues = this.check(metrics);
+    if (parseError) {
+      issues.unshift({
+        metric: 'parse',
+        level: 'warning',
+        message: `検索式を解析できないため語数などを計測できません: ${parseError}`
+      });
+    }
+    return { query, metrics, issues, level: this._worstLevel(issues) };
+  }
+
+  /**
+   * 検索式文字列を計測する
+   * @param {string} text - 内部整形済みの検索式
+   * @returns {{metrics: QueryMetrics, parseError: string|null}}
+   */
+  measureText(text) {
+    const metrics = {
+      length: text.length,
+      terms: null,
+      orBranches: null,
+      proximity: null,
+      depth: this._bracketDepth(text)
+    };
+    if (!text) {
+      return { metrics: Object.assign(metrics, { terms: 0, orBranches: 0, proximity: 0 }), parseError: null };
+    }
+
+    let q;
+    try {
+      const normalized = this.exprNormalizer.normalizeSymbolsKeepingLength(text);
+      q = new QueryParser(new Lexer(normalized)).parseQuery();
+    } catch (e) {
+      return { metrics, parseError: e.message || String(e) };
+    }
+
+    const counts = { terms: 0, orBranches: 0, proximity: 0 };
+    this._count(q, counts);
+    return { metrics: Object.assign(metrics, counts), parseError: null };
+  }
+
+  /**
+   * 計測値をプロファイルの上限と照合する
+   * @param {QueryMetrics} metrics
+   * @returns {QueryLimitIssue[]}
+   */
+  check(metrics) {
+    const issues = [];
+    QUERY_METRIC_DEFS.forEach(({ metric, label, limitKey }) => {
+      const value = metrics[metric];
+      const max = this.profile[limitKey];
+      if (value === null || value === undefined || !max) return;
+
+      if (value > max) {
+        issues.push({
+          metric,
+          level: 'error',
+          message: `${label}が${this.profile.name}の上限を超えています（${value} / ${max}）。`
+        });
+      } else if (value > max * this.profile.warnRatio) {
+        issues.push({
+          metric,
+          level: 'warning',
+          message: `${label}が${this.profile.name}の上限に近づいています（${value} / ${max}）。`
+        });
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * カード表示用の計測値の要約（例: "文字数 120 / 語数 8 / ..."）
+   * @param {QueryMetrics} metrics
+   * @returns {string}
+   */
+  formatMetrics(metrics) {
+    return QUERY_METRIC_DEFS.map(({ metric, label }) => {
+      const value = metrics[metric];
+      return `${label} ${value === null ? '-' : value}`;
+    }).join(' / ');
+  }
+
+  /**
+   * QueryNode ツリーの語・OR 項・近傍を数える
+   * @param {QueryNode} q
+   * @param {{terms: number, orBranches: number, proximity: number}} counts
+   * @private
+   */
+  _count(q, counts) {
+    if (!q) return;
+    switch (q.type) {
+      case 'term':
+        counts.terms++;
+        return;
+      case 'tagged':
+        this._count(q.child, counts);
+        return;
+      case 'prox':
+        counts.proximity++;
+        this._count(q.left, counts);
+        this._count(q.right, counts);
+        return;
+      case 'simul':
+        counts.proximity++;
+        break;
+      case 'or':
+        counts.orBranches += q.children.length;
+        break;
+      default:
+        break;
+    }
+    (q.children || []).forEach((ch) => this._count(ch, counts));
+  }
+
+  /**
+   * 括弧の最大入れ子の深さ
+   * @param {string} text
+   * @returns {number}
+   * @private
+   */
+  _bracketDepth(text) {
+    let depth = 0;
+    let max = 0;
+    for (const ch of text) {
+      if (ch === '(' || ch === '[' || ch === '{') {
+        depth++;
+        if (depth > max) max = depth;
+      } else if ((ch === ')' || ch === ']' || ch === '}') && depth > 0) {
+        depth--;
+      }
+    }
+    return max;
+  }
+
+  /**
+   * @param {QueryLimitIssue[]} issues
+   * @returns {"ok"|"warning"|"error"}
+   * @private
+   */
+  _worstLevel(issues) {
+    if (issues.some((i) => i.level === 'error')) return 'error';
+    if (issues.length) return 'warning';
+    return 'ok';
+  }
+}
+
+// グローバル公開
+window.QueryMeter = QueryMeter;
+window.QUERY_LIMIT_PROFILES = QUERY_LIMIT_PROFILES;
@@ -0,0 +1,257 @@
+// js/services/query-splitter.js
+// 文字数上限を超える検索式を、和が元の式と等しい複数の検索式に分割する
+
+/**
+ * 分割結果
+ * - status:
+ *   - ok:         すべての検索式が上限内で、和が元の式と等価であることを確認済み
+ *   - too-long:   分割しきれず上限を超える検索式が残った（和の等価性は確認済み）
+ *   - mismatch:   和が元の式と一致しなかった（描画上の制約によるもの。コピーは勧めない）
+ *   - unverified: 変数が多すぎる等で等価性を確認できなかった（利用者が承知すればコピーできる）
+ *
+ * @typedef {Object} QuerySplitResult
+ * @property {string[]} parts - 分割後の検索式（内部整形済み）
+ * @property {"none"|"or"|"variants"|"or+variants"} strategy - 使った分割方法
+ * @property {"ok"|"too-long"|"mismatch"|"unverified"} status
+ * @property {number} budget - 1 検索式あたりの文字数上限
+ * @property {string} [message]
+ */
+
+class QuerySplitter {
+  /**
+   * @param {BlockRepository} repo
+   * @param {RenderContext} ctx
+   * @param {QueryVerifier} verifier - 分割結果の和を元の式と照合する
+   */
+  constructor(repo, ctx, verifier) {
+    this.repo = repo;
+    this.ctx = ctx;
+    this.verifier = verifier;
+    this.exprNormalizer = new ExpressionNormalizer();
+  }
+
+  /**
+   * 式ブロックの検索式を、1 つあたり budget 文字以内の検索式に分割する
+   *
+   * - トップレベルの OR は項ごとにばらし、上限内に収まるよう詰め直す
+   * - それでも長い項は、AND の中で最も要素の多い WordBlock のバリエーションを分ける
+   *   （A*(v1+v2+v3) = A*(v1+v2) + A*v3）
+   *
+   * @param {EquationBlock} eb
+   * @param {number} budget
+   * @returns {QuerySplitResult}
+   */
+  split(eb, budget) {
+    const full = this._render(eb.root, this.ctx);
+    if (full.length <= budget) {
+      return { parts: [full], strategy: 'none', status: 'ok', budget };
+    }
+
+    // 分割用の一時 WordBlock は、リポジトリを汚さないよう上書き層に置く
+    const overlay = Object.create(this.repo);
+    const tempBlocks = new Map();
+    overlay.get = (id) => tempBlocks.get(id) || this.repo.get(id);
+    const splitCtx = new RenderContext(overlay);
+
+    const used = new Set();
+    const units = [];
+    this._unitsOf(eb.root, used, new Set([eb.id])).forEach((unit) => {
+      if (this._render(unit, splitCtx).length <= budget) {
+        units.push(unit);
+      } else {
+        units.push(...this._splitVariants(unit, budget, splitCtx, tempBlocks, used));
+      }
+    });
+
+    let parts = this._pack(units, budget, splitCtx);
+    let check = this.verifier.verifyUnion(eb, parts);
+    if (check.status === 'mismatch' && parts.length < units.length) {
+      // 詰め合わせた OR の描画が崩れる場合は、項を 1 つずつの検索式にする
+      parts = units.map((unit) => this._render(unit, splitCtx));
+      check = this.verifier.verifyUnion(eb, parts);
+    }
+
+    const strategy = used.has('or') && used.has('variants')
+      ? 'or+variants'
+      : used.has('variants') ? 'variants' : used.has('or') ? 'or' : 'none';
+    const result = { parts, strategy, status: check.status, budget };
+
+    if (check.status !== 'ok') {
+      result.message = check.message;
+    } else if (parts.some((p) => p.length > budget)) {
+      result.status = 'too-long';
+      result.message = `上限（${budget}文字）に収まらない検索式が残っています。これ以上分割できる OR やバリエーションがありません。`;
+    } else if (parts.length === 1) {
+      result.status = 'too-long';
+      result.message = '分割できる OR やバリエーションがありません。';
+    }
+    return result;
+  }
+
+  /**
+   * トップレベルの OR を項にばらす（式ブロック参照は中身を展開する）
+   * @param {ExprNode} node
+   * @param {Set<string>} used
+   * @param {Set<string>} visiting
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _unitsOf(node, used, visiting) {
+    if (node instanceof BlockRefNode) {
+      const blk = this.repo.get(node.blockId);
+      if (blk && blk.kind === 'EB' && blk.root && !visiting.has(blk.id)) {
+        const next = new Set(visiting);
+        next.add(blk.id);
+        return this._unitsOf(blk.root, used, next);
+      }
+    }
+    if (node instanceof LogicalNode && node.op === '+' && node.children.length > 1) {
+      used.add('or');
+      const units = [];
+      node.children.forEach((child) => units.push(...this._unitsOf(child, used, visiting)));
+      return units;
+    }
+    return [node];
+  }
+
+  /**
+   * AND 項の中で最も要素の多い WordBlock のバリエーションを分け、
+   * 各部分を差し込んだ項の並びを返す（分けられなければ元の項のみ）
+   * @param {ExprNode} unit
+   * @param {number} budget
+   * @param {RenderContext} splitCtx
+   * @param {Map<string, Block>} tempBlocks
+   * @param {Set<string>} used
+   * @returns {ExprNode[]}
+   * @private
+   */
+  _splitVariants(unit, budget, splitCtx, tempBlocks, used) {
+    const factors = unit instanceof LogicalNode && unit.op === '*' ? unit.children : [unit];
+
+    let target = null;
+    factors.forEach((factor, index) => {
+      const wb = this._wordBlockOf(factor);
+      if (!wb) return;
+      const elements = this._splitTopLevelSum(wb.queryText || '');
+      if (elements.length > 1 && (!target || elements.length > target.elements.length)) {
+        target = { index, wb, elements };
+      }
+    });
+    if (!target) return [unit];
+
+    const withChunk = (chunk, chunkNo) => {
+      const tempId = `${target.wb.id}#${chunkNo}`;
+      tempBlocks.set(
+        tempId,
+        new WordBlock(tempId, target.wb.label, `${target.wb.token}#${chunkNo}`, chunk.join('+'))
+      );
+      const replaced = factors.map((f, i) => (i === target.index ? new BlockRefNode(tempId) : f));
+      return replaced.length === 1 ? replaced[0] : new LogicalNode('*', replaced);
+    };
+
+    // 上限に収まる範囲でバリエーションを前から順に詰める
+    const result = [];
+    let chunk = [];
+    let chunkNo = tempBlocks.size + 1;
+    target.elements.forEach((element) => {
+      const candidate = [...chunk, element];
+      if (chunk.length && this._render(withChunk(candidate, chunkNo), splitCtx).length > budget) {
+        result.push(withChunk(chunk, chunkNo++));
+        chunk = [element];
+      } else {
+        chunk = candidate;
+      }
+    });
+    if (chunk.length) result.push(withChunk(chunk, chunkNo));
+
+    if (result.length > 1) used.add('variants');
+    return result;
+  }
+
+  /**
+   * 項を上限内に収まるよう順に OR で詰め合わせ、検索式の並びにする
+   * @param {ExprNode[]} units
+   * @param {number} budget
+   * @param {RenderContext} splitCtx
+   * @returns {string[]}
+   * @private
+   */
+  _pack(units, budget, splitCtx) {
+    const parts = [];
+    let group = [];
+    let groupText = '';
+    units.forEach((unit) => {
+      const candidate = [...group, unit];
+      const text = this._render(candidate.length === 1 ? unit : new LogicalNode('+', candidate), splitCtx);
+      if (group.length && text.length > budget) {
+        parts.push(groupText);
+        group = [unit];
+        groupText = this._render(unit, splitCtx);
+      } else {
+        group = candidate;
+        groupText = text;
+      }
+    });
+    if (group.length) parts.push(groupText);
+    return parts;
+  }
+
+  /**
+   * 項が WordBlock そのものなら返す
+   * @param {ExprNode} node
+   * @returns {WordBlock|null}
+   * @private
+   */
+  _wordBlockOf(node) {
+    let blk = null;
+    if (node instanceof BlockRefNode) {
+      blk = this.repo.get(node.blockId);
+    } else if (node instanceof WordTokenNode) {
+      blk = this.repo.findWordBlockByToken(node.token);
+    }
+    return blk && blk.kind === 'WB' ? blk : null;
+  }
+
+  /**
+   * 外側の括弧を外し、トップレベルの + で分ける（- を含む式は分けない）
+   * @param {string} text
+   * @returns {string[]}
+   * @private
+   */
+  _splitTopLevelSum(text) {
+    const body = stripOuterParens(text.trim());
+    const elements = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < body.length; i++) {
+      const ch = body[i];
+      if (ch === '(' || ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === '}' || ch === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (depth === 0 && (ch === '-' || ch === '－')) {
+        return [body];
+      } else if (depth === 0 && (ch === '+' || ch === '＋')) {
+        elements.push(body.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    elements.push(body.slice(start).trim());
+    return elements.filter((e) => e);
+  }
+
+  /**
+   * AST を式ブロックと同じ規則で描画し、内部整形した検索式を返す
+   * @param {ExprNode} node
+   * @param {RenderContext} ctx
+   * @returns {string}
+   * @private
+   */
+  _render(node, ctx) {
+    const preview = new EquationBlock('', '', node);
+    return this.exprNormalizer.normalizeInline(preview.renderQuery(ctx) || '');
+  }
+}
+
+// グローバル公開
+window.QuerySplitter = QuerySplitter;
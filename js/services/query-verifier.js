@@ -0,0 +1,737 @@
+// js/services/query-verifier.js
+// 検索式の往復検証: parse(renderQuery(eb)) が eb の AST と論理的に等価かを確かめる
+
+/**
+ * 比較用の論理形（AST 側・検索式側の両方をこの形にそろえて比較する）
+ *
+ * - atom:  語・分類コード 1 つ（key = "TX:基地局" / "CP:H04W16/24" / "FI:H04W16/24"）
+ * - or / and: 和・積（平坦化・重複除去・key 順に整列済み）
+ * - not:   論理差（include - exclude）
+ * - prox:  2 要素近傍（左右の順序は保持）
+ * - simul: 3 要素同時近傍（順序は保持）
+ * - empty: 何も表さない（参照先のないブロックなど。renderQuery と同様に無視する）
+ *
+ * @typedef {Object} LogicForm
+ * @property {"atom"|"or"|"and"|"not"|"prox"|"simul"|"empty"} type
+ * @property {string} key - 構造を表す正規化済み文字列（等しければ同じ式）
+ * @property {string} [field] - atom のフィールド（"TX" | "CP" | "FI"）
+ * @property {string} [text] - atom の語・分類コード
+ * @property {LogicForm[]} [children]
+ * @property {LogicForm} [include]
+ * @property {LogicForm} [exclude]
+ * @property {LogicForm} [left]
+ * @property {LogicForm} [right]
+ * @property {"NNn"|"NNc"} [mode]
+ * @property {number} [k]
+ * @property {ExprNode} [origin] - AST 側で対応するノード（食い違い箇所の表示用）
+ */
+
+/**
+ * 検証結果
+ * - ok:         等価
+ * - mismatch:   等価でない（divergence に食い違い箇所、counterExample に反例）
+ * - unverified: 変数が多すぎる・検索式を再解析できない等で判定できなかった
+ *
+ * @typedef {Object} QueryVerificationResult
+ * @property {"ok"|"mismatch"|"unverified"} status
+ * @property {string} query - 検証した検索式
+ * @property {string} [message]
+ * @property {{expected: string, actual: string, origin?: string}} [divergence]
+ * @property {{present: string[], absent: string[]}} [counterExample]
+ */
+
+// 真理値表で総当たりする変数の上限（2^16 通り）
+const VERIFY_MAX_VARIABLES = 16;
+
+class QueryVerifier {
+  /**
+   * @param {BlockRepository} repo
+   * @param {RenderContext} ctx
+   */
+  constructor(repo, ctx) {
+    this.repo = repo;
+    this.ctx = ctx;
+    this.exprNormalizer = new ExpressionNormalizer();
+  }
+
+  /**
+   * 式ブロックの検索式を再解析し、元の AST と等価かを検証する
+   * @param {EquationBlock} eb
+   * @param {string} [queryText] - 検証する検索式（省略時は eb.renderQuery）
+   * @returns {QueryVerificationResult}
+   */
+  verifyEquation(eb, queryText) {
+    let query = queryText;
+    if (query === undefined) {
+      try {
+        query = eb.renderQuery(this.ctx) || '';
+      } catch (e) {
+        return { status: 'unverified', query: '', message: e.message || String(e) };
+      }
+    }
+
+    let expected;
+    try {
+      expected = this.fromExpr(eb.root, new Set([eb.id]));
+    } catch (e) {
+      return { status: 'unverified', query, message: e.message || String(e) };
+    }
+
+    let actual;
+    try {
+      actual = this.fromQueryText(query);
+    } catch (e) {
+      return {
+        status: 'mismatch',
+        query,
+        message: `生成された検索式を再解析できません: ${e.message || e}`
+      };
+    }
+
+    const cmp = this.compare(expected, actual);
+    if (cmp.equivalent === null) {
+      return { status: 'unverified', query, message: cmp.message };
+    }
+    if (cmp.equivalent) {
+      return { status: 'ok', query };
+    }
+
+    const div = this.findDivergence(expected, actual) || { expected, actual };
+    const result = {
+      status: 'mismatch',
+      query,
+      message: '検索式が式ブロックの論理と一致しません。',
+      divergence: {
+        expected: this.renderForm(div.expected),
+        actual: this.renderForm(div.actual)
+      },
+      counterExample: cmp.counterExample
+    };
+    const origin = this._findOrigin(div.expected);
+    if (origin) {
+      result.divergence.origin = origin.renderLogical(this.ctx);
+    }
+    return result;
+  }
+
+  /**
+   * 複数の検索式の和（OR）が式ブロックの AST と等価かを検証する（分割コピー用）
+   * @param {EquationBlock} eb
+   * @param {string[]} queryTexts
+   * @returns {{status: "ok"|"mismatch"|"unverified", message?: string, counterExample?: {present: string[], absent: string[]}}}
+   */
+  verifyUnion(eb, queryTexts) {
+    let expected;
+    let actual;
+    try {
+      expected = this.fromExpr(eb.root, new Set([eb.id]));
+    } catch (e) {
+      return { status: 'unverified', message: e.message || String(e) };
+    }
+    try {
+      actual = this._or(queryTexts.map((text) => this.fromQueryText(text)));
+    } catch (e) {
+      return { status: 'mismatch', message: `分割した検索式を再解析できません: ${e.message || e}` };
+    }
+
+    const cmp = this.compare(expected, actual);
+    if (cmp.equivalent === null) {
+      return { status: 'unverified', message: cmp.message };
+    }
+    if (cmp.equivalent) {
+      return { status: 'ok' };
+    }
+    return {
+      status: 'mismatch',
+      message: '分割した検索式の和が式ブロックの論理と一致しません。',
+      counterExample: cmp.counterExample
+    };
+  }
+
+  // ========================================
+  // 論理形の構築
+  // ========================================
+
+  /**
+   * AST → 論理形
+   * @param {ExprNode} node
+   * @param {Set<string>} visiting - 展開中の EquationBlock ID（循環参照の検出用）
+   * @returns {LogicForm}
+   */
+  fromExpr(node, visiting) {
+    if (!node) return this._empty();
+
+    let form;
+    if (node instanceof WordTokenNode) {
+      const wb = this._resolveWord(node.token);
+      // WordBlock に解決できない token（削除時に展開された検索テキストなど）は、
+      // 描画と同じくそのまま検索テキストとして解釈する
+      form = wb ? this._fromWordBlock(wb) : this._fromWordText(node.token);
+    } else if (node instanceof BlockRefNode) {
+      form = this._fromBlockRef(node.blockId, visiting);
+    } else if (node instanceof LogicalNode) {
+      const children = node.children.map((ch) => this.fromExpr(ch, visiting));
+      form = node.op === '*' ? this._and(children) : this._or(children);
+    } else if (node instanceof NotNode) {
+      form = this._not(this.fromExpr(node.include, visiting), this.fromExpr(node.exclude, visiting));
+    } else if (node instanceof ProximityNode) {
+      form = this._prox(
+        node.mode,
+        node.k,
+        this.fromExpr(node.children[0], visiting),
+        this.fromExpr(node.children[1], visiting)
+      );
+    } else if (node instanceof SimultaneousProximityNode) {
+      form = this._simul(node.k, node.children.map((ch) => this.fromExpr(ch, visiting)));
+    } else {
+      throw new Error(`検証できないノードです: ${node.constructor.name}`);
+    }
+
+    if (!form.origin) form.origin = node;
+    return form;
+  }
+
+  /**
+   * 検索式文字列 → 論理形
+   * @param {string} text
+   * @returns {LogicForm}
+   */
+  fromQueryText(text) {
+    const normalized = this.exprNormalizer.normalizeSymbolsKeepingLength(text || '');
+    const q = new QueryParser(new Lexer(normalized)).parseQuery();
+    return this.fromQuery(q, null);
+  }
+
+  /**
+   * QueryNode → 論理形
+   * @param {QueryNode} q
+   * @param {string|null} field - 外側から引き継いだフィールド
+   * @returns {LogicForm}
+   */
+  fromQuery(q, field) {
+    switch (q.type) {
+      case 'term':
+        return this._atom(q.field || field || '/TX', q.text);
+      case 'tagged':
+        return this.fromQuery(q.child, q.field);
+      case 'or':
+        return this._or(q.children.map((ch) => this.fromQuery(ch, field)));
+      case 'and':
+        return this._and(q.children.map((ch) => this.fromQuery(ch, field)));
+      case 'not':
+        return this._not(this.fromQuery(q.children[0], field), this.fromQuery(q.children[1], field));
+      case 'prox':
+        return this._prox(q.mode, q.k, this.fromQuery(q.left, field), this.fromQuery(q.right, field));
+      case 'simul':
+        return this._simul(q.k, q.children.map((ch) => this.fromQuery(ch, field)));
+      default:
+        throw new Error(`不明な検索式ノード: ${q.type}`);
+    }
+  }
+
+  /**
+   * @param {string} blockId
+   * @param {Set<string>} visiting
+   * @returns {LogicForm}
+   * @private
+   */
+  _fromBlockRef(blockId, visiting) {
+    const blk = this._resolveBlock(blockId);
+    if (!blk) return this._empty();
+
+    if (blk.kind === 'WB') return this._fromWordBlock(blk);
+
+    if (blk.kind === 'CB') {
+      // renderFieldParts と同じく分類式 F を [F/CP+F/FI] として扱う
+      const cls =
+        (blk.classificationExpr && blk.classificationExpr.trim()) ||
+        (Array.isArray(blk.codes) ? blk.codes.join('+') : '');
+      if (!cls) return this._empty();
+      const f = this.fromQueryText(cls);
+      return this._or([this._retagAtoms(f, '/CP'), this._retagAtoms(f, '/FI')]);
+    }
+
+    if (blk.kind === 'EB') {
+      if (visiting.has(blk.id)) {
+        throw new Error(`式ブロック ${blk.id} が循環参照しているため検証できません。`);
+      }
+      const next = new Set(visiting);
+      next.add(blk.id);
+      return this.fromExpr(blk.root, next);
+    }
+
+    return this._empty();
+  }
+
+  /**
+   * ブロック ID の解決（RenderContext があればそちらに委ね、描画と同じ解決結果にそろえる）
+   * @param {string} blockId
+   * @returns {Block|undefined}
+   * @private
+   */
+  _resolveBlock(blockId) {
+    if (this.ctx && typeof this.ctx.resolveBlock === 'function') {
+      return this.ctx.resolveBlock(blockId);
+    }
+    return this.repo ? this.repo.get(blockId) : undefined;
+  }
+
+  /**
+   * 語 token → WordBlock の解決
+   * @param {string} token
+   * @returns {WordBlock|undefined}
+   * @private
+   */
+  _resolveWord(token) {
+    if (this.ctx && typeof this.ctx.getWordForToken === 'function') {
+      return this.ctx.getWordForToken(token);
+    }
+    return this.repo ? this.repo.findWordBlockByToken(token) : undefined;
+  }
+
+  /**
+   * WordBlock の検索テキスト（renderQuery が出力するもの）を論理形にする
+   * @param {WordBlock} wb
+   * @returns {LogicForm}
+   * @private
+   */
+  _fromWordBlock(wb) {
+    const text = (wb.queryText && wb.queryText.trim()) || (wb.token && wb.token.trim()) || '';
+    if (!text) return this._empty();
+    return this.fromQueryText(text);
+  }
+
+  /**
+   * 検索テキストを論理形にする（解析できなければ 1 語として扱う）
+   * @param {string} text
+   * @returns {LogicForm}
+   * @private
+   */
+  _fromWordText(text) {
+    try {
+      return this.fromQueryText(text);
+    } catch (e) {
+      return this._atom('/TX', text);
+    }
+  }
+
+  /**
+   * 論理形中の語（/TX）を指定フィールドの分類コードに付け替える
+   * @param {LogicForm} f
+   * @param {string} field
+   * @returns {LogicForm}
+   * @private
+   */
+  _retagAtoms(f, field) {
+    switch (f.type) {
+      case 'atom':
+        return this._atom(field, f.text);
+      case 'or':
+        return this._or(f.children.map((ch) => this._retagAtoms(ch, field)));
+      case 'and':
+        return this._and(f.children.map((ch) => this._retagAtoms(ch, field)));
+      default:
+        return f;
+    }
+  }
+
+  // ========================================
+  // 論理形の生成（正規化込み）
+  // ========================================
+
+  /** @private */
+  _empty() {
+    return { type: 'empty', key: '' };
+  }
+
+  /**
+   * @param {string} field - "/TX" | "/CP" | "/FI"
+   * @param {string} text
+   * @returns {LogicForm}
+   * @private
+   */
+  _atom(field, text) {
+    const tag = field.replace('/', '').toUpperCase();
+    return { type: 'atom', field: tag, text, key: `${tag}:${text}` };
+  }
+
+  /**
+   * 和・積: 同種の子を平坦化し、empty を除き、重複を除いて key 順に整列する
+   * @param {"or"|"and"} type
+   * @param {LogicForm[]} list
+   * @returns {LogicForm[]}
+   * @private
+   */
+  _flatten(type, list) {
+    const map = new Map();
+    list.forEach((f) => {
+      if (f.type === 'empty') return;
+      const items = f.type === type ? f.children : [f];
+      items.forEach((item) => {
+        if (!map.has(item.key)) map.set(item.key, item);
+      });
+    });
+    return Array.from(map.values()).sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  /** @private */
+  _or(list) {
+    const children = this._flatten('or', list);
+    if (children.length === 0) return this._empty();
+    if (children.length === 1) return children[0];
+    return { type: 'or', children, key: `(${children.map((c) => c.key).join('|')})` };
+  }
+
+  /**
+   * 積: 論理差を含む子は外に出す（(A-B)*C → A*C-B）
+   * @private
+   */
+  _and(list) {
+    const flat = this._flatten('and', list);
+    const nots = flat.filter((f) => f.type === 'not');
+    if (nots.length > 0) {
+      const include = this._and(flat.map((f) => (f.type === 'not' ? f.include : f)));
+      const exclude = this._or(nots.map((f) => f.exclude));
+      return this._not(include, exclude);
+    }
+    if (flat.length === 0) return this._empty();
+    if (flat.length === 1) return flat[0];
+    return { type: 'and', children: flat, key: `(${flat.map((c) => c.key).join('&')})` };
+  }
+
+  /**
+   * 論理差: (A-B)-C → A-(B+C)
+   * @private
+   */
+  _not(include, exclude) {
+    if (include.type === 'empty') return this._empty();
+    if (exclude.type === 'empty') return include;
+    if (include.type === 'not') {
+      return this._not(include.include, this._or([include.exclude, exclude]));
+    }
+    return { type: 'not', include, exclude, key: `(${include.key}!${exclude.key})` };
+  }
+
+  /** @private */
+  _prox(mode, k, left, right) {
+    return {
+      type: 'prox',
+      mode,
+      k,
+      left,
+      right,
+      key: `[${left.key},${k}${mode === 'NNc' ? 'c' : 'n'},${right.key}]`
+    };
+  }
+
+  /** @private */
+  _simul(k, children) {
+    return { type: 'simul', k, children, key: `{${children.map((c) => c.key).join(',')}},${k}n` };
+  }
+
+  // ========================================
+  // 等価判定
+  // ========================================
+
+  /**
+   * 2 つの論理形が等価かを判定する。
+   * 構造（key）が一致すれば等価。一致しなければ、語のまとまりを 1 変数に縮約して
+   * 真理値表で総当たりし、異なる結果になる割り当てを反例として返す。
+   * 近傍は不透明な変数として扱う（ただし近傍が真なら左右の式も真とする）。
+   *
+   * @param {LogicForm} a
+   * @param {LogicForm} b
+   * @returns {{equivalent: boolean|null, counterExample?: {present: string[], absent: string[]}, message?: string}}
+   */
+  compare(a, b) {
+    if (a.key === b.key) return { equivalent: true };
+
+    const vars = this._collectVariables([a, b]);
+    if (vars.list.length > VERIFY_MAX_VARIABLES) {
+      return {
+        equivalent: null,
+        message: `式の要素が多すぎるため検証を省略しました（${vars.list.length} 変数）。`
+      };
+    }
+
+    const n = vars.list.length;
+    for (let mask = 0; mask < 1 << n; mask++) {
+      const value = (leafKey) => (mask & (1 << vars.indexOf.get(leafKey))) !== 0;
+      if (!this._isFeasible(vars.list, value)) continue;
+
+      if (this._evaluate(a, value) !== this._evaluate(b, value)) {
+        return { equivalent: false, counterExample: this._describeAssignment(vars.list, mask) };
+      }
+    }
+    return { equivalent: true };
+  }
+
+  /**
+   * 2 つの論理形の包含関係を判定する
+   *
+   * 真理値表を最後まで走査し、a だけが真になる割り当てと b だけが真になる割り当てを
+   * それぞれ 1 つずつ探す。どちらもなければ等価、片方だけなら包含、両方あれば重なり。
+   * 近傍は compare と同じく不透明な変数とし、実在しない割り当ては除外する。
+   *
+   * @param {LogicForm} a
+   * @param {LogicForm} b
+   * @returns {{relation: "equivalent"|"subset"|"superset"|"overlapping"|null, onlyInA?: {present: string[], absent: string[]}, onlyInB?: {present: string[], absent: string[]}, message?: string}}
+   *   subset は a ⊂ b、superset は b ⊂ a
+   */
+  relate(a, b) {
+    if (a.key === b.key) return { relation: 'equivalent' };
+
+    const vars = this._collectVariables([a, b]);
+    if (vars.list.length > VERIFY_MAX_VARIABLES) {
+      return {
+        relation: null,
+        message: `式の要素が多すぎるため判定を省略しました（${vars.list.length} 変数）。`
+      };
+    }
+
+    let onlyInA = null;
+    let onlyInB = null;
+    const n = vars.list.length;
+    for (let mask = 0; mask < 1 << n && !(onlyInA && onlyInB); mask++) {
+      const value = (leafKey) => (mask & (1 << vars.indexOf.get(leafKey))) !== 0;
+      if (!this._isFeasible(vars.list, value)) continue;
+
+      const inA = this._evaluate(a, value);
+      const inB = this._evaluate(b, value);
+      if (inA && !inB && !onlyInA) onlyInA = this._describeAssignment(vars.list, mask);
+      if (inB && !inA && !onlyInB) onlyInB = this._describeAssignment(vars.list, mask);
+    }
+
+    if (!onlyInA && !onlyInB) return { relation: 'equivalent' };
+    if (!onlyInA) return { relation: 'subset', onlyInB };
+    if (!onlyInB) return { relation: 'superset', onlyInA };
+    return { relation: 'overlapping', onlyInA, onlyInB };
+  }
+
+  /**
+   * 割り当て（ビットマスク）を「含む語 / 含まない語」の一覧にする
+   * @param {{label: string}[]} vars
+   * @param {number} mask
+   * @returns {{present: string[], absent: string[]}}
+   * @private
+   */
+  _describeAssignment(vars, mask) {
+    const present = [];
+    const absent = [];
+    vars.forEach((v, i) => {
+      (mask & (1 << i) ? present : absent).push(v.label);
+    });
+    return { present, absent };
+  }
+
+  /**
+   * 変数（語・分類コード・近傍）を集め、常に同じ和の中に並んで現れる語どうしを 1 変数にまとめる
+   * @param {LogicForm[]} forms
+   * @returns {{list: {key: string, label: string, form: LogicForm}[], indexOf: Map<string, number>}}
+   * @private
+   */
+  _collectVariables(forms) {
+    /** @type {Map<string, {form: LogicForm, parents: string[]}>} */
+    const leaves = new Map();
+    let nextParentId = 0;
+
+    const visit = (f, parentId) => {
+      if (f.type === 'atom' || f.type === 'prox' || f.type === 'simul') {
+        if (!leaves.has(f.key)) leaves.set(f.key, { form: f, parents: [] });
+        leaves.get(f.key).parents.push(parentId);
+        if (f.type === 'prox') {
+          visit(f.left, `x${nextParentId++}`);
+          visit(f.right, `x${nextParentId++}`);
+        } else if (f.type === 'simul') {
+          f.children.forEach((ch) => visit(ch, `x${nextParentId++}`));
+        }
+        return;
+      }
+      const id = f.type === 'or' ? `o${nextParentId++}` : `x${nextParentId++}`;
+      (f.children || []).forEach((ch) => visit(ch, id));
+      if (f.type === 'not') {
+        visit(f.include, id);
+        visit(f.exclude, id);
+      }
+    };
+    forms.forEach((f) => visit(f, `x${nextParentId++}`));
+
+    // 和（o...）の中にしか現れず、現れる和の組み合わせが同じ語は区別する必要がない
+    const groups = new Map();
+    leaves.forEach((leaf, key) => {
+      const onlyInOr = leaf.form.type === 'atom' && leaf.parents.every((p) => p.startsWith('o'));
+      const signature = onlyInOr ? leaf.parents.slice().sort().join(',') : `#${key}`;
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push(leaf.form);
+    });
+
+    const list = [];
+    const indexOf = new Map();
+    groups.forEach((members) => {
+      const idx = list.length;
+      list.push({ key: members[0].key, label: this.renderForm(members[0]), form: members[0] });
+      members.forEach((m) => indexOf.set(m.key, idx));
+    });
+    return { list, indexOf };
+  }
+
+  /**
+   * 近傍が真なのに左右の式が偽になる割り当ては実在しないので除外する
+   * また、同じ左右・同じモードの近傍は距離の短い方が真なら長い方も真とする。
+   * @private
+   */
+  _isFeasible(vars, value) {
+    return vars.every((v) => {
+      if (!value(v.key)) return true;
+      if (v.form.type === 'prox') {
+        const widerHolds = vars.every((u) => !this._isWiderProx(u.form, v.form) || value(u.key));
+        return widerHolds && this._evaluate(v.form.left, value) && this._evaluate(v.form.right, value);
+      }
+      if (v.form.type === 'simul') {
+        return v.form.children.every((ch) => this._evaluate(ch, value));
+      }
+      return true;
+    });
+  }
+
+  /**
+   * wide が narrow と同じ左右・モードで、距離が長い近傍か
+   * @param {LogicForm} wide
+   * @param {LogicForm} narrow
+   * @returns {boolean}
+   * @private
+   */
+  _isWiderProx(wide, narrow) {
+    return (
+      wide.type === 'prox' &&
+      wide.key !== narrow.key &&
+      wide.mode === narrow.mode &&
+      Number(wide.k) > Number(narrow.k) &&
+      wide.left.key === narrow.left.key &&
+      wide.right.key === narrow.right.key
+    );
+  }
+
+  /**
+   * @param {LogicForm} f
+   * @param {(leafKey: string) => boolean} value
+   * @returns {boolean}
+   * @private
+   */
+  _evaluate(f, value) {
+    switch (f.type) {
+      case 'atom':
+      case 'prox':
+      case 'simul':
+        return value(f.key);
+      case 'or':
+        return f.children.some((ch) => this._evaluate(ch, value));
+      case 'and':
+        return f.children.every((ch) => this._evaluate(ch, value));
+      case 'not':
+        return this._evaluate(f.include, value) && !this._evaluate(f.exclude, value);
+      default:
+        return false;
+    }
+  }
+
+  // ========================================
+  // 食い違い箇所の特定・表示
+  // ========================================
+
+  /**
+   * 2 つの論理形で最も内側の食い違っている部分式の組を返す（一致していれば null）
+   * @param {LogicForm} expected
+   * @param {LogicForm} actual
+   * @returns {{expected: LogicForm, actual: LogicForm}|null}
+   */
+  findDivergence(expected, actual) {
+    if (expected.key === actual.key) return null;
+    const here = { expected, actual };
+    if (expected.type !== actual.type) return here;
+
+    if (expected.type === 'or' || expected.type === 'and') {
+      const actualKeys = new Set(actual.children.map((c) => c.key));
+      const expectedKeys = new Set(expected.children.map((c) => c.key));
+      const onlyExpected = expected.children.filter((c) => !actualKeys.has(c.key));
+      const onlyActual = actual.children.filter((c) => !expectedKeys.has(c.key));
+      if (onlyExpected.length === 1 && onlyActual.length === 1) {
+        return this.findDivergence(onlyExpected[0], onlyActual[0]) || here;
+      }
+      return here;
+    }
+
+    if (expected.type === 'not') {
+      return (
+        this.findDivergence(expected.include, actual.include) ||
+        this.findDivergence(expected.exclude, actual.exclude)
+      );
+    }
+
+    if (expected.type === 'prox') {
+      if (expected.mode !== actual.mode || expected.k !== actual.k) return here;
+      return (
+        this.findDivergence(expected.left, actual.left) ||
+        this.findDivergence(expected.right, actual.right) ||
+        here
+      );
+    }
+
+    if (expected.type === 'simul') {
+      if (expected.k !== actual.k || expected.children.length !== actual.children.length) {
+        return here;
+      }
+      for (let i = 0; i < expected.children.length; i++) {
+        const d = this.findDivergence(expected.children[i], actual.children[i]);
+        if (d) return d;
+      }
+      return here;
+    }
+
+    return here;
+  }
+
+  /**
+   * 論理形を人が読める検索式風の文字列にする（和の中の語は 5 個まで表示）
+   * @param {LogicForm} f
+   * @returns {string}
+   */
+  renderForm(f) {
+    switch (f.type) {
+      case 'atom':
+        return f.field === 'TX' ? f.text : `${f.text}/${f.field}`;
+      case 'or': {
+        const atoms = f.children.filter((ch) => ch.type === 'atom').map((ch) => this.renderForm(ch));
+        const others = f.children.filter((ch) => ch.type !== 'atom').map((ch) => this.renderForm(ch));
+        const shown = atoms.length > 5 ? [...atoms.slice(0, 5), `…他${atoms.length - 5}`] : atoms;
+        return `(${[...shown, ...others].join('+')})`;
+      }
+      case 'and':
+        return f.children.map((ch) => this.renderForm(ch)).join('*');
+      case 'not':
+        return `${this.renderForm(f.include)}-[${this.renderForm(f.exclude)}]`;
+      case 'prox':
+        return `[${this.renderForm(f.left)},${f.k}${f.mode === 'NNc' ? 'c' : 'n'},${this.renderForm(f.right)}]`;
+      case 'simul':
+        return `{${f.children.map((ch) => this.renderForm(ch)).join(',')}},${f.k}n`;
+      default:
+        return '(空)';
+    }
+  }
+
+  /**
+   * 論理形（またはその内側）に対応する AST ノードを探す
+   * @param {LogicForm} f
+   * @returns {ExprNode|null}
+   * @private
+   */
+  _findOrigin(f) {
+    if (!f) return null;
+    if (f.origin) return f.origin;
+    const inner = f.children || (f.type === 'not' ? [f.include] : f.type === 'prox' ? [f.left] : []);
+    return inner.length === 1 ? this._findOrigin(inner[0]) : null;
+  }
+}
+
+// グローバル公開
+window.QueryVerifier = QueryVerifier;
@@ -0,0 +1,269 @@
+// js/services/reference-repairer.js
+// 参照切れ（解決できない語 token・ブロック ID）の修復候補の提示と修復
+
+/**
+ * 参照切れ 1 件（同じ token / ID を参照している式ブロックをまとめたもの）
+ * @typedef {Object} DanglingReference
+ * @property {"token"|"blockRef"} kind
+ * @property {string} value - 語 token またはブロック ID
+ * @property {string[]} equationIds - この参照を含む式ブロック
+ */
+
+/**
+ * 再リンク先の候補
+ * @typedef {Object} RelinkCandidate
+ * @property {string} id
+ * @property {string} label
+ * @property {number|null} score - 語 token の類似度（0〜1）。ブロック ID の候補は null
+ */
+
+/**
+ * 修復方法
+ * - relink: 既存ブロックへの参照に置き換える（targetId）
+ * - create: text から新しいブロックを作り、その参照に置き換える
+ * - remove: 参照している項を式から取り除く
+ *
+ * @typedef {{type: "relink", targetId: string}|{type: "create", text: string}|{type: "remove"}} RepairAction
+ */
+
+// 再リンク候補の表示件数
+const REPAIR_MAX_CANDIDATES = 5;
+// 語 token の候補として挙げる類似度の下限
+const REPAIR_MIN_SCORE = 0.3;
+
+class ReferenceRepairer {
+  /**
+   * @param {BlockRepository} repo
+   * @param {ExpressionBlockConverter} blockConverter - 新規ブロック作成に使う
+   */
+  constructor(repo, blockConverter) {
+    this.repo = repo;
+    this.blockConverter = blockConverter;
+  }
+
+  /**
+   * 全式ブロックの参照切れを調べる
+   * @returns {DanglingReference[]}
+   */
+  scan() {
+    return this.repo.findDanglingReferences();
+  }
+
+  /**
+   * 再リンク先の候補を返す
+   * - 語 token: WordBlock / ClassBlock を token・ラベル・バリエーションとの類似度順に
+   * - ブロック ID: 同じ種別のブロックを ID の番号が近い順に（中身は失われているため）
+   * @param {DanglingReference} ref
+   * @returns {RelinkCandidate[]}
+   */
+  findCandidates(ref) {
+    if (ref.kind === 'token') {
+      return [...this.repo.getAllWords(), ...this.repo.getAllClasses()]
+        .map((blk) => ({ id: blk.id, label: blk.label || blk.id, score: this._scoreBlock(ref.value, blk) }))
+        .filter((c) => c.score >= REPAIR_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, REPAIR_MAX_CANDIDATES);
+    }
+
+    const kind = this._kindOfId(ref.value);
+    const number = this._numberOfId(ref.value);
+    return this.repo
+      .getAll()
+      .filter((blk) => blk.kind === kind && !ref.equationIds.includes(blk.id))
+      .sort((a, b) => Math.abs(this._numberOfId(a.id) - number) - Math.abs(this._numberOfId(b.id) - number))
+      .slice(0, REPAIR_MAX_CANDIDATES)
+      .map((blk) => ({ id: blk.id, label: blk.label || blk.id, score: null }));
+  }
+
+  /**
+   * 新規作成できる種別（式ブロック ID の参照切れは中身を復元できないので作成不可）
+   * @param {DanglingReference} ref
+   * @returns {"WB"|"CB"|null}
+   */
+  creatableKind(ref) {
+    if (ref.kind === 'token') return 'WB';
+    const kind = this._kindOfId(ref.value);
+    return kind === 'WB' || kind === 'CB' ? kind : null;
+  }
+
+  /**
+   * 参照切れを修復する
+   * @param {DanglingReference} ref
+   * @param {RepairAction} action
+   * @returns {string[]} 書き換えた式ブロック ID
+   * @throws {Error} 作成に失敗した・循環参照になる等
+   */
+  repair(ref, action) {
+    if (action.type === 'remove') {
+      return this._rewrite(ref, (root) => this._prune(root, ref));
+    }
+
+    let targetId;
+    if (action.type === 'relink') {
+      targetId = action.targetId;
+      if (!this.repo.get(targetId)) {
+        throw new Error(`再リンク先のブロック ${targetId} が見つかりません。`);
+      }
+    } else if (action.type === 'create') {
+      const kind = this.creatableKind(ref);
+      const text = (action.text || '').trim();
+      if (!kind) throw new Error('式ブロックの参照切れは新規作成できません。');
+      if (!text) throw new Error('新しいブロックの内容を入力してください。');
+      targetId = this.blockConverter.createBlockFromText(text, kind);
+      if (!targetId) throw new Error(`「${text}」からブロックを作成できませんでした。`);
+    } else {
+      throw new Error(`不明な修復方法です: ${action.type}`);
+    }
+
+    return this._rewrite(ref, (root) =>
+      transformExpr(root, (node) => (this._matches(node, ref) ? new BlockRefNode(targetId) : undefined))
+    );
+  }
+
+  /**
+   * 参照を含む式ブロックの root を書き換える（循環参照になる場合は何も変えずに中止）
+   * @param {DanglingReference} ref
+   * @param {(root: ExprNode) => (ExprNode|null)} rewriteRoot
+   * @returns {string[]}
+   * @private
+   */
+  _rewrite(ref, rewriteRoot) {
+    const updates = ref.equationIds
+      .map((id) => this.repo.get(id))
+      .filter((eb) => eb && eb.kind === 'EB' && eb.root)
+      .map((eb) => ({ eb, root: rewriteRoot(eb.root) }));
+
+    updates.forEach(({ eb, root }) => {
+      const cycle = root ? this.repo.findCycleForRoot(eb.id, root) : null;
+      if (cycle) {
+        throw new Error(`「${eb.label || eb.id}」が循環参照になるため修復できません: ${cycle.join(' → ')}`);
+      }
+    });
+
+    updates.forEach(({ eb, root }) => {
+      eb.setRoot(root);
+      this.repo.upsert(eb);
+    });
+    return updates.map(({ eb }) => eb.id);
+  }
+
+  /**
+   * 参照している項を取り除いた式を返す（式全体が消える場合は null）
+   * - AND / OR: 残りの項だけにする（1 つなら括弧を外す）
+   * - 論理差:   除外側が消えれば残す側だけ、残す側が消えれば論理差ごと消す
+   * - 近傍:     片側が消えると意味をなさないので近傍ごと消す
+   * @param {ExprNode} node
+   * @param {DanglingReference} ref
+   * @returns {ExprNode|null}
+   * @private
+   */
+  _prune(node, ref) {
+    if (!node || this._matches(node, ref)) return null;
+
+    if (node instanceof LogicalNode) {
+      const children = node.children.map((c) => this._prune(c, ref)).filter((c) => c);
+      if (children.length === 0) return null;
+      if (children.length === 1) return children[0];
+      return node.withChildren(children);
+    }
+    if (node instanceof NotNode) {
+      const include = this._prune(node.include, ref);
+      if (!include) return null;
+      const exclude = this._prune(node.exclude, ref);
+      return exclude ? node.withChildren([include, exclude]) : include;
+    }
+    if (node instanceof CompositeNode) {
+      const children = node.children.map((c) => this._prune(c, ref));
+      return children.every((c) => c) ? node.withChildren(children) : null;
+    }
+    return node;
+  }
+
+  /**
+   * @param {ExprNode} node
+   * @param {DanglingReference} ref
+   * @returns {boolean}
+   * @private
+   */
+  _matches(node, ref) {
+    if (ref.kind === 'token') return node instanceof WordTokenNode && node.token === ref.value;
+    return node instanceof BlockRefNode && node.blockId === ref.value;
+  }
+
+  /**
+   * 語 token とブロックの類似度（token・ラベル・キー・バリエーションのうち最大）
+   * @param {string} token
+   * @param {Block} blk
+   * @returns {number}
+   * @private
+   */
+  _scoreBlock(token, blk) {
+    const texts = [blk.token, blk.label, blk.expressionKey, blk.displayLabel, ...(blk.variants || [])];
+    if (Array.isArray(blk.codes)) texts.push(...blk.codes);
+    return texts.reduce((best, text) => Math.max(best, this._similarity(token, text)), 0);
+  }
+
+  /**
+   * 文字列の類似度（正規化後の一致・包含・文字 bigram の Dice 係数）
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} 0〜1
+   * @private
+   */
+  _similarity(a, b) {
+    const x = this._normalize(a);
+    const y = this._normalize(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+    if (x.includes(y) || y.includes(x)) {
+      return 0.5 + 0.4 * (Math.min(x.length, y.length) / Math.max(x.length, y.length));
+    }
+
+    const bigrams = (s) => {
+      const list = [];
+      for (let i = 0; i < s.length - 1; i++) list.push(s.slice(i, i + 2));
+      return list;
+    };
+    const bx = bigrams(x);
+    const by = bigrams(y);
+    if (!bx.length || !by.length) return 0;
+    const rest = [...by];
+    let common = 0;
+    bx.forEach((g) => {
+      const i = rest.indexOf(g);
+      if (i >= 0) {
+        common++;
+        rest.splice(i, 1);
+      }
+    });
+    return (2 * common) / (bx.length + by.length);
+  }
+
+  /**
+   * 比較用の正規化（全角半角・大小文字をそろえ、括弧と空白を除く）
+   * @param {string} s
+   * @returns {string}
+   * @private
+   */
+  _normalize(s) {
+    return String(s || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\s()[\]{}]/g, '');
+  }
+
+  /** @private */
+  _kindOfId(id) {
+    const m = /^(WB|CB|EB)-/.exec(id || '');
+    return m ? m[1] : null;
+  }
+
+  /** @private */
+  _numberOfId(id) {
+    const m = /(\d+)$/.exec(id || '');
+    return m ? parseInt(m[1], 10) : 0;
+  }
+}
+
+// グローバル公開
+window.ReferenceRepairer = ReferenceRepairer;
@@ -0,0 +1,294 @@
+// js/services/repository-storage.js
+// リポジトリのブラウザ保存（自動保存・復元）と保存データのスキーマ移行
+
+/**
+ * 保存データ（スキーマ v2 以降）
+ * - v1: BlockRepository.toJSON() をそのまま保存した形（schemaVersion なし）
+ * - v2: schemaVersion・保存日時で包んだ形
+ *
+ * @typedef {Object} RepositorySnapshot
+ * @property {number} schemaVersion
+ * @property {number} savedAt
+ * @property {{counters: Object<string, number>, blocks: Object[]}} repository - BlockRepository.toJSON() の形
+ */
+
+/**
+ * 復元結果
+ * - restored:    保存データを読み込んだ
+ * - empty:       保存データがなかった
+ * - unavailable: ブラウザ保存が使えない（プライベートモード等）
+ * - error:       保存データを読めなかった（リポジトリは空のまま）
+ *
+ * @typedef {Object} RepositoryLoadResult
+ * @property {"restored"|"empty"|"unavailable"|"error"} status
+ * @property {number} [fromVersion] - 読み込んだデータのスキーマバージョン（移行前）
+ * @property {number} [blockCount]
+ * @property {string} [message]
+ */
+
+// 現在のスキーマバージョン
+const REPOSITORY_SCHEMA_VERSION = 2;
+// 保存先のキー（既定。ワークスペースごとに setKey で切り替える）
+const REPOSITORY_STORAGE_KEY = 'patent-query-builder.repository';
+// 読み込めなかった保存データの退避先（保存先のキーに付ける接尾辞）
+const REPOSITORY_BACKUP_SUFFIX = '.unreadable';
+// 最後の変更からこの時間（ms）操作がなければ保存する
+const REPOSITORY_AUTOSAVE_DELAY = 800;
+
+/**
+ * スキーマ移行（キー: 移行元のバージョン）
+ * 各関数は 1 つ新しいバージョンの保存データを返す。
+ */
+const REPOSITORY_MIGRATIONS = {
+  /**
+   * v1 → v2
+   * - schemaVersion 付きの形で包む
+   * - searchExpr 導入前の ClassBlock: codes / classificationExpr / searchExpr / expressionKey を補う
+   * - counters がない・既存 ID より小さい場合は、ID の番号から補う（採番の重複を防ぐ）
+   */
+  1: (data) => {
+    const blocks = (Array.isArray(data.blocks) ? data.blocks : [])
+      .filter((obj) => obj && typeof obj === 'object')
+      .map((obj) => (obj.kind === 'CB' ? migrateLegacyClassBlock(obj) : obj));
+
+    const counters = Object.assign({ WB: 0, CB: 0, EB: 0 }, data.counters || {});
+    blocks.forEach((obj) => {
+      const m = /^(WB|CB|EB)-(\d+)$/.exec(obj.id || '');
+      if (m) counters[m[1]] = Math.max(counters[m[1]] || 0, parseInt(m[2], 10));
+    });
+
+    return {
+      schemaVersion: 2,
+      savedAt: data.savedAt || Date.now(),
+      repository: { counters, blocks }
+    };
+  }
+};
+
+/**
+ * searchExpr 導入前の ClassBlock の JSON を現在の形にそろえる
+ * （旧データは classExpr に "(H04W12/00+H04W16/24)" のような式だけを持つことがある）
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function migrateLegacyClassBlock(obj) {
+  const cb = Object.assign({}, obj);
+
+  if (!Array.isArray(cb.codes) || cb.codes.length === 0) {
+    const source = cb.classificationExpr || cb.classExpr || cb.searchExpr || '';
+    const body = stripOuterParens(source.trim().replace(/^\[(.*)\]$/, '$1'));
+    cb.codes = body.split('+').map((code) => code.trim()).filter((code) => code);
+  }
+  delete cb.classExpr;
+
+  if (!cb.searchExpr && cb.codes.length) {
+    const inner = cb.codes.join('+');
+    cb.classificationExpr = cb.codes.length >= 2 ? `(${inner})` : inner;
+    cb.searchExpr = `[${cb.classificationExpr}]`;
+  }
+  if (!cb.expressionKey && cb.codes.length) {
+    cb.expressionKey = [...cb.codes].sort().join('+');
+  }
+  return cb;
+}
+
+class RepositoryStorage {
+  /**
+   * @param {BlockRepository} repo
+   * @param {Storage|null} [storage] - 省略時は localStorage（使えなければ保存しない）
+   */
+  constructor(repo, storage) {
+    this.repo = repo;
+    this.storage = storage !== undefined ? storage : RepositoryStorage.defaultStorage();
+    this.key = REPOSITORY_STORAGE_KEY;
+    this.saveTimer = null;
+    this.removeListener = null;
+    /** 直近の保存エラー（同じエラーを繰り返し通知しないため） */
+    this.lastError = null;
+    /** @type {((message: string) => void)|null} 自動保存に失敗したときの通知先 */
+    this.onError = null;
+    /** @type {((savedAt: number) => void)|null} 保存できたときの通知先 */
+    this.onSaved = null;
+  }
+
+  /**
+   * 保存先のキーを切り替える（予約済みの保存は取り消す。必要なら先に save すること）
+   * @param {string} key
+   */
+  setKey(key) {
+    this._cancelScheduledSave();
+    this.key = key;
+    this.lastError = null;
+  }
+
+  /**
+   * localStorage を返す（file:// やプライベートモードで使えなければ null）
+   * @returns {Storage|null}
+   */
+  static defaultStorage() {
+    try {
+      const storage = window.localStorage;
+      return storage || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 保存データを現在のスキーマまで移行する
+   * @param {any} data - 保存データ（v1 の BlockRepository.toJSON() 形式を含む）
+   * @returns {{snapshot: RepositorySnapshot, fromVersion: number}}
+   * @throws {Error} 保存データの形が不正・未知の新しいバージョンの場合
+   */
+  static migrate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('保存データの形式が不正です。');
+    }
+
+    const fromVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 1;
+    if (fromVersion > REPOSITORY_SCHEMA_VERSION) {
+      throw new Error(
+        `新しいバージョン（スキーマ v${fromVersion}）で保存されたデータのため読み込めません。`
+      );
+    }
+
+    let current = data;
+    for (let version = fromVersion; version < REPOSITORY_SCHEMA_VERSION; version++) {
+      const migration = REPOSITORY_MIGRATIONS[version];
+      if (!migration) {
+        throw new Error(`スキーマ v${version} からの移行方法がありません。`);
+      }
+      current = migration(current);
+    }
+
+    if (!current.repository || !Array.isArray(current.repository.blocks)) {
+      throw new Error('保存データにブロック一覧がありません。');
+    }
+    return { snapshot: current, fromVersion };
+  }
+
+  /**
+   * 現在のリポジトリを保存データにする
+   * @returns {RepositorySnapshot}
+   */
+  snapshot() {
+    return {
+      schemaVersion: REPOSITORY_SCHEMA_VERSION,
+      savedAt: Date.now(),
+      repository: this.repo.toJSON()
+    };
+  }
+
+  /**
+   * 保存データを読み込み、リポジトリを置き換える
+   * 読めなかった場合、保存データは自動保存で上書きされる前に別のキーへ退避する（手動で取り出せるように）。
+   * @returns {RepositoryLoadResult}
+   */
+  load() {
+    if (!this.storage) return { status: 'unavailable' };
+
+    let raw;
+    try {
+      raw = this.storage.getItem(this.key);
+    } catch (e) {
+      return { status: 'unavailable', message: e.message || String(e) };
+    }
+    if (!raw) {
+      this.repo.loadFromJSON({ blocks: [] });
+      this._cancelScheduledSave();
+      return { status: 'empty' };
+    }
+
+    try {
+      const { snapshot, fromVersion } = RepositoryStorage.migrate(JSON.parse(raw));
+      this.repo.loadFromJSON(snapshot.repository);
+      // 読み込んだ内容は保存済みなので、読み込みによる変更通知で予約された保存は不要
+      this._cancelScheduledSave();
+      return { status: 'restored', fromVersion, blockCount: this.repo.getAll().length };
+    } catch (e) {
+      this.repo.loadFromJSON({ blocks: [] });
+      this._cancelScheduledSave();
+      let message = e.message || String(e);
+      const backupKey = `${this.key}${REPOSITORY_BACKUP_SUFFIX}`;
+      try {
+        this.storage.setItem(backupKey, raw);
+        message += `（元のデータは ${backupKey} に退避しました）`;
+      } catch (backupError) {
+        console.warn('読めなかった保存データを退避できませんでした:', backupError);
+      }
+      return { status: 'error', message };
+    }
+  }
+
+  /**
+   * すぐに保存する
+   * @returns {{ok: boolean, message?: string}}
+   */
+  save() {
+    this._cancelScheduledSave();
+    if (!this.storage) return { ok: false, message: 'ブラウザ保存が使えません。' };
+
+    try {
+      const snapshot = this.snapshot();
+      this.storage.setItem(this.key, JSON.stringify(snapshot));
+      this.lastError = null;
+      if (this.onSaved) this.onSaved(snapshot.savedAt);
+      return { ok: true };
+    } catch (e) {
+      // 容量超過など
+      return { ok: false, message: e.message || String(e) };
+    }
+  }
+
+  /**
+   * 保存を予約する（続けて変更された場合は最後の変更から REPOSITORY_AUTOSAVE_DELAY 後に 1 回だけ保存）
+   */
+  scheduleSave() {
+    this._cancelScheduledSave();
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      const result = this.save();
+      if (!result.ok && result.message !== this.lastError) {
+        this.lastError = result.message;
+        if (this.onError) this.onError(`自動保存に失敗しました: ${result.message}`);
+      }
+    }, REPOSITORY_AUTOSAVE_DELAY);
+  }
+
+  /**
+   * リポジトリの変更を監視して自動保存する（ページを閉じる前には予約分を保存する）
+   */
+  enableAutosave() {
+    if (this.removeListener || !this.storage) return;
+    this.removeListener = this.repo.addChangeListener(() => this.scheduleSave());
+    window.addEventListener('beforeunload', () => {
+      if (this.saveTimer) this.save();
+    });
+  }
+
+  /**
+   * 保存データを削除する
+   */
+  clear() {
+    this._cancelScheduledSave();
+    if (!this.storage) return;
+    try {
+      this.storage.removeItem(this.key);
+    } catch (e) {
+      console.warn('保存データを削除できませんでした:', e);
+    }
+  }
+
+  /** @private */
+  _cancelScheduledSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+}
+
+// グローバル公開
+window.RepositoryStorage = RepositoryStorage;
+window.REPOSITORY_SCHEMA_VERSION = REPOSITORY_SCHEMA_VERSION;
+window.REPOSITORY_STORAGE_KEY = REPOSITORY_STORAGE_KEY;
@@ -0,0 +1,243 @@
+// js/services/word-block-merger.js
+// 語ブロック（WordBlock）の統合と分割（式ブロック中の参照の書き換えを含む）
+
+/**
+ * 分割後に既存の式ブロックがどのブロックを参照するか
+ * - or:       元のブロック + 新しいブロック（式の意味は変わらない）
+ * - original: 元のブロックのみ（移した語は式から外れる）
+ * - created:  新しいブロックのみ
+ *
+ * @typedef {"or"|"original"|"created"} SplitReferenceMode
+ */
+
+class WordBlockMerger {
+  /**
+   * @param {BlockRepository} repo
+   * @param {WordNormalizer} wordNormalizer - 統合・分割後の queryText / expressionKey / displayLabel を作り直す
+   */
+  constructor(repo, wordNormalizer) {
+    this.repo = repo;
+    this.wordNormalizer = wordNormalizer;
+  }
+
+  /**
+   * 統合後の定義を計算する（リポジトリは変更しない。確認画面の表示用）
+   * variants の和集合を WordNormalizer で整形し直す（英単語のバリエーションも補われる）。
+   * @param {string} survivorId - 残すブロック
+   * @param {string[]} otherIds - 統合して削除するブロック
+   * @returns {{variants: string[], queryText: string, expressionKey: string, displayLabel: string}}
+   * @throws {Error} 語ブロックでない・統合するブロックがない場合
+   */
+  planMerge(survivorId, otherIds) {
+    const blocks = [survivorId, ...otherIds].map((id) => this._getWord(id));
+    if (!otherIds.length) throw new Error('統合する語ブロックを選んでください。');
+    if (new Set([survivorId, ...otherIds]).size !== blocks.length) {
+      throw new Error('同じ語ブロックは統合できません。');
+    }
+
+    const items = [];
+    const keyParts = [];
+    blocks.forEach((wb) => {
+      this._itemsOf(wb).forEach((item) => {
+        if (!items.includes(item)) items.push(item);
+      });
+      const key = wb.expressionKey || this.wordNormalizer.buildExpressionKey(wb.queryText);
+      key.split('+').forEach((part) => {
+        if (part && !keyParts.includes(part)) keyParts.push(part);
+      });
+    });
+
+    const variants = this.wordNormalizer.normalizeForWordBlock(items.join('+'));
+    return {
+      variants,
+      queryText: `(${variants.join('+')})`,
+      expressionKey: this.wordNormalizer.buildExpressionKey(keyParts.join('+')),
+      displayLabel: this.wordNormalizer.buildDisplayLabel(variants)
+    };
+  }
+
+  /**
+   * 語ブロックを統合する
+   * 統合したブロックを参照している式ブロックは、残すブロックを参照するように書き換え、統合したブロックは削除する。
+   * タグは和集合を残すブロックに引き継ぐ。
+   * @param {string} survivorId
+   * @param {string[]} otherIds
+   * @returns {{survivor: WordBlock, removed: string[], rewritten: string[]}}
+   * @throws {Error}
+   */
+  merge(survivorId, otherIds) {
+    const plan = this.planMerge(survivorId, otherIds);
+    const survivor = this._getWord(survivorId);
+    const others = otherIds.map((id) => this._getWord(id));
+
+    const tokens = new Set(others.map((wb) => wb.token).filter((token) => token));
+    const ids = new Set(otherIds);
+    const rewritten = this._rewriteReferences((node) => {
+      if (node instanceof WordTokenNode && tokens.has(node.token)) return new WordTokenNode(survivor.token);
+      if (node instanceof BlockRefNode && ids.has(node.blockId)) return new BlockRefNode(survivorId);
+      return undefined;
+    });
+
+    const tags = [...survivor.tags];
+    others.forEach((wb) => {
+      tags.push(...wb.tags);
+      this.repo.remove(wb.id);
+    });
+    survivor.setTags(tags);
+    this._applyDefinition(survivor, plan);
+    return { survivor, removed: otherIds.slice(), rewritten };
+  }
+
+  /**
+   * 語ブロックの一部の variants を新しい語ブロックに移す
+   * 移した語・残した語はそれぞれ WordNormalizer で expressionKey / displayLabel を作り直す
+   * （英単語のバリエーションは補わない。移した表記が元のブロックに戻らないようにするため）。
+   * @param {string} id
+   * @param {string[]} movedVariants - 新しいブロックに移す variants
+   * @param {{token: string, label?: string, mode: SplitReferenceMode}} options
+   * @returns {{original: WordBlock, created: WordBlock, rewritten: string[]}}
+   * @throws {Error} 移す語がない・すべて移す・token が使えない・上限を超える場合
+   */
+  split(id, movedVariants, options) {
+    const wb = this._getWord(id);
+    if (!wb.variants.length) {
+      throw new Error(`「${wb.label || wb.id}」はバリエーションを持たないため分割できません。`);
+    }
+    const moved = wb.variants.filter((variant) => movedVariants.includes(variant));
+    const kept = wb.variants.filter((variant) => !movedVariants.includes(variant));
+    if (!moved.length) throw new Error('新しいブロックに移す語を選んでください。');
+    if (!kept.length) throw new Error('すべての語を移すことはできません（元のブロックに 1 つ以上残してください）。');
+
+    const token = String(options.token || '').trim();
+    const check = this.repo.validateToken(token);
+    if (!check.ok) throw new Error(check.message);
+    const limit = this.repo.checkBlockLimit('WB');
+    if (!limit.ok) throw new Error(limit.message);
+
+    const def = this._definitionOf(moved);
+    const created = new WordBlock(
+      this.repo.nextId('WB'),
+      (options.label || '').trim() || token,
+      token,
+      def.queryText,
+      def.expressionKey,
+      def.variants,
+      def.displayLabel
+    );
+    created.setTags(wb.tags);
+    this.repo.upsert(created);
+    this._applyDefinition(wb, this._definitionOf(kept));
+
+    let rewritten = [];
+    if (options.mode !== 'original') {
+      rewritten = this._rewriteReferences((node) => {
+        if (node instanceof WordTokenNode && node.token === wb.token) {
+          return this._splitRef(node, new WordTokenNode(created.token), options.mode);
+        }
+        if (node instanceof BlockRefNode && node.blockId === wb.id) {
+          return this._splitRef(node, new BlockRefNode(created.id), options.mode);
+        }
+        return undefined;
+      });
+    }
+    return { original: wb, created, rewritten };
+  }
+
+  /**
+   * 分割の既定の token（"ANT" → "ANT_2"。使われていない最初のもの）
+   * @param {WordBlock} wb
+   * @returns {string}
+   */
+  suggestSplitToken(wb) {
+    for (let n = 2; ; n++) {
+      const candidate = `${wb.token}_${n}`;
+      if (this.repo.validateToken(candidate).ok) return candidate;
+    }
+  }
+
+  /**
+   * @param {ExprNode} original - 元のブロックへの参照
+   * @param {ExprNode} created - 新しいブロックへの参照
+   * @param {SplitReferenceMode} mode
+   * @returns {ExprNode}
+   * @private
+   */
+  _splitRef(original, created, mode) {
+    return mode === 'or' ? new LogicalNode('+', [original.clone(), created]) : created;
+  }
+
+  /**
+   * 全式ブロックの root を書き換える
+   * @param {(node: ExprNode) => (ExprNode|undefined)} fn - transformExpr と同じ
+   * @returns {string[]} 書き換えた式ブロック ID
+   * @private
+   */
+  _rewriteReferences(fn) {
+    const rewritten = [];
+    this.repo.getAllEquations().forEach((eb) => {
+      const root = transformExpr(eb.root, fn);
+      if (root === eb.root) return;
+      eb.setRoot(root);
+      this.repo.upsert(eb);
+      rewritten.push(eb.id);
+    });
+    return rewritten;
+  }
+
+  /**
+   * variants から定義を作る（並びは WordNormalizer と同じく文字数の降順）
+   * @param {string[]} variants
+   * @returns {{variants: string[], queryText: string, expressionKey: string, displayLabel: string}}
+   * @private
+   */
+  _definitionOf(variants) {
+    const sorted = variants.slice().sort((a, b) => b.length - a.length);
+    return {
+      variants: sorted,
+      queryText: `(${sorted.join('+')})`,
+      expressionKey: this.wordNormalizer.buildExpressionKey(sorted.join('+')),
+      displayLabel: this.wordNormalizer.buildDisplayLabel(sorted)
+    };
+  }
+
+  /**
+   * @param {WordBlock} wb
+   * @param {{variants: string[], queryText: string, expressionKey: string, displayLabel: string}} def
+   * @private
+   */
+  _applyDefinition(wb, def) {
+    wb.recordRevision();
+    wb.updateQueryText(def.queryText);
+    wb.updateVariants(def.variants);
+    wb.updateDisplayLabel(def.displayLabel);
+    // expressionKey はインデックスの付け替えを伴うためリポジトリ経由で更新する
+    this.repo.updateExpressionKey(wb.id, def.expressionKey);
+    this.repo.upsert(wb);
+  }
+
+  /**
+   * 統合に使う語（variants がなければ queryText の最外周の括弧を除いたもの）
+   * @param {WordBlock} wb
+   * @returns {string[]}
+   * @private
+   */
+  _itemsOf(wb) {
+    if (wb.variants.length) return wb.variants;
+    const text = stripOuterParens((wb.queryText || '').trim());
+    return text ? [text] : [];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {WordBlock}
+   * @private
+   */
+  _getWord(id) {
+    const blk = this.repo.get(id);
+    if (!blk || blk.kind !== 'WB') throw new Error(`語ブロックが見つかりません: ${id}`);
+    return blk;
+  }
+}
+
+// グローバル公開
+window.WordBlockMerger = WordBlockMerger;
@@ -115,6 +115,23 @@ class WordNormalizer {
     return allWords;
   }
 
+  /**
+   * 編集された queryText から variants を作り直す（英単語のバリエーションは補わない）
+   * 語を + で並べただけの式なら各語を、括弧・積・論理差・近傍などを含むなら空配列を返す
+   * （variants を持たないブロックは queryText 全体を 1 語として扱われる）。
+   *
+   * @param {string} queryText - 例: "(antenna+アンテナ+空中線)"
+   * @returns {string[]} - 例: ["antenna", "アンテナ", "空中線"]
+   */
+  variantsFromQueryText(queryText) {
+    const body = this._stripOuterParens(this.exprNormalizer.normalizeInline(queryText));
+    if (!body || /[()[\]{}*\-,]/.test(body)) {
+      return [];
+    }
+    const words = body.split('+').map(w => w.trim()).filter(w => w.length > 0);
+    return [...new Set(words)];
+  }
+
   /**
    * 英字のみの文字列かチェック
    * @param {string} word
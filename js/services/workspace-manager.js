@@ -0,0 +1,302 @@
+// js/services/workspace-manager.js
+// 名前付きワークスペース（検索テーマごとのリポジトリ）の作成・切替・複製・改名・削除
+
+/**
+ * ワークスペース 1 件の情報（中身は RepositoryStorage が workspace ごとのキーに保存する）
+ * @typedef {Object} WorkspaceInfo
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number|null} updatedAt - 最後に保存した日時（一度も保存していなければ null）
+ */
+
+// ワークスペース一覧の保存先のキー
+const WORKSPACE_INDEX_KEY = 'patent-query-builder.workspaces';
+// 既定のワークスペース（ワークスペース導入前の保存データをそのまま使う）
+const DEFAULT_WORKSPACE_ID = 'default';
+const DEFAULT_WORKSPACE_NAME = '既定のワークスペース';
+// ワークスペース名の最大文字数
+const WORKSPACE_NAME_MAX_LENGTH = 40;
+
+class WorkspaceManager {
+  /**
+   * @param {BlockRepository} repo
+   * @param {RepositoryStorage} repoStorage - 保存先のキーを切り替えて使う
+   */
+  constructor(repo, repoStorage) {
+    this.repo = repo;
+    this.repoStorage = repoStorage;
+    this.storage = repoStorage.storage;
+    /** @type {WorkspaceInfo[]} */
+    this.workspaces = [];
+    this.activeId = DEFAULT_WORKSPACE_ID;
+    /** @type {(() => void)|null} 一覧・最終更新日時が変わったときの通知先 */
+    this.onChange = null;
+  }
+
+  /**
+   * ブラウザ保存が使えるか（使えない場合は既定のワークスペースのみ）
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.storage;
+  }
+
+  /**
+   * ワークスペース一覧を読み込み、前回使っていたワークスペースを開く
+   * @returns {RepositoryLoadResult}
+   */
+  init() {
+    this._loadIndex();
+    this.repoStorage.onSaved = (savedAt) => {
+      const ws = this.get(this.activeId);
+      if (!ws) return;
+      ws.updatedAt = savedAt;
+      this._saveIndex();
+      if (this.onChange) this.onChange();
+    };
+    this.repoStorage.setKey(this._storageKeyOf(this.activeId));
+    return this.repoStorage.load();
+  }
+
+  /**
+   * @returns {WorkspaceInfo[]} 作成順
+   */
+  list() {
+    return this.workspaces.slice();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {WorkspaceInfo|undefined}
+   */
+  get(id) {
+    return this.workspaces.find((ws) => ws.id === id);
+  }
+
+  /**
+   * @returns {WorkspaceInfo}
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * 空のワークスペースを作り、切り替える
+   * @param {string} name
+   * @returns {RepositoryLoadResult}
+   * @throws {Error} 名前が不正・保存できない場合
+   */
+  create(name) {
+    const ws = this._addWorkspace(this._validateName(name));
+    return this.switchTo(ws.id);
+  }
+
+  /**
+   * ワークスペースを複製し、複製先に切り替える
+   * @param {string} id - 複製元
+   * @param {string} name
+   * @returns {RepositoryLoadResult}
+   * @throws {Error}
+   */
+  duplicate(id, name) {
+    const source = this.get(id);
+    if (!source) throw new Error(`ワークスペース ${id} が見つかりません。`);
+    const validName = this._validateName(name);
+    // 開いているワークスペースは未保存の変更を含めて複製する
+    if (id === this.activeId) this._flush();
+
+    const raw = this.storage.getItem(this._storageKeyOf(id));
+    const ws = this._addWorkspace(validName);
+    if (raw) {
+      try {
+        this.storage.setItem(this._storageKeyOf(ws.id), raw);
+      } catch (e) {
+        this._removeWorkspace(ws.id);
+        throw new Error(`複製を保存できませんでした: ${e.message || e}`);
+      }
+      ws.updatedAt = source.updatedAt;
+      this._saveIndex();
+    }
+    return this.switchTo(ws.id);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   * @throws {Error}
+   */
+  rename(id, name) {
+    const ws = this.get(id);
+    if (!ws) throw new Error(`ワークスペース ${id} が見つかりません。`);
+    ws.name = this._validateName(name, id);
+    this._saveIndex();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * ワークスペースと保存データを削除する（開いているものを消した場合は先頭のワークスペースに切り替える）
+   * @param {string} id
+   * @returns {RepositoryLoadResult|null} 切り替えた場合の読み込み結果
+   * @throws {Error} 最後の 1 つは削除できない
+   */
+  remove(id) {
+    if (!this.get(id)) throw new Error(`ワークスペース ${id} が見つかりません。`);
+    if (this.workspaces.length <= 1) {
+      throw new Error('最後のワークスペースは削除できません。');
+    }
+
+    let result = null;
+    if (id === this.activeId) {
+      const next = this.workspaces.find((ws) => ws.id !== id);
+      // 削除するワークスペースの予約済み保存は不要
+      this.repoStorage.setKey(this._storageKeyOf(next.id));
+      result = this._open(next.id);
+    }
+    try {
+      this.storage.removeItem(this._storageKeyOf(id));
+    } catch (e) {
+      console.warn('ワークスペースの保存データを削除できませんでした:', e);
+    }
+    this._removeWorkspace(id);
+    return result;
+  }
+
+  /**
+   * 開いているワークスペースを保存してから、別のワークスペースを開く
+   * @param {string} id
+   * @returns {RepositoryLoadResult}
+   * @throws {Error}
+   */
+  switchTo(id) {
+    if (!this.get(id)) throw new Error(`ワークスペース ${id} が見つかりません。`);
+    if (id !== this.activeId) this._flush();
+    return this._open(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {RepositoryLoadResult}
+   * @private
+   */
+  _open(id) {
+    this.activeId = id;
+    this.repoStorage.setKey(this._storageKeyOf(id));
+    const result = this.repoStorage.load();
+    this._saveIndex();
+    if (this.onChange) this.onChange();
+    return result;
+  }
+
+  /**
+   * 予約済みの自動保存があればすぐに保存する
+   * @throws {Error} 保存できない場合（切り替えると変更が失われるため中止する）
+   * @private
+   */
+  _flush() {
+    if (!this.isAvailable()) {
+      throw new Error('ブラウザ保存が使えないため、ワークスペースを切り替えられません。');
+    }
+    if (!this.repoStorage.saveTimer) return;
+    const result = this.repoStorage.save();
+    if (!result.ok) {
+      throw new Error(`現在のワークスペースを保存できませんでした: ${result.message}`);
+    }
+  }
+
+  /**
+   * ワークスペース一覧を読み込む（なければ既定のワークスペースだけの一覧を作る）
+   * @private
+   */
+  _loadIndex() {
+    let index = null;
+    if (this.storage) {
+      try {
+        index = JSON.parse(this.storage.getItem(WORKSPACE_INDEX_KEY) || 'null');
+      } catch (e) {
+        console.warn('ワークスペース一覧を読めませんでした:', e);
+      }
+    }
+
+    const workspaces = index && Array.isArray(index.workspaces)
+      ? index.workspaces.filter((ws) => ws && typeof ws.id === 'string' && typeof ws.name === 'string')
+      : [];
+    if (workspaces.length === 0) {
+      workspaces.push({ id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME, createdAt: Date.now(), updatedAt: null });
+    }
+    this.workspaces = workspaces;
+    this.activeId = index && this.get(index.activeId) ? index.activeId : workspaces[0].id;
+  }
+
+  /** @private */
+  _saveIndex() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(
+        WORKSPACE_INDEX_KEY,
+        JSON.stringify({ activeId: this.activeId, workspaces: this.workspaces })
+      );
+    } catch (e) {
+      console.warn('ワークスペース一覧を保存できませんでした:', e);
+    }
+  }
+
+  /**
+   * @param {string} name - 検証済みの名前
+   * @returns {WorkspaceInfo}
+   * @private
+   */
+  _addWorkspace(name) {
+    if (!this.isAvailable()) {
+      throw new Error('ブラウザ保存が使えないため、ワークスペースを追加できません。');
+    }
+    let id;
+    do {
+      id = `ws-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    } while (this.get(id));
+
+    const ws = { id, name, createdAt: Date.now(), updatedAt: null };
+    this.workspaces.push(ws);
+    this._saveIndex();
+    return ws;
+  }
+
+  /** @private */
+  _removeWorkspace(id) {
+    this.workspaces = this.workspaces.filter((ws) => ws.id !== id);
+    this._saveIndex();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * 既定のワークスペースはワークスペース導入前と同じキーを使う（既存の保存データを引き継ぐ）
+   * @param {string} id
+   * @returns {string}
+   * @private
+   */
+  _storageKeyOf(id) {
+    return id === DEFAULT_WORKSPACE_ID ? REPOSITORY_STORAGE_KEY : `${REPOSITORY_STORAGE_KEY}.${id}`;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} [selfId] - 改名時は自分自身との重複を許す
+   * @returns {string} 前後の空白を除いた名前
+   * @throws {Error}
+   * @private
+   */
+  _validateName(name, selfId) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('ワークスペース名を入力してください。');
+    if (trimmed.length > WORKSPACE_NAME_MAX_LENGTH) {
+      throw new Error(`ワークスペース名は ${WORKSPACE_NAME_MAX_LENGTH} 文字以内にしてください。`);
+    }
+    if (this.workspaces.some((ws) => ws.id !== selfId && ws.name === trimmed)) {
+      throw new Error(`「${trimmed}」という名前のワークスペースは既にあります。`);
+    }
+    return trimmed;
+  }
+}
+
+// グローバル公開
+window.WorkspaceManager = WorkspaceManager;
@@ -6,13 +6,38 @@ class AppController {
     this.repo = new BlockRepository();
     this.ctx = new RenderContext(this.repo);
     this.exprService = new ExpressionService(this.repo);
-    this.view = new ViewRenderer(this.repo, this.ctx);
+    // 検索式の長さ・複雑さの計測（式カードの表示とコピー時の確認に使う）
+    this.queryMeter = new QueryMeter(this.ctx);
+    // 上限はワークスペースの設定なので、読み込み・変更・取り消しのたびに計測側へ反映する
+    this.repo.addChangeListener(() => this.queryMeter.setProfile(this.repo.queryLimits));
+    this.view = new ViewRenderer(this.repo, this.ctx, this.queryMeter);
     this.proxPanel = null;
+    this.inputHighlighter = null;
 
     // 新機能: 式の正規化とブロック変換
     this.exprNormalizer = new ExpressionNormalizer();
     this.wordNormalizer = new WordNormalizer();
     this.blockConverter = new ExpressionBlockConverter(this.exprService, this.repo, this.ctx);
+    // 検索式コピー前の往復検証
+    this.queryVerifier = new QueryVerifier(this.repo, this.ctx);
+    // 式ブロックの最適化（AST 簡約）
+    this.exprSimplifier = new ExprSimplifier();
+    // 式ブロック同士の等価・包含判定
+    this.equationComparator = new EquationComparator(this.repo, this.ctx);
+    // 文字数上限を超える検索式の分割
+    this.querySplitter = new QuerySplitter(this.repo, this.ctx, this.queryVerifier);
+    // 参照切れの検出と修復
+    this.referenceRepairer = new ReferenceRepairer(this.repo, this.blockConverter);
+    // ブラウザへの自動保存と起動時の復元
+    this.storage = new RepositoryStorage(this.repo);
+    // 検索テーマごとのワークスペース（保存先の切り替え）
+    this.workspaces = new WorkspaceManager(this.repo, this.storage);
+    // 元に戻す / やり直しの操作履歴（リポジトリを変更する操作はすべて history.execute を通す）
+    this.history = new CommandHistory(this.repo);
+    // プロジェクトファイルの書き出し・読み込み
+    this.projectFiles = new ProjectFileService(this.repo);
+    // 語ブロックの統合・分割
+    this.wordMerger = new WordBlockMerger(this.repo, this.wordNormalizer);
 
     this.elements = {
       exprInput: null,
@@ -22,12 +47,29 @@ class AppController {
       errorBox: null,
       builderRenewButton: null,
       resetWordsButton: null,
-      resetEquationsButton: null
+      resetEquationsButton: null,
+      checkReferencesButton: null,
+      projectExportButton: null,
+      projectImportButton: null,
+      workspaceSelect: null,
+      workspaceNewButton: null,
+      workspaceDuplicateButton: null,
+      workspaceRenameButton: null,
+      workspaceDeleteButton: null,
+      workspaceSettingsButton: null,
+      workspaceUpdated: null,
+      undoButton: null,
+      redoButton: null,
+      historyButton: null,
+      wordTagFilter: null
     };
 
     // ビルダー用の選択 ID（Word / Equation 共通、最大3）
+    // Word / Class 一覧のタグでの絞り込みと、折りたたんだタグのグループ
     this.state = {
-      builderSelectionIds: []
+      builderSelectionIds: [],
+      tagFilter: '',
+      collapsedTags: new Set()
     };
   }
 
@@ -40,12 +82,69 @@ class AppController {
     this.elements.builderRenewButton = qs('#btn-builder-renew');
     this.elements.resetWordsButton = qs('#btn-reset-words');
     this.elements.resetEquationsButton = qs('#btn-reset-equations');
+    this.elements.checkReferencesButton = qs('#btn-check-references');
+    this.elements.projectExportButton = qs('#btn-project-export');
+    this.elements.projectImportButton = qs('#btn-project-import');
+    this.elements.workspaceSelect = qs('#workspace-select');
+    this.elements.workspaceNewButton = qs('#btn-workspace-new');
+    this.elements.workspaceDuplicateButton = qs('#btn-workspace-duplicate');
+    this.elements.workspaceRenameButton = qs('#btn-workspace-rename');
+    this.elements.workspaceDeleteButton = qs('#btn-workspace-delete');
+    this.elements.workspaceSettingsButton = qs('#btn-workspace-settings');
+    this.elements.workspaceUpdated = qs('#workspace-updated');
+    this.elements.undoButton = qs('#btn-undo');
+    this.elements.redoButton = qs('#btn-redo');
+    this.elements.historyButton = qs('#btn-history');
+    this.elements.wordTagFilter = qs('#word-tag-filter');
+
+    // 前回のワークスペースの作業内容を復元してから各パネルを初期化する
+    const restored = this.workspaces.init();
+    this.workspaces.onChange = () => this.renderWorkspaceBar();
+    this.storage.onError = (message) => this.showToast(message, 'error');
+    this.history.onChange = () => this.renderHistoryControls();
+    this.storage.enableAutosave();
 
     this.proxPanel = new ProximityPanel(this);
     this.proxPanel.init();
 
+    this.inputHighlighter = new InputHighlighter(this.elements.exprInput);
+    this.inputHighlighter.init();
+
     this.bindEvents();
     this.renderAll();
+    this.renderWorkspaceBar();
+    this.renderHistoryControls();
+    this._reportRestore(restored);
+  }
+
+  /**
+   * 起動時の復元結果を知らせる
+   * @param {RepositoryLoadResult} restored
+   * @private
+   */
+  _reportRestore(restored) {
+    if (restored.status === 'restored' && restored.blockCount > 0) {
+      const migrated = restored.fromVersion < REPOSITORY_SCHEMA_VERSION ? '（古い形式から変換）' : '';
+      this.showToast(`前回の作業内容を復元しました: ブロック ${restored.blockCount} 個${migrated}`, 'info');
+    } else if (restored.status === 'error') {
+      this.showToast(`保存データを読み込めませんでした: ${restored.message}`, 'error');
+    }
+    this._reportCycles();
+  }
+
+  /**
+   * 読み込んだデータ（古い JSON など）に循環参照があれば知らせる
+   * 循環している式は、循環箇所を空として検索式を描画する。
+   * @private
+   */
+  _reportCycles() {
+    const cycles = this.repo.findCycles();
+    if (!cycles.length) return;
+    const more = cycles.length > 1 ? ` ほか ${cycles.length - 1} 件` : '';
+    this.showToast(
+      `循環参照している式ブロックがあります: ${cycles[0].join(' → ')}${more}（循環箇所は空として描画されます）`,
+      'error'
+    );
   }
 
   bindEvents() {
@@ -70,6 +169,13 @@ class AppController {
       );
     }
 
+    if (this.elements.wordTagFilter) {
+      this.elements.wordTagFilter.addEventListener('change', () => {
+        this.state.tagFilter = this.elements.wordTagFilter.value;
+        this.renderWordsOnly();
+      });
+    }
+
     if (this.elements.equationList) {
       this.elements.equationList.addEventListener('click', (e) =>
         this.onEquationListClick(e)
@@ -87,6 +193,80 @@ class AppController {
         this.onResetEquationsClick()
       );
     }
+
+    if (this.elements.checkReferencesButton) {
+      this.elements.checkReferencesButton.addEventListener('click', () =>
+        this.onCheckReferencesClick()
+      );
+    }
+
+    if (this.elements.projectExportButton) {
+      this.elements.projectExportButton.addEventListener('click', () =>
+        this.onProjectExportClick()
+      );
+    }
+
+    if (this.elements.projectImportButton) {
+      this.elements.projectImportButton.addEventListener('click', () =>
+        this.onProjectImportClick()
+      );
+    }
+
+    if (this.elements.workspaceSelect) {
+      this.elements.workspaceSelect.addEventListener('change', () =>
+        this.onWorkspaceSelectChange()
+      );
+    }
+
+    if (this.elements.workspaceNewButton) {
+      this.elements.workspaceNewButton.addEventListener('click', () =>
+        this.onWorkspaceNewClick()
+      );
+    }
+
+    if (this.elements.workspaceDuplicateButton) {
+      this.elements.workspaceDuplicateButton.addEventListener('click', () =>
+        this.onWorkspaceDuplicateClick()
+      );
+    }
+
+    if (this.elements.workspaceRenameButton) {
+      this.elements.workspaceRenameButton.addEventListener('click', () =>
+        this.onWorkspaceRenameClick()
+      );
+    }
+
+    if (this.elements.workspaceDeleteButton) {
+      this.elements.workspaceDeleteButton.addEventListener('click', () =>
+        this.onWorkspaceDeleteClick()
+      );
+    }
+
+    if (this.elements.workspaceSettingsButton) {
+      this.elements.workspaceSettingsButton.addEventListener('click', () =>
+        this.openWorkspaceSettingsModal()
+      );
+    }
+
+    if (this.elements.undoButton) {
+      this.elements.undoButton.addEventListener('click', () =>
+        this.onUndoClick()
+      );
+    }
+
+    if (this.elements.redoButton) {
+      this.elements.redoButton.addEventListener('click', () =>
+        this.onRedoClick()
+      );
+    }
+
+    if (this.elements.historyButton) {
+      this.elements.historyButton.addEventListener('click', () =>
+        this.openHistoryModal()
+      );
+    }
+
+    document.addEventListener('keydown', (e) => this.onHistoryKeyDown(e));
   }
 
   /**
@@ -94,11 +274,16 @@ class AppController {
    */
   onParseClick() {
     const text = (this.elements.exprInput && this.elements.exprInput.value) || '';
-    const kind = this._getCurrentBuilderKind(); // "word" | "class" | "block"
+    const kind = this._getCurrentBuilderKind(); // "word" | "class" | "block" | "query"
 
-    if (kind === 'block') {
+    if (kind === 'query') {
+      // 検索式取込 - J-PlatPat 形式の検索式から式ブロックを生成
+      this._importQueryInput(text);
+    } else if (kind === 'block') {
       // 新機能1: ブロックモード - 検索式からブロック生成
-      const result = this.blockConverter.generateBlocksFromEquationInput(text);
+      const result = this.history.execute('検索式からブロックを生成', () =>
+        this.blockConverter.generateBlocksFromEquationInput(text)
+      );
       this.showErrors(result.errors || []);
 
       // 成功していれば入力をクリア
@@ -113,17 +298,37 @@ class AppController {
         this.proxPanel.onRepositoryUpdated();
       }
     } else {
-      // 従来の Word/Class ブロック生成
-      const result = this.exprService.parseInputLines(text, kind);
-      this.showErrors(result.errors || []);
+      // Word/Class ブロック生成（複数行の定義スクリプト対応）
+      const kindName = kind === 'class' ? '分類' : '語';
+      const result = this.history.execute(
+        (res) => `${kindName}ブロックを入力から生成（${(res.lines || []).length} 行）`,
+        () => this.exprService.parseInputLines(text, kind)
+      );
 
-      // 成功していれば入力をクリア
-      if (!result.errors || result.errors.length === 0) {
-        if (this.elements.exprInput) {
+      const lines = result.lines || [];
+      const failedLines = lines.filter((l) => l.status === 'failed');
+
+      if (failedLines.length > 0) {
+        // 失敗行だけを残して修正しやすくし、構文エラー箇所を指し示す
+        this._showFailedInputLines(failedLines);
+      } else {
+        this.showErrors(result.errors || []);
+        // 成功していれば入力をクリア
+        if (
+          this.elements.exprInput &&
+          (!result.errors || result.errors.length === 0)
+        ) {
           this.elements.exprInput.value = '';
         }
       }
 
+      if (lines.length > 0) {
+        this.showToast(
+          this._formatInputLinesSummary(lines),
+          failedLines.length > 0 ? 'error' : 'success'
+        );
+      }
+
       this.renderAll();
       if (this.proxPanel) {
         this.proxPanel.onRepositoryUpdated();
@@ -131,6 +336,122 @@ class AppController {
     }
   }
 
+  /**
+   * 失敗した行だけを textarea に残し、構文エラーの範囲に下線を引いてエラー欄に表示する
+   * @param {InputLineResult[]} failedLines
+   * @private
+   */
+  _showFailedInputLines(failedLines) {
+    const spans = [];
+    let offset = 0;
+    failedLines.forEach((l) => {
+      (l.diagnostics || []).forEach((d) => {
+        spans.push({ start: offset + d.span.start, end: offset + d.span.end });
+      });
+      offset += l.text.length + 1; // 改行 1 文字分
+    });
+
+    if (this.elements.exprInput) {
+      this.elements.exprInput.value = failedLines.map((l) => l.text).join('\n');
+    }
+    if (this.inputHighlighter) {
+      this.inputHighlighter.highlight(spans);
+    }
+
+    // 構文エラーは 1 件ずつ該当箇所を示す
+    const errors = [];
+    failedLines.forEach((l) => {
+      if (l.diagnostics && l.diagnostics.length > 0) {
+        l.diagnostics.forEach((d) => {
+          errors.push({ message: `行 ${l.line}: ${d.message}`, source: l.text, span: d.span });
+        });
+      } else {
+        errors.push(`行 ${l.line}: ${l.message}`);
+      }
+    });
+    this.showErrors(errors);
+  }
+
+  /**
+   * 検索式取込: 入力された検索式から EquationBlock を生成し、結果を表示する
+   * @param {string} text
+   * @private
+   */
+  _importQueryInput(text) {
+    // 取込に失敗したときは例外で操作を巻き戻し、採番も含めて何も履歴に残さない
+    let result = null;
+    try {
+      result = this.history.execute(
+        (res) => `式ブロック ${res.equationId} を検索式から取込`,
+        () => {
+          const res = this.blockConverter.importEquationFromQuery(text);
+          if (!res.equationId) {
+            result = res;
+            throw new Error(res.errors[0] || '検索式を取り込めませんでした。');
+          }
+          return res;
+        }
+      );
+    } catch (e) {
+      if (!result) throw e;
+    }
+
+    if (!result.equationId) {
+      if (result.diagnostic) {
+        // 複数行の入力でも、エラーのある行だけを抜き出して ^ で示す
+        const { start, end } = result.diagnostic.span;
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = text.indexOf('\n', start);
+        const source = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+        if (this.inputHighlighter) {
+          this.inputHighlighter.highlight([result.diagnostic.span]);
+        }
+        this.showErrors([
+          {
+            message: result.errors[0],
+            source,
+            span: { start: start - lineStart, end: end - lineStart }
+          }
+        ]);
+      } else {
+        this.showErrors(result.errors || []);
+      }
+      return;
+    }
+
+    // 取込は成功（警告があれば表示して入力は残す）
+    this.showErrors(result.errors || []);
+    if ((!result.errors || result.errors.length === 0) && this.elements.exprInput) {
+      this.elements.exprInput.value = '';
+    }
+
+    this.renderAll();
+    if (this.proxPanel) {
+      this.proxPanel.onRepositoryUpdated();
+    }
+
+    const created = result.createdBlocks;
+    this.showToast(
+      `式ブロック ${result.equationId} を取り込みました（新規 語 ${created.words.length} 件 / 分類 ${created.classes.length} 件、既存 ${result.reusedBlockIds.length} 件を再利用）`
+    );
+  }
+
+  /**
+   * parseInputLines の行ごとの結果を「作成 / 更新 / 失敗」件数の要約文字列にする
+   * @param {InputLineResult[]} lines
+   * @returns {string}
+   * @private
+   */
+  _formatInputLinesSummary(lines) {
+    const count = (status) => lines.filter((l) => l.status === status).length;
+    const parts = [`作成 ${count('created')} 件`, `更新 ${count('updated')} 件`];
+    const failed = count('failed');
+    if (failed > 0) {
+      parts.push(`失敗 ${failed} 件`);
+    }
+    return `${lines.length} 行を処理しました（${parts.join(' / ')}）`;
+  }
+
   /**
    * 式ビルダーの renew ボタン押下時:
    * - Word / Class ブロックの現在の定義に基づいて
@@ -158,7 +479,7 @@ class AppController {
 
   /**
    * ラジオボタンからブロック種別を取得
-   * @returns {"word"|"class"|"block"}
+   * @returns {"word"|"class"|"block"|"query"}
    * @private
    */
   _getCurrentBuilderKind() {
@@ -167,6 +488,7 @@ class AppController {
       if (radio.checked) {
         if (radio.value === 'class') return 'class';
         if (radio.value === 'block') return 'block';
+        if (radio.value === 'query') return 'query';
         return 'word';
       }
     }
@@ -178,6 +500,20 @@ class AppController {
    */
   onWordListClick(event) {
     const target = event.target;
+
+    // タグのグループの見出し → 折りたたみ・展開
+    const groupHeader = target.closest('.js-toggle-tag-group');
+    if (groupHeader) {
+      const tag = groupHeader.dataset.tag;
+      if (this.state.collapsedTags.has(tag)) {
+        this.state.collapsedTags.delete(tag);
+      } else {
+        this.state.collapsedTags.add(tag);
+      }
+      this.renderWordsOnly();
+      return;
+    }
+
     const cardEl = target.closest('.block-card');
     if (!cardEl) return;
 
@@ -194,6 +530,46 @@ class AppController {
       return;
     }
 
+    // 名前変更（Word / Class 共通。式ブロック中の参照も書き換える）
+    if (target.closest('.js-rename-block')) {
+      event.stopPropagation();
+      this.openRenameModal(block);
+      return;
+    }
+
+    // タグ（フォルダ）の設定（Word / Class 共通）
+    if (target.closest('.js-edit-tags')) {
+      event.stopPropagation();
+      this.openTagModal(block);
+      return;
+    }
+
+    // メモ・出典の記録（Word / Class 共通）
+    if (target.closest('.js-edit-meta')) {
+      event.stopPropagation();
+      this.openMetaModal(block);
+      return;
+    }
+
+    // 過去の版との差分・版の復元（Word / Class 共通）
+    if (target.closest('.js-block-revisions')) {
+      event.stopPropagation();
+      this.openRevisionModal(block);
+      return;
+    }
+
+    // 語ブロックの統合・分割
+    if (target.closest('.js-merge-word')) {
+      event.stopPropagation();
+      if (block.kind === 'WB') this.openMergeWordsModal(block);
+      return;
+    }
+    if (target.closest('.js-split-word')) {
+      event.stopPropagation();
+      if (block.kind === 'WB') this.openSplitWordModal(block);
+      return;
+    }
+
     // 機能2: 削除（Word / Class 共通）
     if (target.closest('.js-delete-block')) {
       event.stopPropagation();
@@ -239,6 +615,27 @@ class AppController {
       return;
     }
 
+    // ★ 分割コピー
+    if (target.classList.contains('js-split-copy-equation')) {
+      event.stopPropagation();
+      this.handleSplitCopyEquation(id);
+      return;
+    }
+
+    // ★ 最適化
+    if (target.classList.contains('js-optimize-equation')) {
+      event.stopPropagation();
+      this.handleOptimizeEquation(id);
+      return;
+    }
+
+    // ★ 他の式との比較
+    if (target.classList.contains('js-compare-equation')) {
+      event.stopPropagation();
+      this.handleCompareEquation(id);
+      return;
+    }
+
     // ★ 色マップ出力
     if (target.classList.contains('js-export-colormap')) {
       event.stopPropagation();
@@ -246,6 +643,13 @@ class AppController {
       return;
     }
 
+    // メモ・出典の記録
+    if (target.closest('.js-edit-meta')) {
+      event.stopPropagation();
+      this.openMetaModal(block);
+      return;
+    }
+
     // 削除
     if (target.closest('.js-delete-block')) {
       event.stopPropagation();
@@ -269,7 +673,13 @@ class AppController {
   handleCopyEquationQuery(ebId) {
     const eb = this.repo.get(ebId);
     if (!eb || eb.kind !== 'EB') return;
-    const rawText = eb.renderQuery(this.ctx) || '';
+    const cycle = this.repo.getCycleOf(eb.id);
+    if (cycle) {
+      this.showToast(`循環参照しているためコピーできません: ${cycle.join(' → ')}`, 'error');
+      return;
+    }
+    const rawText = this._renderQueryOrToast(eb);
+    if (rawText === null) return;
     if (!rawText) {
       this.showToast('検索式が空です。', 'error');
       return;
@@ -278,9 +688,50 @@ class AppController {
     // 新機能2: 内部整形を適用（記号半角化、スペース削除）
     const normalizedText = this.exprNormalizer.normalizeInline(rawText);
 
-    this._copyTextToClipboard(normalizedText)
+    // コピーする検索式を再解析し、式ブロックの論理と一致するか確認する
+    const check = this.queryVerifier.verifyEquation(eb, normalizedText);
+    if (check.status === 'mismatch') {
+      this.openQueryMismatchModal(eb, check, () => this._copyEquationQueryText(normalizedText));
+      return;
+    }
+
+    const notes = [];
+    if (check.status === 'unverified') notes.push(check.message);
+    // 検索システムの上限を超えている場合は、貼り付ける前に分かるよう併記する
+    const measured = this.queryMeter.measureEquation(eb);
+    measured.issues
+      .filter((issue) => issue.level === 'error')
+      .forEach((issue) => notes.push(issue.message));
+    this._copyEquationQueryText(normalizedText, notes.join(' '));
+  }
+
+  /**
+   * 式ブロックの検索式を描画する
+   * 検索式にできない式（近傍の語に論理差を含むなど）はトーストで知らせて null を返す。
+   * @param {EquationBlock} eb
+   * @returns {string|null}
+   * @private
+   */
+  _renderQueryOrToast(eb) {
+    try {
+      return eb.renderQuery(this.ctx) || '';
+    } catch (e) {
+      this.showToast(`検索式を作成できません: ${e.message || e}`, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * 検索式をクリップボードへコピーしてトーストで通知
+   * @param {string} text
+   * @param {string} [note] - 成功時に添える補足（検証を省略した理由など）
+   * @private
+   */
+  _copyEquationQueryText(text, note) {
+    this._copyTextToClipboard(text)
       .then(() => {
-        this.showToast('検索式をクリップボードにコピーしました。', 'success');
+        const message = '検索式をクリップボードにコピーしました。';
+        this.showToast(note ? `${message}（${note}）` : message, 'success');
       })
       .catch((err) => {
         console.error('Clipboard copy failed:', err);
@@ -289,57 +740,409 @@ class AppController {
   }
 
   /**
-   * 式ブロックの色マップモデルをエクスポート
+   * 検索式が式ブロックの論理と一致しない場合の警告モーダル
+   * 食い違っている部分式と反例を示し、それでもコピーするかを選ばせる。
+   * @param {EquationBlock} eb
+   * @param {QueryVerificationResult} check
+   * @param {() => void} onCopyAnyway
+   */
+  openQueryMismatchModal(eb, check, onCopyAnyway) {
+    const { body, footer, close } = this.createModalSkeleton(
+      `検索式の検証に失敗しました: ${eb.label || eb.id}`
+    );
+
+    const intro = document.createElement('div');
+    intro.textContent = check.message;
+    body.appendChild(intro);
+
+    if (check.divergence) {
+      if (check.divergence.origin) {
+        this._appendReadonlyField(body, '食い違っている部分式（式ブロック）', check.divergence.origin);
+      }
+      this._appendReadonlyField(body, '式ブロックの意味', check.divergence.expected);
+      this._appendReadonlyField(body, '検索式での意味', check.divergence.actual);
+    }
+    if (check.counterExample) {
+      const present = check.counterExample.present.join(', ') || '（なし）';
+      const absent = check.counterExample.absent.join(', ') || '（なし）';
+      this._appendReadonlyField(body, '結果が変わる文献の例', `含む: ${present}\n含まない: ${absent}`);
+    }
+    this._appendReadonlyField(body, '生成された検索式', check.query);
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnCopy = document.createElement('button');
+    btnCopy.type = 'button';
+    btnCopy.className = 'btn';
+    btnCopy.textContent = 'それでもコピー';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnCopy);
+
+    btnCancel.addEventListener('click', () => close());
+    btnCopy.addEventListener('click', () => {
+      close();
+      onCopyAnyway();
+    });
+  }
+
+  /**
+   * 式ブロックの検索式を文字数上限ごとに分割するモーダルを開く
    * @param {string} ebId
    */
-  handleExportColormap(ebId) {
+  handleSplitCopyEquation(ebId) {
     const eb = this.repo.get(ebId);
-    if (!eb || eb.kind !== 'EB') {
-      this.showToast('式ブロックが見つかりません。', 'error');
+    if (!eb || eb.kind !== 'EB') return;
+    const rawText = this._renderQueryOrToast(eb);
+    if (rawText === null) return;
+    if (!rawText) {
+      this.showToast('検索式が空です。', 'error');
       return;
     }
+    this.openSplitCopyModal(eb);
+  }
 
-    try {
-      // 色マップモデルを構築
-      const model = eb.buildColorMapModel(this.ctx);
-      
-      if (!model || model.length === 0) {
-        this.showToast('色マップモデルが空です。', 'error');
+  /**
+   * 分割コピーモーダル
+   * 文字数上限を変えると分割し直し、番号付きの検索式一覧を示す。
+   * 検索式は 1 つずつ、または番号付きでまとめてコピーできる。
+   * @param {EquationBlock} eb
+   */
+  openSplitCopyModal(eb) {
+    const { body, footer, close } = this.createModalSkeleton(
+      `分割コピー: ${eb.label || eb.id}`
+    );
+
+    const budgetField = document.createElement('div');
+    budgetField.className = 'modal__field';
+    const budgetLabel = document.createElement('label');
+    budgetLabel.className = 'modal__label';
+    budgetLabel.textContent = '1 検索式あたりの文字数上限';
+    const budgetInput = document.createElement('input');
+    budgetInput.type = 'number';
+    budgetInput.min = '1';
+    budgetInput.className = 'modal__input';
+    budgetInput.value = String(this.queryMeter.profile.maxLength);
+    budgetField.appendChild(budgetLabel);
+    budgetField.appendChild(budgetInput);
+    body.appendChild(budgetField);
+
+    const statusBox = document.createElement('div');
+    body.appendChild(statusBox);
+
+    // 等価性を確かめられなかった分割は、利用者が承知した場合だけコピーできる
+    const ackLabel = document.createElement('label');
+    ackLabel.className = 'modal__checkbox';
+    const ackInput = document.createElement('input');
+    ackInput.type = 'checkbox';
+    ackLabel.appendChild(ackInput);
+    ackLabel.appendChild(document.createTextNode(' 元の式と同じ結果になるか確認できていないことを承知でコピーする'));
+    body.appendChild(ackLabel);
+
+    const list = document.createElement('ol');
+    list.className = 'split-copy-list';
+    body.appendChild(list);
+
+    const btnClose = document.createElement('button');
+    btnClose.type = 'button';
+    btnClose.className = 'btn';
+    btnClose.textContent = '閉じる';
+
+    const btnCopyAll = document.createElement('button');
+    btnCopyAll.type = 'button';
+    btnCopyAll.className = 'btn';
+    btnCopyAll.textContent = '番号付きでまとめてコピー';
+
+    let result = null;
+    let partButtons = [];
+
+    // 検証で元の式と一致すると確かめられた分割（確かめられなかった場合は承知のうえで）だけをコピーできる
+    const canCopy = () =>
+      !!result && (result.status === 'ok' || (result.status === 'unverified' && ackInput.checked));
+    const updateCopyButtons = () => {
+      const enabled = canCopy();
+      btnCopyAll.disabled = !enabled;
+      partButtons.forEach((btn) => { btn.disabled = !enabled; });
+    };
+    ackInput.addEventListener('change', updateCopyButtons);
+
+    const renderResult = () => {
+      ackInput.checked = false;
+      ackLabel.style.display = 'none';
+      partButtons = [];
+      const budget = parseInt(budgetInput.value, 10);
+      if (!Number.isFinite(budget) || budget <= 0) {
+        result = null;
+        updateCopyButtons();
+        statusBox.textContent = '文字数上限には 1 以上の数値を入力してください。';
+        statusBox.className = 'modal__error';
+        while (list.firstChild) list.removeChild(list.firstChild);
         return;
       }
 
-      // ファイル名を生成（式ブロックのラベルから）
-      const filename = `colormap_${eb.label || eb.id}.json`.replace(/[^a-zA-Z0-9_\-\.]/g, '_');
+      result = this.querySplitter.split(eb, budget);
+      const summary = result.strategy === 'none'
+        ? '上限内に収まっているため分割は不要です。'
+        : `${result.parts.length} 個の検索式に分割しました。すべての和が元の式と同じになります。`;
+      if (result.status === 'ok') {
+        statusBox.textContent = summary;
+      } else if (result.status === 'unverified') {
+        statusBox.textContent =
+          `${result.parts.length} 個の検索式に分割しましたが、和が元の式と同じになるか確認できませんでした` +
+          `（${result.message || '理由不明'}）。内容を確かめてからコピーしてください。`;
+        ackLabel.style.display = '';
+      } else {
+        statusBox.textContent = result.message || '';
+      }
+      statusBox.className = result.status === 'ok' ? '' : 'modal__error';
+
+      while (list.firstChild) list.removeChild(list.firstChild);
+      result.parts.forEach((part) => {
+        const item = document.createElement('li');
+        item.className = 'split-copy-list__item';
+        const text = document.createElement('div');
+        text.className = 'modal__readonly modal__code';
+        text.textContent = part;
+        const meta = document.createElement('div');
+        meta.className = 'split-copy-list__meta';
+        const length = document.createElement('span');
+        length.textContent = `${part.length} 文字`;
+        const btnCopyPart = document.createElement('button');
+        btnCopyPart.type = 'button';
+        btnCopyPart.className = 'btn-small';
+        btnCopyPart.textContent = 'コピー';
+        partButtons.push(btnCopyPart);
+        btnCopyPart.addEventListener('click', () => this._copyEquationQueryText(part));
+        meta.appendChild(length);
+        meta.appendChild(btnCopyPart);
+        item.appendChild(text);
+        item.appendChild(meta);
+        list.appendChild(item);
+      });
+      updateCopyButtons();
+    };
+    budgetInput.addEventListener('change', renderResult);
+    renderResult();
 
-      // エクスポート
-      ColormapExporter.export(model, filename);
-      this.showToast('色マップモデルをダウンロードしました。', 'success');
-    } catch (err) {
-      console.error('Colormap export failed:', err);
-      this.showToast('色マップの出力に失敗しました。', 'error');
-    }
+    footer.appendChild(btnClose);
+    footer.appendChild(btnCopyAll);
+
+    btnClose.addEventListener('click', () => close());
+    btnCopyAll.addEventListener('click', () => {
+      if (!canCopy()) {
+        this.showToast((result && result.message) || '分割結果を確かめられないため、コピーできません。', 'error');
+        return;
+      }
+      const numbered = result.parts.map((part, i) => `${i + 1}: ${part}`).join('\n');
+      this._copyEquationQueryText(numbered);
+    });
   }
 
   /**
-   * クリップボードコピー共通処理
-   * @param {string} text
-   * @returns {Promise<void>}
-   * @private
+   * 式ブロックの AST を簡約し、変化があればプレビューモーダルを開く
+   * @param {string} ebId
    */
-  _copyTextToClipboard(text) {
-    // navigator.clipboard が使える場合
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      return navigator.clipboard.writeText(text);
+  handleOptimizeEquation(ebId) {
+    const eb = this.repo.get(ebId);
+    if (!eb || eb.kind !== 'EB' || !eb.root) return;
+    if (this._renderQueryOrToast(eb) === null) return;
+
+    const result = this.exprSimplifier.simplify(eb.root);
+    if (!result.changed) {
+      this.showToast('この式はこれ以上最適化できません。', 'info');
+      return;
     }
+    this.openOptimizeModal(eb, result);
+  }
 
-    // フォールバック: 一時 textarea + execCommand('copy')
-    return new Promise((resolve, reject) => {
-      try {
-        const textarea = document.createElement('textarea');
-        textarea.value = text;
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        textarea.style.pointerEvents = 'none';
+  /**
+   * 最適化の前後比較モーダル
+   * 論理式・検索式の前後と、コピーされる検索式の文字数の増減を示す。
+   * @param {EquationBlock} eb
+   * @param {SimplifyResult} result
+   */
+  openOptimizeModal(eb, result) {
+    const { body, footer, close } = this.createModalSkeleton(
+      `式の最適化: ${eb.label || eb.id}`
+    );
+
+    // 適用前に検索式を描画するための一時ブロック（リポジトリには登録しない）
+    const preview = new EquationBlock(eb.id, eb.label, result.root);
+    const beforeQuery = this.exprNormalizer.normalizeInline(eb.renderQuery(this.ctx) || '');
+    const afterQuery = this.exprNormalizer.normalizeInline(preview.renderQuery(this.ctx) || '');
+    const saving = beforeQuery.length - afterQuery.length;
+
+    this._appendReadonlyField(body, '最適化前の論理式', eb.renderLogical(this.ctx) || '');
+    this._appendReadonlyField(body, '最適化後の論理式', preview.renderLogical(this.ctx) || '');
+    this._appendReadonlyField(body, '最適化前の検索式', beforeQuery);
+    this._appendReadonlyField(body, '最適化後の検索式', afterQuery);
+
+    const savingText = saving > 0
+      ? `${saving}文字短縮`
+      : saving < 0 ? `${-saving}文字増加` : '変化なし';
+    this._appendReadonlyField(body, '検索式の文字数', `${beforeQuery.length} → ${afterQuery.length}（${savingText}）`);
+    this._appendReadonlyField(body, '適用した規則', result.rules.join('、'));
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnApply = document.createElement('button');
+    btnApply.type = 'button';
+    btnApply.className = 'btn';
+    btnApply.textContent = '適用';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnApply);
+
+    btnCancel.addEventListener('click', () => close());
+    btnApply.addEventListener('click', () => {
+      this.history.execute(`式「${eb.label || eb.id}」を最適化`, () => {
+        eb.setRoot(result.root);
+        this.repo.upsert(eb);
+      });
+      this.renderEquationsOnly();
+      close();
+      this.showToast('式を最適化しました。', 'success');
+    });
+  }
+
+  /**
+   * 式ブロックを他の式ブロックと比較するモーダルを開く
+   * @param {string} ebId
+   */
+  handleCompareEquation(ebId) {
+    const eb = this.repo.get(ebId);
+    if (!eb || eb.kind !== 'EB') return;
+
+    const others = this.repo.getAllEquations().filter((other) => other.id !== eb.id);
+    if (!others.length) {
+      this.showToast('比較できる他の式ブロックがありません。', 'error');
+      return;
+    }
+    this.openCompareModal(eb, others);
+  }
+
+  /**
+   * 式の比較モーダル
+   * 比較相手を選ぶと、等価 / 包含 / 重なりの判定と、片方だけがヒットする文献の例を示す。
+   * @param {EquationBlock} eb - 比較元（A）
+   * @param {EquationBlock[]} others - 比較相手（B）の候補
+   */
+  openCompareModal(eb, others) {
+    const { body, footer, close } = this.createModalSkeleton(
+      `式の比較: ${eb.label || eb.id}`
+    );
+
+    const selectField = document.createElement('div');
+    selectField.className = 'modal__field';
+    const selectLabel = document.createElement('label');
+    selectLabel.className = 'modal__label';
+    selectLabel.textContent = '比較相手 (B)';
+    const select = document.createElement('select');
+    select.className = 'modal__input';
+    others.forEach((other) => {
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = other.label || other.id;
+      select.appendChild(option);
+    });
+    selectField.appendChild(selectLabel);
+    selectField.appendChild(select);
+    body.appendChild(selectField);
+
+    const resultBox = document.createElement('div');
+    body.appendChild(resultBox);
+
+    const formatAssignment = (assignment) => {
+      const present = assignment.present.join(', ') || '（なし）';
+      const absent = assignment.absent.join(', ') || '（なし）';
+      return `含む: ${present}\n含まない: ${absent}`;
+    };
+
+    const renderResult = () => {
+      while (resultBox.firstChild) resultBox.removeChild(resultBox.firstChild);
+      const other = this.repo.get(select.value);
+      if (!other) return;
+
+      const result = this.equationComparator.compareEquations(eb, other);
+      this._appendReadonlyField(resultBox, '判定', result.message);
+      this._appendReadonlyField(resultBox, `A: ${eb.label || eb.id}`, eb.renderLogical(this.ctx) || '');
+      this._appendReadonlyField(resultBox, `B: ${other.label || other.id}`, other.renderLogical(this.ctx) || '');
+      if (result.onlyInA) {
+        this._appendReadonlyField(resultBox, 'A だけがヒットする文献の例', formatAssignment(result.onlyInA));
+      }
+      if (result.onlyInB) {
+        this._appendReadonlyField(resultBox, 'B だけがヒットする文献の例', formatAssignment(result.onlyInB));
+      }
+    };
+    select.addEventListener('change', renderResult);
+    renderResult();
+
+    const btnClose = document.createElement('button');
+    btnClose.type = 'button';
+    btnClose.className = 'btn';
+    btnClose.textContent = '閉じる';
+    footer.appendChild(btnClose);
+    btnClose.addEventListener('click', () => close());
+  }
+
+  /**
+   * 式ブロックの色マップモデルをエクスポート
+   * @param {string} ebId
+   */
+  handleExportColormap(ebId) {
+    const eb = this.repo.get(ebId);
+    if (!eb || eb.kind !== 'EB') {
+      this.showToast('式ブロックが見つかりません。', 'error');
+      return;
+    }
+
+    try {
+      // 色マップモデルを構築
+      const model = eb.buildColorMapModel(this.ctx);
+      
+      if (!model || model.length === 0) {
+        this.showToast('色マップモデルが空です。', 'error');
+        return;
+      }
+
+      // ファイル名を生成（式ブロックのラベルから）
+      const filename = `colormap_${eb.label || eb.id}.json`.replace(/[^a-zA-Z0-9_\-\.]/g, '_');
+
+      // エクスポート
+      ColormapExporter.export(model, filename);
+      this.showToast('色マップモデルをダウンロードしました。', 'success');
+    } catch (err) {
+      console.error('Colormap export failed:', err);
+      this.showToast('色マップの出力に失敗しました。', 'error');
+    }
+  }
+
+  /**
+   * クリップボードコピー共通処理
+   * @param {string} text
+   * @returns {Promise<void>}
+   * @private
+   */
+  _copyTextToClipboard(text) {
+    // navigator.clipboard が使える場合
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+
+    // フォールバック: 一時 textarea + execCommand('copy')
+    return new Promise((resolve, reject) => {
+      try {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        textarea.style.pointerEvents = 'none';
         document.body.appendChild(textarea);
         textarea.focus();
         textarea.select();
@@ -362,7 +1165,7 @@ class AppController {
    * @param {string} message
    * @param {"success"|"error"|"info"} [kind="info"]
    */
-  showToast(message, kind = 'info') {
+  showToast(message, kind = 'info', action = null) {
     const container = this._ensureToastContainer();
 
     const toast = document.createElement('div');
@@ -374,6 +1177,19 @@ class AppController {
     }
     toast.textContent = message;
 
+    // 操作ボタン付き（「元に戻す」など）は押せるよう長めに表示する
+    if (action) {
+      const btnAction = document.createElement('button');
+      btnAction.type = 'button';
+      btnAction.className = 'toast__action';
+      btnAction.textContent = action.label;
+      btnAction.addEventListener('click', () => {
+        toast.classList.remove('is-visible');
+        action.onClick();
+      });
+      toast.appendChild(btnAction);
+    }
+
     container.appendChild(toast);
 
     // アニメーション開始のために次フレームで is-visible 付与
@@ -381,7 +1197,7 @@ class AppController {
       toast.classList.add('is-visible');
     });
 
-    const visibleDuration = 2000; // 2秒表示
+    const visibleDuration = action ? 6000 : 2000; // 2秒表示（操作ボタン付きは6秒）
     setTimeout(() => {
       toast.classList.remove('is-visible');
       // フェードアウト後に DOM から削除
@@ -395,197 +1211,1753 @@ class AppController {
   }
 
   /**
-   * トースト用コンテナを確保する（なければ作る）
-   * @returns {HTMLElement}
-   * @private
+   * トースト用コンテナを確保する（なければ作る）
+   * @returns {HTMLElement}
+   * @private
+   */
+  _ensureToastContainer() {
+    let container = document.querySelector('.toast-container');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'toast-container';
+      document.body.appendChild(container);
+    }
+    return container;
+  }
+
+  /**
+   * パースエラー表示
+   * 文字列のほか、{ message, source, span } を渡すと該当箇所を下線と ^ で指し示す。
+   * @param {(string|{message: string, source: string, span: SourceSpan})[]} errors
+   */
+  showErrors(errors) {
+    const box = this.elements.errorBox;
+    if (!box) return;
+
+    clearChildren(box);
+    if (!errors || errors.length === 0) {
+      box.classList.remove('is-visible');
+      if (this.inputHighlighter) this.inputHighlighter.clear();
+      return;
+    }
+
+    errors.forEach((err) => {
+      const item = create('div', 'error-message__item');
+      if (typeof err === 'string') {
+        item.textContent = err;
+      } else {
+        item.textContent = err.message;
+        if (typeof err.source === 'string' && err.span) {
+          item.appendChild(this._buildDiagnosticSnippet(err.source, err.span));
+        }
+      }
+      box.appendChild(item);
+    });
+    box.classList.add('is-visible');
+  }
+
+  /**
+   * 式の問題箇所を下線で示し、次の行に ^ を置いた抜粋要素を作る
+   *
+   *   NB = (基地局+eNB
+   *                   ^
+   *
+   * ^ の前には同じ文字列を不可視で置くので、全角文字が混じっても位置がずれない。
+   * @param {string} source - 1 行分の式
+   * @param {SourceSpan} span - source 内の範囲
+   * @returns {HTMLElement}
+   * @private
+   */
+  _buildDiagnosticSnippet(source, span) {
+    const start = Math.max(0, Math.min(span.start, source.length));
+    const end = Math.max(start, Math.min(span.end, source.length));
+
+    const snippet = create('div', 'error-message__snippet');
+
+    const codeLine = create('div');
+    codeLine.appendChild(document.createTextNode(source.slice(0, start)));
+    const range = create('span', 'error-message__range');
+    range.textContent = source.slice(start, end);
+    codeLine.appendChild(range);
+    codeLine.appendChild(document.createTextNode(source.slice(end)));
+
+    const caretLine = create('div');
+    const pad = create('span', 'error-message__pad');
+    pad.textContent = source.slice(0, start);
+    const caret = create('span', 'error-message__caret');
+    caret.textContent = '^';
+    caretLine.appendChild(pad);
+    caretLine.appendChild(caret);
+
+    snippet.appendChild(codeLine);
+    snippet.appendChild(caretLine);
+    return snippet;
+  }
+
+  renderAll() {
+    this.renderWordsOnly();
+    this.renderEquationsOnly();
+    this.updateSelectionHighlight();
+  }
+
+  renderWordsOnly() {
+    if (!this.elements.wordList) return;
+    this.renderTagFilter();
+    this.view.renderWords(this.elements.wordList, {
+      tagFilter: this.state.tagFilter,
+      collapsedTags: this.state.collapsedTags
+    });
+    this.updateSelectionHighlight();
+  }
+
+  /**
+   * タグでの絞り込みの選択肢を作り直す（選んでいたタグがなくなっていれば「すべて」に戻す）
+   */
+  renderTagFilter() {
+    const select = this.elements.wordTagFilter;
+    if (!select) return;
+
+    const tags = this.repo.getAllTags();
+    const options = [{ value: '', text: 'すべてのタグ' }];
+    tags.forEach(({ tag, count }) => options.push({ value: tag, text: `${tag} (${count})` }));
+    if (tags.length) options.push({ value: TAG_FILTER_UNTAGGED, text: 'タグなし' });
+    if (!options.some((opt) => opt.value === this.state.tagFilter)) this.state.tagFilter = '';
+
+    clearChildren(select);
+    options.forEach((opt) => {
+      const option = document.createElement('option');
+      option.value = opt.value;
+      option.textContent = opt.text;
+      select.appendChild(option);
+    });
+    select.value = this.state.tagFilter;
+    select.disabled = !tags.length;
+  }
+
+  renderEquationsOnly() {
+    if (!this.elements.equationList) return;
+    this.view.renderEquations(this.elements.equationList);
+    this.updateSelectionHighlight();
+  }
+
+  setBuilderSelectionIds(ids) {
+    this.state.builderSelectionIds = Array.from(ids);
+    this.updateSelectionHighlight();
+    if (this.proxPanel) {
+      this.proxPanel.setSelectionIds(this.state.builderSelectionIds);
+    }
+  }
+
+  updateSelectionHighlight() {
+    const allCards = qsa('.block-card');
+    const selectedSet = new Set(this.state.builderSelectionIds);
+    for (const card of allCards) {
+      const id = card.dataset.id;
+      if (selectedSet.has(id)) {
+        card.classList.add('is-selected');
+      } else {
+        card.classList.remove('is-selected');
+      }
+    }
+  }
+
+  toggleBuilderSelection(id) {
+    const idx = this.state.builderSelectionIds.indexOf(id);
+    if (idx >= 0) {
+      this.state.builderSelectionIds.splice(idx, 1);
+    } else {
+      // 選択上限を30個に拡大（積演算で複数選択可能にするため）
+      // 近傍演算の個数制限はProximityPanel側で判定
+      if (this.state.builderSelectionIds.length >= 30) {
+        if (this.proxPanel) {
+          this.proxPanel.showMessage('素材は最大30個までです。', 'error');
+        }
+        return;
+      }
+      this.state.builderSelectionIds.push(id);
+    }
+    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+  }
+
+  /**
+   * Word ブロックから「式入力/定義」行を生成して textarea に出す
+   *
+   * NB という WordBlock で queryText = "(基地局+NB+eNB)" なら
+   * → "NB = 基地局+NB+eNB" を追加
+   *
+   * @param {WordBlock} wordBlock
+   */
+  handleGenerateEquationLineFromWord(wordBlock) {
+    if (!wordBlock || wordBlock.kind !== 'WB') return;
+    const textarea = this.elements.exprInput;
+    if (!textarea) return;
+
+    const name = wordBlock.token || wordBlock.label || wordBlock.id;
+    let body = wordBlock.queryText || '';
+    body = body.trim();
+    if (body.startsWith('(') && body.endsWith(')')) {
+      body = body.slice(1, -1);
+    }
+
+    const line = `${name} = ${body}`;
+    const current = textarea.value;
+
+    if (!current.trim()) {
+      textarea.value = line;
+    } else {
+      textarea.value = current.replace(/\s*$/, '') + '\n' + line;
+    }
+
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
+  }
+
+  handleDeleteBlock(block) {
+    if (!block) return;
+
+    const kindName = block.kind === 'WB' ? 'Word' : block.kind === 'CB' ? 'Class' : 'Equation';
+    const historyLabel = `${kindName}ブロック「${block.label || block.id}」を削除`;
+    const doneMessage = `${historyLabel}しました`;
+
+    // 他の式から参照されている場合は、影響を確認してから削除する
+    if (this.repo.getDependents(block.id).length > 0) {
+      this.openDeleteImpactModal([block], doneMessage, historyLabel);
+      return;
+    }
+
+    this.history.execute(historyLabel, () => this._removeBlocks([block.id]));
+    this.showToast(doneMessage, 'success');
+  }
+
+  /**
+   * Word / 分類ブロックの名前変更モーダル
+   * token を変えると、式ブロック中でその token を使っている箇所もすべて新しい token に書き換える。
+   * 変更後のトーストから「元に戻す」で取り消せる。
+   * @param {WordBlock|ClassBlock} block
+   */
+  openRenameModal(block) {
+    const kindName = block.kind === 'WB' ? 'Word' : 'Class';
+    const { body, footer, error, close } = this.createModalSkeleton(
+      `${kindName} ブロックの名前変更`
+    );
+
+    const addInput = (labelText, value) => {
+      const field = document.createElement('div');
+      field.className = 'modal__field';
+      const label = document.createElement('label');
+      label.className = 'modal__label';
+      label.textContent = labelText;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'modal__input';
+      input.value = value || '';
+      field.appendChild(label);
+      field.appendChild(input);
+      body.appendChild(field);
+      return input;
+    };
+    const labelInput = addInput('ラベル', block.label);
+    const tokenInput = addInput('token (参照用)', block.token);
+
+    const dependents = this.repo.getDependents(block.id);
+    if (dependents.length) {
+      const note = document.createElement('div');
+      note.className = 'modal__readonly';
+      note.textContent = `token を変更すると、${dependents.length} 個の式ブロック中の参照も書き換えます。`;
+      body.appendChild(note);
+    }
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnSave = document.createElement('button');
+    btnSave.type = 'button';
+    btnSave.className = 'btn';
+    btnSave.textContent = '保存';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSave);
+
+    btnCancel.addEventListener('click', () => close());
+    btnSave.addEventListener('click', () => {
+      const newLabel = labelInput.value.trim();
+      const newToken = tokenInput.value.trim();
+      if (!newLabel) {
+        error.textContent = 'ラベルは必須です。';
+        return;
+      }
+
+      let record;
+      try {
+        record = this.history.execute(`「${block.label || block.id}」の名前を変更`, () =>
+          this.repo.renameBlock(block.id, { label: newLabel, token: newToken })
+        );
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      this._afterRename();
+
+      const entry = this.history.peekUndo();
+      const rewritten = record.rewritten.length ? `（${record.rewritten.length} 個の式ブロックの参照を書き換えました）` : '';
+      this.showToast(`「${record.after.label}」に変更しました${rewritten}`, 'success', {
+        label: '元に戻す',
+        onClick: () => {
+          // 後に別の操作をしていれば、その操作ごと戻さないよう履歴からの取り消しに任せる
+          if (!entry || this.history.peekUndo() !== entry) {
+            this.showToast('後に別の操作をしたため、ここからは元に戻せません。「履歴」から戻してください。', 'error');
+            return;
+          }
+          this.onUndoClick();
+        }
+      });
+    });
+  }
+
+  /**
+   * タグ（フォルダ）の設定モーダル（Word / Class 共通）
+   * タグはカンマ区切りで入力し、タグごとに色を選ぶ（色はワークスペース内で共通）。
+   * 先頭のタグが一覧でのグループになる。
+   * @param {WordBlock|ClassBlock} block
+   */
+  openTagModal(block) {
+    const { body, footer, error, close } = this.createModalSkeleton(
+      `タグの設定: ${block.label || block.id}`
+    );
+
+    const field = document.createElement('div');
+    field.className = 'modal__field';
+    const label = document.createElement('label');
+    label.className = 'modal__label';
+    label.textContent = 'タグ（カンマ区切り。先頭のタグで一覧をまとめます。例: 構成要素A, 効果）';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'modal__input';
+    input.value = block.tags.join(', ');
+    field.appendChild(label);
+    field.appendChild(input);
+    body.appendChild(field);
+
+    const known = this.repo.getAllTags().map(({ tag }) => tag);
+    if (known.length) {
+      const note = document.createElement('div');
+      note.className = 'modal__readonly';
+      note.textContent = `既存のタグ: ${known.join(', ')}`;
+      body.appendChild(note);
+    }
+
+    // タグごとの色（入力したタグに合わせて作り直す。選んだ色は作り直しても残す）
+    const colors = new Map();
+    const colorList = document.createElement('div');
+    colorList.className = 'tag-color-list';
+    body.appendChild(colorList);
+
+    const parseTags = () => ValueBlock.normalizeTags(input.value.split(/[,、]/));
+    const renderColors = () => {
+      clearChildren(colorList);
+      parseTags().forEach((tag) => {
+        if (!colors.has(tag)) colors.set(tag, this.repo.getTagColor(tag));
+        const row = document.createElement('label');
+        row.className = 'tag-color-list__item';
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.value = colors.get(tag);
+        picker.addEventListener('input', () => colors.set(tag, picker.value));
+        const name = document.createElement('span');
+        name.textContent = tag;
+        row.appendChild(picker);
+        row.appendChild(name);
+        colorList.appendChild(row);
+      });
+    };
+    input.addEventListener('input', renderColors);
+    renderColors();
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnSave = document.createElement('button');
+    btnSave.type = 'button';
+    btnSave.className = 'btn';
+    btnSave.textContent = '保存';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSave);
+
+    btnCancel.addEventListener('click', () => close());
+    btnSave.addEventListener('click', () => {
+      const tags = parseTags();
+      try {
+        this.history.execute(`「${block.label || block.id}」のタグを変更`, () => {
+          block.setTags(tags);
+          tags.forEach((tag) => this.repo.setTagColor(tag, colors.get(tag)));
+          this.repo.upsert(block);
+        });
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      this.renderWordsOnly();
+    });
+  }
+
+  /**
+   * メモ・出典の記録モーダル（全種別共通）
+   * @param {Block} block
+   */
+  openMetaModal(block) {
+    const { body, footer, error, close } = this.createModalSkeleton(
+      `メモ・出典: ${block.label || block.id}`
+    );
+    const readMeta = this._appendMetaFields(body, block);
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnSave = document.createElement('button');
+    btnSave.type = 'button';
+    btnSave.className = 'btn';
+    btnSave.textContent = '保存';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSave);
+
+    btnCancel.addEventListener('click', () => close());
+    btnSave.addEventListener('click', () => {
+      try {
+        this.history.execute(`「${block.label || block.id}」のメモ・出典を変更`, () => {
+          block.setMeta(readMeta());
+          this.repo.upsert(block);
+        });
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      if (block.kind === 'EB') {
+        this.renderEquationsOnly();
+      } else {
+        this.renderWordsOnly();
+      }
+    });
+  }
+
+  /**
+   * メモ・出典・作成者・確認済みの入力欄を追加する（編集モーダル共通）
+   * @param {HTMLElement} body
+   * @param {Block} block
+   * @returns {() => BlockMeta} 入力内容を読む関数
+   * @private
+   */
+  _appendMetaFields(body, block) {
+    const addField = (labelText, input) => {
+      const field = document.createElement('div');
+      field.className = 'modal__field';
+      const label = document.createElement('label');
+      label.className = 'modal__label';
+      label.textContent = labelText;
+      field.appendChild(label);
+      field.appendChild(input);
+      body.appendChild(field);
+    };
+
+    const noteInput = document.createElement('textarea');
+    noteInput.className = 'modal__textarea';
+    noteInput.value = block.note;
+    addField('メモ（選定理由など）', noteInput);
+
+    const sourceInput = document.createElement('input');
+    sourceInput.type = 'text';
+    sourceInput.className = 'modal__input';
+    sourceInput.value = block.source;
+    sourceInput.placeholder = '例: 特開2020-123456 / 請求項1 構成要素A';
+    addField('出典（公報番号・請求項の構成要素など）', sourceInput);
+
+    const authorInput = document.createElement('input');
+    authorInput.type = 'text';
+    authorInput.className = 'modal__input';
+    authorInput.value = block.author;
+    addField('作成者', authorInput);
+
+    const reviewedLabel = document.createElement('label');
+    reviewedLabel.className = 'modal__checkbox';
+    const reviewedInput = document.createElement('input');
+    reviewedInput.type = 'checkbox';
+    reviewedInput.checked = block.reviewed;
+    reviewedLabel.appendChild(reviewedInput);
+    reviewedLabel.appendChild(document.createTextNode(' 確認済み'));
+    body.appendChild(reviewedLabel);
+
+    return () => ({
+      note: noteInput.value,
+      source: sourceInput.value,
+      author: authorInput.value,
+      reviewed: reviewedInput.checked
+    });
+  }
+
+  /**
+   * 過去の版のモーダル（Word / Class 共通）
+   * 版を選ぶと比較対象（既定は現在の定義）からの variants / 分類コードの差分を表示し、その版に戻せる。
+   * 戻すと参照している式ブロックも戻した定義で再描画する。
+   * @param {WordBlock|ClassBlock} block
+   */
+  openRevisionModal(block) {
+    if (!block.revisions.length) {
+      this.showToast('過去の版はありません', 'info');
+      return;
+    }
+    const { body, footer, error, close } = this.createModalSkeleton(
+      `過去の版: ${block.label || block.id}`
+    );
+    const itemName = block.kind === 'WB' ? '語' : 'コード';
+    const formatTime = (rev) => new Date(rev.at).toLocaleString();
+    const describe = (rev) => block.getRevisionItems(rev).join(' + ') || '（空）';
+
+    // 新しい版を上に、先頭は現在の定義（添字 -1）
+    const current = block.currentRevision();
+    const revisionAt = (index) => (index < 0 ? current : block.revisions[index]);
+    const indexes = block.revisions.map((rev, index) => index).reverse();
+    let selected = indexes[0];
+
+    const list = document.createElement('ul');
+    list.className = 'history-list';
+    body.appendChild(list);
+
+    const compareField = document.createElement('div');
+    compareField.className = 'modal__field';
+    const compareLabel = document.createElement('label');
+    compareLabel.className = 'modal__label';
+    compareLabel.textContent = '比較対象';
+    const compareSelect = document.createElement('select');
+    compareSelect.className = 'modal__input';
+    [-1, ...indexes].forEach((index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = index < 0 ? '現在の定義' : formatTime(revisionAt(index));
+      compareSelect.appendChild(option);
+    });
+    compareField.appendChild(compareLabel);
+    compareField.appendChild(compareSelect);
+    body.appendChild(compareField);
+
+    const diffBox = document.createElement('div');
+    diffBox.className = 'revision-diff';
+    body.appendChild(diffBox);
+
+    const btnClose = document.createElement('button');
+    btnClose.type = 'button';
+    btnClose.className = 'btn';
+    btnClose.textContent = '閉じる';
+
+    const btnRestore = document.createElement('button');
+    btnRestore.type = 'button';
+    btnRestore.className = 'btn';
+    btnRestore.textContent = 'この版に戻す';
+
+    footer.appendChild(btnClose);
+    footer.appendChild(btnRestore);
+
+    const renderDiff = () => {
+      clearChildren(diffBox);
+      const base = revisionAt(Number(compareSelect.value));
+      const target = revisionAt(selected);
+      const { added, removed } = block.diffRevisions(base, target);
+
+      const summary = document.createElement('div');
+      summary.className = 'modal__readonly';
+      summary.textContent = `選んだ版: ${describe(target)}`;
+      diffBox.appendChild(summary);
+
+      if (!added.length && !removed.length) {
+        const same = document.createElement('div');
+        same.textContent = `比較対象と${itemName}の違いはありません。`;
+        diffBox.appendChild(same);
+      }
+      added.forEach((item) => {
+        const row = document.createElement('div');
+        row.className = 'revision-diff__added';
+        row.textContent = `+ ${item}`;
+        diffBox.appendChild(row);
+      });
+      removed.forEach((item) => {
+        const row = document.createElement('div');
+        row.className = 'revision-diff__removed';
+        row.textContent = `- ${item}`;
+        diffBox.appendChild(row);
+      });
+      btnRestore.disabled = selected < 0;
+    };
+
+    const renderList = () => {
+      clearChildren(list);
+      [-1, ...indexes].forEach((index) => {
+        const rev = revisionAt(index);
+        const item = document.createElement('li');
+        item.className = 'history-list__item';
+        if (index === selected) item.classList.add('history-list__item--current');
+
+        const label = document.createElement('span');
+        const count = block.getRevisionItems(rev).length;
+        label.textContent = `${index < 0 ? '現在の定義' : '過去の版'}（${count} ${itemName}）`;
+        const time = document.createElement('span');
+        time.className = 'history-list__time';
+        time.textContent = formatTime(rev);
+        item.appendChild(label);
+        item.appendChild(time);
+
+        item.addEventListener('click', () => {
+          selected = index;
+          renderList();
+          renderDiff();
+        });
+        list.appendChild(item);
+      });
+    };
+    compareSelect.addEventListener('change', renderDiff);
+    renderList();
+    renderDiff();
+
+    btnClose.addEventListener('click', () => close());
+    btnRestore.addEventListener('click', () => {
+      if (selected < 0) return;
+      const timeText = formatTime(revisionAt(selected));
+      try {
+        this.history.execute(`「${block.label || block.id}」を ${timeText} の版に戻す`, () =>
+          this.repo.restoreRevision(block.id, selected)
+        );
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      // 参照している式ブロックの検索式も戻した定義で描画し直す
+      this.renderAll();
+      if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+      const dependents = this.repo.getDependents(block.id).length;
+      const reflected = dependents ? `（${dependents} 個の式ブロックに反映しました）` : '';
+      this.showToast(`${timeText} の版に戻しました${reflected}`, 'success');
+    });
+  }
+
+  /**
+   * 語ブロックの統合モーダル
+   * 選んだ語ブロックの variants をこのブロックにまとめ、選んだブロックは削除する。
+   * ビルダーで選択中の語ブロックは最初から選んだ状態にする。
+   * @param {WordBlock} survivor - 残すブロック
+   */
+  openMergeWordsModal(survivor) {
+    const others = this.repo.getAllWords().filter((wb) => wb.id !== survivor.id);
+    if (!others.length) {
+      this.showToast('統合できる語ブロックが他にありません', 'info');
+      return;
+    }
+    const name = survivor.label || survivor.id;
+    const { body, footer, error, close } = this.createModalSkeleton(`語ブロックの統合: ${name}`);
+
+    const note = document.createElement('div');
+    note.className = 'modal__readonly';
+    note.textContent = `選んだ語ブロックを「${name}」にまとめます。選んだブロックは削除し、式ブロック中の参照は「${name}」に書き換えます。`;
+    body.appendChild(note);
+
+    const list = document.createElement('div');
+    list.className = 'word-choice-list';
+    body.appendChild(list);
+
+    const selected = new Set(this.state.builderSelectionIds);
+    const checks = others.map((wb) => {
+      const row = document.createElement('label');
+      row.className = 'modal__checkbox';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = selected.has(wb.id);
+      row.appendChild(check);
+      row.appendChild(document.createTextNode(` ${wb.label || wb.token} ${wb.displayLabel || wb.queryText}`));
+      list.appendChild(row);
+      return { wb, check };
+    });
+    const checkedIds = () => checks.filter(({ check }) => check.checked).map(({ wb }) => wb.id);
+
+    const preview = document.createElement('div');
+    preview.className = 'modal__readonly';
+    body.appendChild(preview);
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnMerge = document.createElement('button');
+    btnMerge.type = 'button';
+    btnMerge.className = 'btn';
+    btnMerge.textContent = '統合';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnMerge);
+
+    const renderPreview = () => {
+      const ids = checkedIds();
+      btnMerge.disabled = !ids.length;
+      if (!ids.length) {
+        preview.textContent = 'まとめる語ブロックを選んでください。';
+        return;
+      }
+      const plan = this.wordMerger.planMerge(survivor.id, ids);
+      const dependents = new Set(ids.flatMap((id) => this.repo.getDependents(id))).size;
+      preview.textContent =
+        `統合後: ${plan.displayLabel}（${plan.variants.length} 語）` +
+        (dependents ? ` / 参照を書き換える式ブロック: ${dependents} 個` : '');
+    };
+    checks.forEach(({ check }) => check.addEventListener('change', renderPreview));
+    renderPreview();
+
+    btnCancel.addEventListener('click', () => close());
+    btnMerge.addEventListener('click', () => {
+      const ids = checkedIds();
+      let result;
+      try {
+        result = this.history.execute(`「${name}」に語ブロック ${ids.length} 個を統合`, () =>
+          this.wordMerger.merge(survivor.id, ids)
+        );
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      this._afterHistoryMove();
+      const rewritten = result.rewritten.length ? `（${result.rewritten.length} 個の式ブロックの参照を書き換えました）` : '';
+      this.showToast(`${result.removed.length} 個の語ブロックを「${name}」に統合しました${rewritten}`, 'success');
+    });
+  }
+
+  /**
+   * 語ブロックの分割モーダル
+   * 選んだ variants を新しい語ブロックに移し、既存の式ブロックの参照方法（両方の OR / 元のみ / 新しいほうのみ）を選ぶ。
+   * @param {WordBlock} word
+   */
+  openSplitWordModal(word) {
+    const name = word.label || word.id;
+    const { body, footer, error, close } = this.createModalSkeleton(`語ブロックの分割: ${name}`);
+
+    const addInput = (labelText, value, placeholder) => {
+      const field = document.createElement('div');
+      field.className = 'modal__field';
+      const label = document.createElement('label');
+      label.className = 'modal__label';
+      label.textContent = labelText;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'modal__input';
+      input.value = value;
+      input.placeholder = placeholder || '';
+      field.appendChild(label);
+      field.appendChild(input);
+      body.appendChild(field);
+      return input;
+    };
+
+    const listLabel = document.createElement('div');
+    listLabel.className = 'modal__label';
+    listLabel.textContent = '新しいブロックに移す語';
+    body.appendChild(listLabel);
+
+    const list = document.createElement('div');
+    list.className = 'word-choice-list';
+    body.appendChild(list);
+    const checks = word.variants.map((variant) => {
+      const row = document.createElement('label');
+      row.className = 'modal__checkbox';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      row.appendChild(check);
+      row.appendChild(document.createTextNode(` ${variant}`));
+      list.appendChild(row);
+      return { variant, check };
+    });
+    const movedVariants = () => checks.filter(({ check }) => check.checked).map(({ variant }) => variant);
+
+    const tokenInput = addInput('新しいブロックの token (参照用)', this.wordMerger.suggestSplitToken(word));
+    const labelInput = addInput('新しいブロックのラベル', '', '空欄なら token と同じ');
+
+    const modeField = document.createElement('div');
+    modeField.className = 'modal__field';
+    const modeLabel = document.createElement('label');
+    modeLabel.className = 'modal__label';
+    modeLabel.textContent = `このブロックを参照している式ブロック（${this.repo.getDependents(word.id).length} 個）の参照先`;
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'modal__input';
+    [
+      { value: 'or', text: '両方の OR（式の意味は変わりません）' },
+      { value: 'original', text: '元のブロックのみ（移した語は式から外れます）' },
+      { value: 'created', text: '新しいブロックのみ' }
+    ].forEach((opt) => {
+      const option = document.createElement('option');
+      option.value = opt.value;
+      option.textContent = opt.text;
+      modeSelect.appendChild(option);
+    });
+    modeField.appendChild(modeLabel);
+    modeField.appendChild(modeSelect);
+    body.appendChild(modeField);
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnSplit = document.createElement('button');
+    btnSplit.type = 'button';
+    btnSplit.className = 'btn';
+    btnSplit.textContent = '分割';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSplit);
+
+    btnCancel.addEventListener('click', () => close());
+    btnSplit.addEventListener('click', () => {
+      let result;
+      try {
+        result = this.history.execute(`「${name}」を分割`, () =>
+          this.wordMerger.split(word.id, movedVariants(), {
+            token: tokenInput.value,
+            label: labelInput.value,
+            mode: modeSelect.value
+          })
+        );
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      this.renderAll();
+      if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+      const rewritten = result.rewritten.length ? `（${result.rewritten.length} 個の式ブロックの参照を書き換えました）` : '';
+      this.showToast(`「${result.created.label}」に ${result.created.variants.length} 語を移しました${rewritten}`, 'success');
+    });
+  }
+
+  /**
+   * 名前変更・取り消し後の再描画
+   * @private
+   */
+  _afterRename() {
+    this.renderAll();
+    if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+  }
+
+  /**
+   * Word/Classブロックをすべて削除
+   */
+  onResetWordsClick() {
+    const words = this.repo.getAllWords();
+    const classes = this.repo.getAllClasses();
+    const allBlocks = [...words, ...classes];
+
+    if (allBlocks.length === 0) {
+      this.showToast('削除するWord/Classブロックがありません', 'info');
+      return;
+    }
+
+    const historyLabel = `Word/Classブロック ${allBlocks.length}個を削除`;
+    const doneMessage = `${historyLabel}しました`;
+    if (allBlocks.some((block) => this.repo.getDependents(block.id).length > 0)) {
+      this.openDeleteImpactModal(allBlocks, doneMessage, historyLabel);
+      return;
+    }
+
+    this.history.execute(historyLabel, () => this._removeBlocks(allBlocks.map((block) => block.id)));
+    this.showToast(doneMessage, 'success');
+  }
+
+  /**
+   * ブロックを削除し、ビルダーの選択と表示を更新する
+   * @param {string[]} ids
+   * @private
+   */
+  _removeBlocks(ids) {
+    ids.forEach((id) => {
+      this.repo.remove(id);
+      const idx = this.state.builderSelectionIds.indexOf(id);
+      if (idx >= 0) {
+        this.state.builderSelectionIds.splice(idx, 1);
+      }
+    });
+
+    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+    this.renderAll();
+    if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+  }
+
+  /**
+   * 参照されているブロックの削除確認モーダル
+   * 影響を受ける式ブロックを示し、次のいずれかを選ばせる。
+   * - 展開して削除: 参照箇所をブロックの現在の展開内容に置き換えてから削除（式の検索結果は変わらない）
+   * - 式も削除:     参照している式ブロック（間接的な参照を含む）もまとめて削除
+   * - キャンセル
+   * @param {Block[]} blocks - 削除対象
+   * @param {string} doneMessage - 削除後に表示するメッセージ
+   * @param {string} historyLabel - 操作履歴に表示する操作名
+   */
+  openDeleteImpactModal(blocks, doneMessage, historyLabel) {
+    const targetIds = blocks.map((block) => block.id);
+    const targetSet = new Set(targetIds);
+    const direct = new Set();
+    targetIds.forEach((id) => {
+      this.repo.getDependents(id).forEach((depId) => {
+        if (!targetSet.has(depId)) direct.add(depId);
+      });
+    });
+    const affected = this.repo.getTransitiveDependents(targetIds);
+    const indirect = affected.filter((id) => !direct.has(id));
+    const labelOf = (id) => {
+      const blk = this.repo.get(id);
+      return blk ? blk.label || blk.id : id;
+    };
+
+    const { body, footer, close } = this.createModalSkeleton('削除の確認');
+
+    const intro = document.createElement('div');
+    intro.textContent = blocks.length === 1
+      ? `「${labelOf(targetIds[0])}」は ${direct.size} 個の式ブロックで使われています。`
+      : `削除するブロックは ${direct.size} 個の式ブロックで使われています。`;
+    body.appendChild(intro);
+
+    this._appendReadonlyField(body, '直接参照している式', Array.from(direct).map(labelOf).join('、'), false);
+    if (indirect.length) {
+      this._appendReadonlyField(body, '間接的に影響を受ける式', indirect.map(labelOf).join('、'), false);
+    }
+
+    // 分類ブロックは語 token で表せないため展開できない
+    const notInlinable = blocks.filter(
+      (block) => block.kind === 'CB' && this.repo.getDependents(block.id).some((id) => !targetSet.has(id))
+    );
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnInline = document.createElement('button');
+    btnInline.type = 'button';
+    btnInline.className = 'btn';
+    btnInline.textContent = '展開して削除';
+    if (notInlinable.length) {
+      btnInline.disabled = true;
+      btnInline.title = `分類ブロックは式に展開できません: ${notInlinable.map((b) => b.label || b.id).join('、')}`;
+    } else {
+      btnInline.title = '参照箇所をブロックの現在の検索式に置き換えてから削除します';
+    }
+
+    const btnCascade = document.createElement('button');
+    btnCascade.type = 'button';
+    btnCascade.className = 'btn';
+    btnCascade.textContent = '式も削除';
+    btnCascade.title = '参照している式ブロックもまとめて削除します';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnInline);
+    footer.appendChild(btnCascade);
+
+    btnCancel.addEventListener('click', () => close());
+    btnInline.addEventListener('click', () => {
+      const updated = new Set();
+      this.history.execute(`${historyLabel}（式に展開）`, () => {
+        targetIds.forEach((id) => {
+          this.repo.inlineBlockReferences(id).forEach((ebId) => updated.add(ebId));
+        });
+        this._removeBlocks(targetIds);
+      });
+      close();
+      this.showToast(`${doneMessage}（${updated.size} 個の式に展開しました）`, 'success');
+    });
+    btnCascade.addEventListener('click', () => {
+      this.history.execute(`${historyLabel}（参照する式も削除）`, () =>
+        this._removeBlocks([...targetIds, ...affected])
+      );
+      close();
+      this.showToast(`${doneMessage}（参照していた式ブロック ${affected.length} 個も削除しました）`, 'success');
+    });
+  }
+
+  /**
+   * Equationブロックをすべて削除
+   */
+  onResetEquationsClick() {
+    const equations = this.repo.getAllEquations();
+
+    if (equations.length === 0) {
+      this.showToast('削除するEquationブロックがありません', 'info');
+      return;
+    }
+
+    this.history.execute(`Equationブロック ${equations.length}個を削除`, () => {
+      equations.forEach(block => {
+        this.repo.remove(block.id);
+        const idx = this.state.builderSelectionIds.indexOf(block.id);
+        if (idx >= 0) {
+          this.state.builderSelectionIds.splice(idx, 1);
+        }
+      });
+    });
+
+    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+    this.renderAll();
+    if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+
+    this.showToast(`Equationブロック ${equations.length}個を削除しました`, 'success');
+  }
+
+  /**
+   * すべてのブロックをプロジェクトファイルとしてダウンロードする
+   */
+  onProjectExportClick() {
+    if (this.repo.getAll().length === 0) {
+      this.showToast('保存するブロックがありません', 'info');
+      return;
+    }
+    const { fileName, text } = this.projectFiles.exportProject();
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.showToast(`${fileName} を保存しました`, 'success');
+  }
+
+  /**
+   * プロジェクトファイルを選ばせて読み込む
+   */
+  onProjectImportClick() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      file.text().then(
+        (text) => {
+          let project;
+          try {
+            project = this.projectFiles.parseProject(text);
+          } catch (e) {
+            this.showToast(`${file.name} を読み込めませんでした: ${e.message || e}`, 'error');
+            return;
+          }
+          this.openProjectImportModal(project, file.name);
+        },
+        (e) => this.showToast(`${file.name} を読み込めませんでした: ${e.message || e}`, 'error')
+      );
+    });
+    input.click();
+  }
+
+  /**
+   * プロジェクト読込モーダル
+   * - 置き換え: 現在のブロックをすべて消して読み込む
+   * - 統合:     定義が同じブロックは再利用し、ID が重なるものは振り直して追加する。
+   *             同じ token で定義が違うものは、衝突ごとに解決方法を選ばせる
+   * @param {{blocks: Block[], counters: Object<string, number>, savedAt: number|null}} project
+   * @param {string} fileName
+   */
+  openProjectImportModal(project, fileName) {
+    const { body, footer, error, close } = this.createModalSkeleton(`プロジェクト読込: ${fileName}`);
+    const countOf = (kind) => project.blocks.filter((blk) => blk.kind === kind).length;
+
+    const summary = document.createElement('div');
+    summary.className = 'modal__readonly';
+    const savedAt = project.savedAt ? `（${new Date(project.savedAt).toLocaleString()} 保存）` : '';
+    summary.textContent = `Word ${countOf('WB')} 個 / 分類 ${countOf('CB')} 個 / 式 ${countOf('EB')} 個${savedAt}`;
+    body.appendChild(summary);
+
+    const modeField = document.createElement('div');
+    modeField.className = 'modal__field';
+    const modeLabel = document.createElement('label');
+    modeLabel.className = 'modal__label';
+    modeLabel.textContent = '読み込み方法';
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'modal__input';
+    [
+      ['merge', '統合（現在のブロックに追加する）'],
+      ['replace', '置き換え（現在のブロックをすべて消す）']
+    ].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      modeSelect.appendChild(option);
+    });
+    modeField.appendChild(modeLabel);
+    modeField.appendChild(modeSelect);
+    body.appendChild(modeField);
+
+    const planBox = document.createElement('div');
+    body.appendChild(planBox);
+
+    let plan = null;
+    const renderPlan = () => {
+      while (planBox.firstChild) planBox.removeChild(planBox.firstChild);
+      error.textContent = '';
+      plan = null;
+
+      if (modeSelect.value === 'replace') {
+        const note = document.createElement('div');
+        note.className = 'modal__readonly';
+        note.textContent = `現在のブロック ${this.repo.getAll().length} 個は削除されます。`;
+        planBox.appendChild(note);
+        return;
+      }
+
+      try {
+        plan = this.projectFiles.planMerge(project);
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+
+      const note = document.createElement('div');
+      note.className = 'modal__readonly';
+      note.textContent =
+        `定義が同じため既存を使うブロック: ${plan.reused.length} 個 / ` +
+        `ID を振り直すブロック: ${plan.renumbered.length} 個 / token の衝突: ${plan.conflicts.length} 件`;
+      planBox.appendChild(note);
+
+      plan.conflicts.forEach((conflict) => {
+        const field = document.createElement('div');
+        field.className = 'modal__field';
+        const label = document.createElement('label');
+        label.className = 'modal__label';
+        const describe = (blk) => (blk.kind === 'CB' ? blk.codes.join('+') : blk.queryText);
+        label.textContent =
+          `token「${conflict.token}」: 既存 ${describe(conflict.existing)} / 読込 ${describe(conflict.incoming)}`;
+        const select = document.createElement('select');
+        select.className = 'modal__input';
+        const options = [['keepBoth', `両方残す（読み込む方を「${conflict.renamedToken}」にする）`]];
+        if (conflict.sameKind) {
+          options.push(['keepExisting', '既存の定義を使う'], ['useIncoming', '読み込んだ定義で上書きする']);
+        }
+        options.forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          select.appendChild(option);
+        });
+        select.value = conflict.resolution;
+        select.addEventListener('change', () => {
+          conflict.resolution = select.value;
+        });
+        field.appendChild(label);
+        field.appendChild(select);
+        planBox.appendChild(field);
+      });
+    };
+    modeSelect.addEventListener('change', renderPlan);
+    renderPlan();
+
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnApply = document.createElement('button');
+    btnApply.type = 'button';
+    btnApply.className = 'btn';
+    btnApply.textContent = '読み込む';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnApply);
+
+    btnCancel.addEventListener('click', () => close());
+    btnApply.addEventListener('click', () => {
+      let message;
+      if (modeSelect.value === 'replace') {
+        this.history.execute(`${fileName} で置き換え`, () => this.projectFiles.replace(project));
+        this.state.builderSelectionIds = [];
+        message = `${fileName} の内容で置き換えました（ブロック ${project.blocks.length} 個）`;
+      } else {
+        if (!plan) return;
+        const result = this.history.execute(`${fileName} を統合`, () => this.projectFiles.applyMerge(plan));
+        const updated = result.updated.length ? ` / 上書き ${result.updated.length} 個` : '';
+        message = `${fileName} を統合しました（追加 ${result.added.length} 個 / 既存を使用 ${result.reused} 個${updated}）`;
+      }
+      close();
+      this.setBuilderSelectionIds(this.state.builderSelectionIds);
+      this.renderAll();
+      if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+      this.showToast(message, 'success');
+      this._reportCycles();
+    });
+  }
+
+  /**
+   * ワークスペースの選択肢・最終更新日時・ボタンの状態を更新する
    */
-  _ensureToastContainer() {
-    let container = document.querySelector('.toast-container');
-    if (!container) {
-      container = document.createElement('div');
-      container.className = 'toast-container';
-      document.body.appendChild(container);
+  renderWorkspaceBar() {
+    const select = this.elements.workspaceSelect;
+    if (!select) return;
+    const available = this.workspaces.isAvailable();
+    const list = this.workspaces.list();
+    const active = this.workspaces.getActive();
+
+    while (select.firstChild) select.removeChild(select.firstChild);
+    list.forEach((ws) => {
+      const option = document.createElement('option');
+      option.value = ws.id;
+      option.textContent = ws.name;
+      select.appendChild(option);
+    });
+    select.value = active.id;
+    select.disabled = !available;
+
+    [
+      this.elements.workspaceNewButton,
+      this.elements.workspaceDuplicateButton,
+      this.elements.workspaceRenameButton
+    ].forEach((btn) => {
+      if (btn) btn.disabled = !available;
+    });
+    if (this.elements.workspaceDeleteButton) {
+      this.elements.workspaceDeleteButton.disabled = !available || list.length <= 1;
     }
-    return container;
-  }
 
-  /**
-   * パースエラー表示
-   * @param {string[]} errors
-   */
-  showErrors(errors) {
-    const box = this.elements.errorBox;
-    if (!box) return;
+    if (this.elements.workspaceUpdated) {
+      this.elements.workspaceUpdated.textContent = !available
+        ? 'ブラウザ保存が使えません'
+        : active.updatedAt
+          ? `最終更新: ${new Date(active.updatedAt).toLocaleString()}`
+          : '未保存';
+    }
+  }
 
-    if (!errors || errors.length === 0) {
-      box.textContent = '';
-      box.classList.remove('is-visible');
+  onWorkspaceSelectChange() {
+    const id = this.elements.workspaceSelect.value;
+    let result;
+    try {
+      result = this.workspaces.switchTo(id);
+    } catch (e) {
+      this.renderWorkspaceBar();
+      this.showToast(e.message || String(e), 'error');
       return;
     }
-    box.textContent = errors.join('\n');
-    box.classList.add('is-visible');
+    this._afterWorkspaceSwitch(result, `「${this.workspaces.getActive().name}」に切り替えました`);
   }
 
-  renderAll() {
-    this.renderWordsOnly();
-    this.renderEquationsOnly();
-    this.updateSelectionHighlight();
+  onWorkspaceNewClick() {
+    this.openWorkspaceNameModal('新しいワークスペース', '', '作成', (name) => {
+      const result = this.workspaces.create(name);
+      this._afterWorkspaceSwitch(result, `「${this.workspaces.getActive().name}」を作成しました`);
+    });
   }
 
-  renderWordsOnly() {
-    if (!this.elements.wordList) return;
-    this.view.renderWords(this.elements.wordList);
-    this.updateSelectionHighlight();
+  onWorkspaceDuplicateClick() {
+    const source = this.workspaces.getActive();
+    this.openWorkspaceNameModal('ワークスペースを複製', `${source.name} のコピー`, '複製', (name) => {
+      const result = this.workspaces.duplicate(source.id, name);
+      this._afterWorkspaceSwitch(result, `「${source.name}」を「${this.workspaces.getActive().name}」に複製しました`);
+    });
   }
 
-  renderEquationsOnly() {
-    if (!this.elements.equationList) return;
-    this.view.renderEquations(this.elements.equationList);
-    this.updateSelectionHighlight();
+  onWorkspaceRenameClick() {
+    const active = this.workspaces.getActive();
+    this.openWorkspaceNameModal('ワークスペースの名前変更', active.name, '保存', (name) => {
+      this.workspaces.rename(active.id, name);
+      this.showToast(`「${this.workspaces.getActive().name}」に変更しました`, 'success');
+    });
   }
 
-  setBuilderSelectionIds(ids) {
-    this.state.builderSelectionIds = Array.from(ids);
-    this.updateSelectionHighlight();
-    if (this.proxPanel) {
-      this.proxPanel.setSelectionIds(this.state.builderSelectionIds);
-    }
-  }
+  /**
+   * 現在のワークスペースの削除確認モーダル
+   */
+  onWorkspaceDeleteClick() {
+    const active = this.workspaces.getActive();
+    const { body, footer, error, close } = this.createModalSkeleton('ワークスペースを削除');
 
-  updateSelectionHighlight() {
-    const allCards = qsa('.block-card');
-    const selectedSet = new Set(this.state.builderSelectionIds);
-    for (const card of allCards) {
-      const id = card.dataset.id;
-      if (selectedSet.has(id)) {
-        card.classList.add('is-selected');
-      } else {
-        card.classList.remove('is-selected');
-      }
-    }
-  }
+    const note = document.createElement('div');
+    note.className = 'modal__readonly';
+    note.textContent = `「${active.name}」とそのブロック ${this.repo.getAll().length} 個を削除します。元に戻せません。`;
+    body.appendChild(note);
 
-  toggleBuilderSelection(id) {
-    const idx = this.state.builderSelectionIds.indexOf(id);
-    if (idx >= 0) {
-      this.state.builderSelectionIds.splice(idx, 1);
-    } else {
-      // 選択上限を30個に拡大（積演算で複数選択可能にするため）
-      // 近傍演算の個数制限はProximityPanel側で判定
-      if (this.state.builderSelectionIds.length >= 30) {
-        if (this.proxPanel) {
-          this.proxPanel.showMessage('素材は最大30個までです。', 'error');
-        }
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
+
+    const btnDelete = document.createElement('button');
+    btnDelete.type = 'button';
+    btnDelete.className = 'btn';
+    btnDelete.textContent = '削除';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnDelete);
+
+    btnCancel.addEventListener('click', () => close());
+    btnDelete.addEventListener('click', () => {
+      let result;
+      try {
+        result = this.workspaces.remove(active.id);
+      } catch (e) {
+        error.textContent = e.message || String(e);
         return;
       }
-      this.state.builderSelectionIds.push(id);
-    }
-    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+      close();
+      this._afterWorkspaceSwitch(
+        result,
+        `「${active.name}」を削除し、「${this.workspaces.getActive().name}」に切り替えました`
+      );
+    });
   }
 
   /**
-   * Word ブロックから「式入力/定義」行を生成して textarea に出す
-   *
-   * NB という WordBlock で queryText = "(基地局+NB+eNB)" なら
-   * → "NB = 基地局+NB+eNB" を追加
-   *
-   * @param {WordBlock} wordBlock
+   * ワークスペースの設定モーダル（種別ごとのブロック数の上限・検索式の上限）
+   * 設定はリポジトリと一緒に保存されるので、ワークスペースごとに別の値になる。
    */
-  handleGenerateEquationLineFromWord(wordBlock) {
-    if (!wordBlock || wordBlock.kind !== 'WB') return;
-    const textarea = this.elements.exprInput;
-    if (!textarea) return;
+  openWorkspaceSettingsModal() {
+    const active = this.workspaces.getActive();
+    const { body, footer, error, close } = this.createModalSkeleton(`ワークスペースの設定: ${active.name}`);
+
+    const field = document.createElement('div');
+    field.className = 'modal__field';
+    const label = document.createElement('label');
+    label.className = 'modal__label';
+    label.textContent = '種別ごとのブロック数の上限（空欄なら無制限）';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    input.className = 'modal__input';
+    input.value = this.repo.maxBlocksPerKind === null ? '' : String(this.repo.maxBlocksPerKind);
+    field.appendChild(label);
+    field.appendChild(input);
+    body.appendChild(field);
+
+    const counts = document.createElement('div');
+    counts.className = 'modal__readonly';
+    counts.textContent =
+      `現在: Word ${this.repo.countBlocksByKind('WB')} 個 / 分類 ${this.repo.countBlocksByKind('CB')} 個 / ` +
+      `式 ${this.repo.countBlocksByKind('EB')} 個`;
+    body.appendChild(counts);
+
+    const limitsHeading = document.createElement('div');
+    limitsHeading.className = 'modal__label';
+    limitsHeading.textContent = `検索式の上限（空欄なら ${QUERY_LIMIT_PROFILES.jplatpat.name} の既定値）`;
+    body.appendChild(limitsHeading);
+
+    const limitInputs = {};
+    QueryMeter.limitFields().forEach((def) => {
+      const limitField = document.createElement('div');
+      limitField.className = 'modal__field';
+      const limitLabel = document.createElement('label');
+      limitLabel.className = 'modal__label';
+      limitLabel.textContent = def.label;
+      const limitInput = document.createElement('input');
+      limitInput.type = 'number';
+      limitInput.min = '1';
+      limitInput.className = 'modal__input';
+      limitInput.placeholder = String(def.defaultValue);
+      limitInput.value = def.key in this.repo.queryLimits ? String(this.repo.queryLimits[def.key]) : '';
+      limitField.appendChild(limitLabel);
+      limitField.appendChild(limitInput);
+      body.appendChild(limitField);
+      limitInputs[def.key] = limitInput;
+    });
 
-    const name = wordBlock.token || wordBlock.label || wordBlock.id;
-    let body = wordBlock.queryText || '';
-    body = body.trim();
-    if (body.startsWith('(') && body.endsWith(')')) {
-      body = body.slice(1, -1);
-    }
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
 
-    const line = `${name} = ${body}`;
-    const current = textarea.value;
+    const btnSave = document.createElement('button');
+    btnSave.type = 'button';
+    btnSave.className = 'btn';
+    btnSave.textContent = '保存';
 
-    if (!current.trim()) {
-      textarea.value = line;
-    } else {
-      textarea.value = current.replace(/\s*$/, '') + '\n' + line;
-    }
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSave);
 
-    textarea.focus();
-    textarea.selectionStart = textarea.selectionEnd = textarea.value.length;
+    btnCancel.addEventListener('click', () => close());
+    btnSave.addEventListener('click', () => {
+      const text = input.value.trim();
+      const limit = text === '' ? null : Number(text);
+      let queryLimits;
+      try {
+        const texts = {};
+        Object.keys(limitInputs).forEach((key) => { texts[key] = limitInputs[key].value; });
+        queryLimits = QueryMeter.normalizeLimits(texts);
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      const blockLimitChanged = limit !== this.repo.maxBlocksPerKind;
+      const queryLimitsChanged = JSON.stringify(queryLimits) !== JSON.stringify(this.repo.queryLimits);
+      if (!blockLimitChanged && !queryLimitsChanged) {
+        close();
+        return;
+      }
+      const limitText = limit === null ? '無制限' : `${limit} 個`;
+      const message = blockLimitChanged ? `ブロック数の上限を${limitText}に変更` : '検索式の上限を変更';
+      try {
+        this.history.execute(message, () => {
+          if (blockLimitChanged) this.repo.setMaxBlocksPerKind(limit);
+          if (queryLimitsChanged) this.repo.setQueryLimits(queryLimits);
+        });
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+      this.showToast(
+        blockLimitChanged ? `ブロック数の上限を${limitText}にしました` : '検索式の上限を変更しました',
+        'success'
+      );
+      if (queryLimitsChanged) this.renderAll();
+    });
   }
 
-  handleDeleteBlock(block) {
-    if (!block) return;
+  /**
+   * ワークスペース名の入力モーダル
+   * @param {string} titleText
+   * @param {string} initialName
+   * @param {string} submitText
+   * @param {(name: string) => void} onSubmit - 名前が不正な場合等は例外を投げる（モーダルに表示する）
+   */
+  openWorkspaceNameModal(titleText, initialName, submitText, onSubmit) {
+    const { body, footer, error, close } = this.createModalSkeleton(titleText);
+
+    const field = document.createElement('div');
+    field.className = 'modal__field';
+    const label = document.createElement('label');
+    label.className = 'modal__label';
+    label.textContent = 'ワークスペース名（例: RIS反射板調査）';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'modal__input';
+    input.value = initialName;
+    field.appendChild(label);
+    field.appendChild(input);
+    body.appendChild(field);
 
-    this.repo.remove(block.id);
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
 
-    const idx = this.state.builderSelectionIds.indexOf(block.id);
-    if (idx >= 0) {
-      this.state.builderSelectionIds.splice(idx, 1);
-    }
-    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+    const btnSubmit = document.createElement('button');
+    btnSubmit.type = 'button';
+    btnSubmit.className = 'btn';
+    btnSubmit.textContent = submitText;
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnSubmit);
+
+    const submit = () => {
+      try {
+        onSubmit(input.value);
+      } catch (e) {
+        error.textContent = e.message || String(e);
+        return;
+      }
+      close();
+    };
+    btnCancel.addEventListener('click', () => close());
+    btnSubmit.addEventListener('click', submit);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+    input.focus();
+    input.select();
+  }
 
+  /**
+   * ワークスペースを開き直した後の再描画
+   * @param {RepositoryLoadResult|null} result
+   * @param {string} message
+   * @private
+   */
+  _afterWorkspaceSwitch(result, message) {
+    this.state.builderSelectionIds = [];
+    this.setBuilderSelectionIds([]);
     this.renderAll();
     if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+    this.renderWorkspaceBar();
 
-    const kindName = block.kind === 'WB' ? 'Word' : block.kind === 'CB' ? 'Class' : 'Equation';
-    this.showToast(`${kindName}ブロック「${block.label || block.id}」を削除しました`, 'success');
+    if (result && result.status === 'error') {
+      this.showToast(`保存データを読み込めませんでした: ${result.message}`, 'error');
+    } else {
+      this.showToast(message, 'success');
+    }
+    this._reportCycles();
   }
 
   /**
-   * Word/Classブロックをすべて削除
+   * 元に戻す / やり直しボタンの状態と説明を更新する
    */
-  onResetWordsClick() {
-    const words = this.repo.getAllWords();
-    const classes = this.repo.getAllClasses();
-    const allBlocks = [...words, ...classes];
+  renderHistoryControls() {
+    const { undoButton, redoButton, historyButton } = this.elements;
+    const nextUndo = this.history.peekUndo();
+    const nextRedo = this.history.peekRedo();
+    if (undoButton) {
+      undoButton.disabled = !nextUndo;
+      undoButton.title = nextUndo ? `元に戻す: ${nextUndo.label}（Ctrl+Z）` : '元に戻す操作はありません';
+    }
+    if (redoButton) {
+      redoButton.disabled = !nextRedo;
+      redoButton.title = nextRedo ? `やり直し: ${nextRedo.label}（Ctrl+Y）` : 'やり直す操作はありません';
+    }
+    if (historyButton) {
+      historyButton.disabled = !nextUndo && !nextRedo;
+    }
+  }
 
-    if (allBlocks.length === 0) {
-      this.showToast('削除するWord/Classブロックがありません', 'info');
+  onUndoClick() {
+    const entry = this.history.undo();
+    if (!entry) {
+      this.showToast('元に戻す操作はありません', 'info');
       return;
     }
+    this._afterHistoryMove();
+    this.showToast(`「${entry.label}」を元に戻しました`, 'info');
+  }
 
-    allBlocks.forEach(block => {
-      this.repo.remove(block.id);
-      const idx = this.state.builderSelectionIds.indexOf(block.id);
-      if (idx >= 0) {
-        this.state.builderSelectionIds.splice(idx, 1);
-      }
-    });
+  onRedoClick() {
+    const entry = this.history.redo();
+    if (!entry) {
+      this.showToast('やり直す操作はありません', 'info');
+      return;
+    }
+    this._afterHistoryMove();
+    this.showToast(`「${entry.label}」をやり直しました`, 'info');
+  }
 
-    this.setBuilderSelectionIds(this.state.builderSelectionIds);
+  /**
+   * Ctrl+Z / Ctrl+Y（Ctrl+Shift+Z）
+   * 入力欄では文字入力の取り消しを優先し、モーダル表示中は編集中の内容と食い違うため何もしない。
+   * @param {KeyboardEvent} e
+   */
+  onHistoryKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+    if (qs('.modal-backdrop')) return;
+
+    const key = (e.key || '').toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.onUndoClick();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      this.onRedoClick();
+    }
+  }
+
+  /**
+   * 操作履歴モーダル
+   * 行をクリックすると、その操作の直後の状態まで元に戻す（取り消した操作ならやり直す）。
+   */
+  openHistoryModal() {
+    const { body, footer, close } = this.createModalSkeleton('操作履歴');
+
+    const list = document.createElement('ul');
+    list.className = 'history-list';
+    body.appendChild(list);
+
+    const render = () => {
+      while (list.firstChild) list.removeChild(list.firstChild);
+      const entries = this.history.list();
+      const position = entries.filter((entry) => !entry.undone).length;
+      const rows = [{ label: '（最初の状態）', at: null, undone: false }, ...entries];
+
+      // 新しい操作を上に表示する
+      rows
+        .map((entry, index) => ({ entry, index }))
+        .reverse()
+        .forEach(({ entry, index }) => {
+          const item = document.createElement('li');
+          item.className = 'history-list__item';
+          if (index === position) item.classList.add('history-list__item--current');
+          if (entry.undone) item.classList.add('history-list__item--undone');
+
+          const label = document.createElement('span');
+          label.textContent = entry.label;
+          const time = document.createElement('span');
+          time.className = 'history-list__time';
+          time.textContent = entry.at ? new Date(entry.at).toLocaleTimeString() : '';
+          item.appendChild(label);
+          item.appendChild(time);
+
+          item.addEventListener('click', () => {
+            if (this.history.goTo(index) === 0) return;
+            this._afterHistoryMove();
+            render();
+          });
+          list.appendChild(item);
+        });
+    };
+    render();
+
+    const btnClose = document.createElement('button');
+    btnClose.type = 'button';
+    btnClose.className = 'btn';
+    btnClose.textContent = '閉じる';
+    footer.appendChild(btnClose);
+    btnClose.addEventListener('click', () => close());
+  }
+
+  /**
+   * 元に戻す・やり直し後の再描画（なくなったブロックはビルダーの選択から外す）
+   * @private
+   */
+  _afterHistoryMove() {
+    this.setBuilderSelectionIds(this.state.builderSelectionIds.filter((id) => this.repo.get(id)));
     this.renderAll();
     if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
-
-    this.showToast(`Word/Classブロック ${allBlocks.length}個を削除しました`, 'success');
   }
 
   /**
-   * Equationブロックをすべて削除
+   * 式ブロックの参照切れを調べ、あれば修復モーダルを開く
    */
-  onResetEquationsClick() {
-    const equations = this.repo.getAllEquations();
+  onCheckReferencesClick() {
+    // 参照の解決に使うインデックスが古いと誤検出するため、先に作り直す
+    const indexIssues = this.repo.reindex();
+    if (indexIssues.length) {
+      console.warn('BlockRepository のインデックス不整合を修正しました:', indexIssues);
+      this.renderAll();
+    }
 
-    if (equations.length === 0) {
-      this.showToast('削除するEquationブロックがありません', 'info');
+    const dangling = this.referenceRepairer.scan();
+    if (!dangling.length) {
+      this.showToast('参照切れはありません', 'success');
       return;
     }
+    this.openReferenceRepairModal(dangling);
+  }
 
-    equations.forEach(block => {
-      this.repo.remove(block.id);
-      const idx = this.state.builderSelectionIds.indexOf(block.id);
-      if (idx >= 0) {
-        this.state.builderSelectionIds.splice(idx, 1);
+  /**
+   * 参照切れの修復モーダル
+   * 参照ごとに、次のいずれかを選ばせる。
+   * - 再リンク: 似た既存ブロックへの参照に置き換える
+   * - 新規作成: 入力した Word 式 / Class 式からブロックを作り、その参照に置き換える
+   * - 項を削除: 参照している項を式から取り除く
+   * - 何もしない
+   * @param {DanglingReference[]} dangling
+   */
+  openReferenceRepairModal(dangling) {
+    const { body, footer, error, close } = this.createModalSkeleton('参照切れの修復');
+    const labelOf = (id) => {
+      const blk = this.repo.get(id);
+      return blk ? blk.label || blk.id : id;
+    };
+
+    const intro = document.createElement('div');
+    intro.textContent = `${dangling.length} 件の参照切れが見つかりました。修復方法を選んでください。`;
+    body.appendChild(intro);
+
+    const rows = dangling.map((ref) => {
+      const field = document.createElement('div');
+      field.className = 'modal__field';
+
+      const label = document.createElement('label');
+      label.className = 'modal__label';
+      const target = ref.kind === 'token' ? `語「${ref.value}」` : `ブロック ${ref.value}`;
+      label.textContent = `${target}（使用: ${ref.equationIds.map(labelOf).join('、')}）`;
+
+      const select = document.createElement('select');
+      select.className = 'modal__input';
+      const addOption = (value, text) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      };
+      addOption('skip', '何もしない');
+      this.referenceRepairer.findCandidates(ref).forEach((candidate) => {
+        const score = candidate.score === null ? '' : `（類似度 ${Math.round(candidate.score * 100)}%）`;
+        addOption(`relink:${candidate.id}`, `再リンク: ${candidate.label} [${candidate.id}]${score}`);
+      });
+      const creatable = this.referenceRepairer.creatableKind(ref);
+      if (creatable) {
+        addOption('create', creatable === 'CB' ? '新しい分類ブロックを作成' : '新しい語ブロックを作成');
       }
+      addOption('remove', 'この項を式から削除');
+
+      // 新規作成するブロックの内容（語 token はそのまま Word 式として使えることが多い）
+      const textInput = document.createElement('input');
+      textInput.type = 'text';
+      textInput.className = 'modal__input';
+      textInput.placeholder = creatable === 'CB' ? '例: H04W12/00/CP+H04W12/00/FI' : '例: antenna+アンテナ';
+      textInput.value = ref.kind === 'token' ? ref.value : '';
+      textInput.style.display = 'none';
+      select.addEventListener('change', () => {
+        textInput.style.display = select.value === 'create' ? '' : 'none';
+      });
+
+      field.appendChild(label);
+      field.appendChild(select);
+      field.appendChild(textInput);
+      body.appendChild(field);
+      return { ref, field, select, textInput };
     });
 
-    this.setBuilderSelectionIds(this.state.builderSelectionIds);
-    this.renderAll();
-    if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+    const btnCancel = document.createElement('button');
+    btnCancel.type = 'button';
+    btnCancel.className = 'btn';
+    btnCancel.textContent = 'キャンセル';
 
-    this.showToast(`Equationブロック ${equations.length}個を削除しました`, 'success');
+    const btnApply = document.createElement('button');
+    btnApply.type = 'button';
+    btnApply.className = 'btn';
+    btnApply.textContent = '適用';
+
+    footer.appendChild(btnCancel);
+    footer.appendChild(btnApply);
+
+    btnCancel.addEventListener('click', () => close());
+    btnApply.addEventListener('click', () => {
+      const updated = new Set();
+      const failures = [];
+      let repaired = 0;
+      // 行ごとの修復はまとめて 1 つの操作として履歴に積む（失敗した行は変更なし）
+      this.history.execute(() => `参照切れ ${repaired} 件を修復`, () => {
+        rows.forEach(({ ref, field, select, textInput }) => {
+          const choice = select.value;
+          if (choice === 'skip') return;
+          const action = choice === 'create'
+            ? { type: 'create', text: textInput.value }
+            : choice === 'remove'
+              ? { type: 'remove' }
+              : { type: 'relink', targetId: choice.slice('relink:'.length) };
+          try {
+            this.referenceRepairer.repair(ref, action).forEach((id) => updated.add(id));
+            repaired++;
+            // 失敗した参照だけを残してやり直せるよう、修復済みの行は隠す
+            select.value = 'skip';
+            field.style.display = 'none';
+          } catch (e) {
+            failures.push(`${ref.value}: ${e.message || e}`);
+          }
+        });
+      });
+
+      if (repaired) {
+        this.renderAll();
+        if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
+      }
+      if (failures.length) {
+        error.textContent = failures.join(' / ');
+        return;
+      }
+      close();
+      if (repaired) {
+        this.showToast(`参照切れ ${repaired} 件を修復しました（${updated.size} 個の式ブロックを更新）`, 'success');
+      }
+    });
   }
 
   openEditModal(block) {
@@ -653,6 +3025,28 @@ class AppController {
     return { overlay, modal, header, body, footer, error, close };
   }
 
+  /**
+   * モーダルに読み取り専用の「ラベル + 値」欄を追加する
+   * @param {HTMLElement} body - 追加先（モーダルの body など）
+   * @param {string} labelText
+   * @param {string} valueText
+   * @param {boolean} [code=true] - 値を検索式として等幅で表示するか
+   * @private
+   */
+  _appendReadonlyField(body, labelText, valueText, code = true) {
+    const field = document.createElement('div');
+    field.className = 'modal__field';
+    const label = document.createElement('div');
+    label.className = 'modal__label';
+    label.textContent = labelText;
+    const value = document.createElement('div');
+    value.className = code ? 'modal__readonly modal__code' : 'modal__readonly';
+    value.textContent = valueText;
+    field.appendChild(label);
+    field.appendChild(value);
+    body.appendChild(field);
+  }
+
   /**
    * WordBlock 編集モーダル
    * @param {WordBlock} word
@@ -675,7 +3069,7 @@ class AppController {
     fieldLabel.appendChild(labelLabel);
     fieldLabel.appendChild(labelInput);
 
-    // token は編集すると参照が壊れるので読み取り専用表示のみ
+    // token の変更は式ブロック中の参照の書き換えを伴うため、ここでは表示のみ（「名前変更」から行う）
     const fieldToken = document.createElement('div');
     fieldToken.className = 'modal__field';
     const tokenLabel = document.createElement('label');
@@ -702,6 +3096,7 @@ class AppController {
     body.appendChild(fieldLabel);
     body.appendChild(fieldToken);
     body.appendChild(fieldQuery);
+    const readMeta = this._appendMetaFields(body, word);
 
     const btnCancel = document.createElement('button');
     btnCancel.type = 'button';
@@ -724,9 +3119,20 @@ class AppController {
         error.textContent = 'ラベルは必須です。';
         return;
       }
-      word.label = newLabel;
-      word.updateQueryText(newQuery);
-      this.repo.upsert(word);
+      this.history.execute(`語ブロック「${newLabel}」を編集`, () => {
+        word.label = newLabel;
+        word.recordRevision();
+        if (newQuery !== word.queryText) {
+          // 統合・分割・色分けは variants を使うため、編集した検索式から作り直す
+          const variants = this.wordNormalizer.variantsFromQueryText(newQuery);
+          word.updateQueryText(newQuery);
+          word.updateVariants(variants);
+          word.updateDisplayLabel(this.wordNormalizer.buildDisplayLabel(variants));
+          this.repo.updateExpressionKey(word.id, this.wordNormalizer.buildExpressionKey(newQuery));
+        }
+        word.setMeta(readMeta());
+        this.repo.upsert(word);
+      });
       this.renderWordsOnly();
       if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
       close();
@@ -791,6 +3197,7 @@ class AppController {
     body.appendChild(fieldLabel);
     body.appendChild(fieldLogical);
     body.appendChild(fieldExpr);
+    const readMeta = this._appendMetaFields(body, eb);
 
     const btnCancel = document.createElement('button');
     btnCancel.type = 'button';
@@ -819,9 +3226,12 @@ class AppController {
         const parser = new Parser(lexer);
         const exprNode = parser.parseExpr(); // 式部だけ解析
 
-        eb.setRoot(exprNode);
-        if (newLabel) eb.label = newLabel;
-        this.repo.upsert(eb);
+        this.history.execute(`式「${newLabel || eb.label || eb.id}」を編集`, () => {
+          eb.setRoot(exprNode);
+          if (newLabel) eb.label = newLabel;
+          eb.setMeta(readMeta());
+          this.repo.upsert(eb);
+        });
         this.renderEquationsOnly();
         if (this.proxPanel) this.proxPanel.onRepositoryUpdated();
         close();
@@ -829,6 +3239,9 @@ class AppController {
         error.textContent =
           '検索式の解析に失敗しました (/TX や [] は不要です): ' +
           (e.message || e);
+        if (e instanceof ParseError) {
+          error.appendChild(this._buildDiagnosticSnippet(exprText, e.span));
+        }
       }
     });
   }
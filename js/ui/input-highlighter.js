@@ -0,0 +1,121 @@
+// js/ui/input-highlighter.js
+// textarea の背面にミラー要素を重ね、指定範囲（構文エラー箇所など）に下線を引く
+
+class InputHighlighter {
+  /**
+   * @param {HTMLTextAreaElement} textarea
+   */
+  constructor(textarea) {
+    this.textarea = textarea;
+    this.wrapperEl = null;
+    this.backdropEl = null;
+  }
+
+  /**
+   * textarea をラッパーで包み、背面にミラー要素を差し込む。
+   */
+  init() {
+    const textarea = this.textarea;
+    if (!textarea || !textarea.parentNode) return;
+
+    this.wrapperEl = create('div', 'expr-input-wrap');
+    this.backdropEl = create('div', 'expr-input-backdrop');
+    this.backdropEl.setAttribute('aria-hidden', 'true');
+
+    textarea.parentNode.insertBefore(this.wrapperEl, textarea);
+    this.wrapperEl.appendChild(this.backdropEl);
+    this.wrapperEl.appendChild(textarea);
+
+    textarea.addEventListener('scroll', () => this._syncScroll());
+    // 入力が変わると位置がずれるので、編集されたら下線は消す
+    textarea.addEventListener('input', () => this.clear());
+  }
+
+  /**
+   * textarea.value 上の範囲に下線を引く（既存の下線は置き換え）。
+   * 幅 0 の範囲（行末での「式が途中で終わっている」など）は直前の 1 文字に広げる。
+   * @param {SourceSpan[]} spans
+   */
+  highlight(spans) {
+    if (!this.backdropEl) return;
+    clearChildren(this.backdropEl);
+
+    const value = this.textarea.value || '';
+    const ranges = this._normalizeRanges(spans, value.length);
+    if (ranges.length === 0) {
+      this.wrapperEl.classList.remove('has-marks');
+      return;
+    }
+
+    let pos = 0;
+    ranges.forEach((r) => {
+      if (r.start > pos) {
+        this.backdropEl.appendChild(document.createTextNode(value.slice(pos, r.start)));
+      }
+      const mark = create('mark', 'expr-input-mark');
+      mark.textContent = value.slice(r.start, r.end);
+      this.backdropEl.appendChild(mark);
+      pos = r.end;
+    });
+    // 末尾が改行でも textarea と同じ高さになるよう 1 文字足しておく
+    this.backdropEl.appendChild(document.createTextNode(value.slice(pos) + ' '));
+
+    this.wrapperEl.classList.add('has-marks');
+    this._syncScroll();
+  }
+
+  /**
+   * 下線をすべて消す。
+   */
+  clear() {
+    if (!this.backdropEl) return;
+    clearChildren(this.backdropEl);
+    this.wrapperEl.classList.remove('has-marks');
+  }
+
+  /**
+   * 範囲を入力長に収め、幅 0 を広げ、開始位置順に並べて重なりを統合する。
+   * @param {SourceSpan[]} spans
+   * @param {number} length
+   * @returns {SourceSpan[]}
+   * @private
+   */
+  _normalizeRanges(spans, length) {
+    const list = (spans || [])
+      .filter((s) => s && typeof s.start === 'number' && typeof s.end === 'number')
+      .map((s) => {
+        let start = Math.max(0, Math.min(s.start, length));
+        let end = Math.max(start, Math.min(s.end, length));
+        if (start === end && start > 0) {
+          start -= 1;
+        }
+        return { start, end };
+      })
+      .filter((s) => s.end > s.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    list.forEach((s) => {
+      const last = merged[merged.length - 1];
+      if (last && s.start <= last.end) {
+        last.end = Math.max(last.end, s.end);
+      } else {
+        merged.push({ start: s.start, end: s.end });
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * textarea のスクロール位置をミラー要素に反映する。
+   * @private
+   */
+  _syncScroll() {
+    if (!this.backdropEl) return;
+    this.backdropEl.scrollTop = this.textarea.scrollTop;
+    this.backdropEl.scrollLeft = this.textarea.scrollLeft;
+  }
+}
+
+// グローバル公開
+window.InputHighlighter = InputHighlighter;
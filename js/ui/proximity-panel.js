@@ -19,6 +19,7 @@ class ProximityPanel {
     this.btnBuildProx3 = null;
     this.btnBuildOr = null;
     this.btnBuildAnd = null;
+    this.btnBuildNot = null;
   }
 
   init() {
@@ -37,6 +38,7 @@ class ProximityPanel {
     this.btnBuildProx3 = qs('#btn-build-prox3', this.panelEl);
     this.btnBuildOr = qs('#btn-build-or', this.panelEl);
     this.btnBuildAnd = qs('#btn-build-and', this.panelEl);
+    this.btnBuildNot = qs('#btn-build-not', this.panelEl);
 
     if (this.selectionListEl) {
       this.selectionListEl.addEventListener('click', (e) =>
@@ -67,6 +69,9 @@ class ProximityPanel {
         this.handleBuildLogical('*')
       );
     }
+    if (this.btnBuildNot) {
+      this.btnBuildNot.addEventListener('click', () => this.handleBuildNot());
+    }
 
     this.renderSelectionList();
     this.updateButtons();
@@ -111,6 +116,66 @@ class ProximityPanel {
     this.messageEl.classList.remove('is-error', 'is-info');
   }
 
+  /**
+   * 既存の式ブロックの root を差し替えると循環参照になる場合はエラーを表示する
+   * （同じラベルの式ブロックが素材に含まれていると、自分自身を参照してしまう）
+   * @param {EquationBlock} eb
+   * @param {ExprNode} root
+   * @returns {boolean} 循環参照になるため生成を中止すべきなら true
+   */
+  _rejectCycle(eb, root) {
+    const cycle = this.app.repo.findCycleForRoot(eb.id, root);
+    if (!cycle) return false;
+
+    const path = cycle
+      .map((id) => {
+        const blk = this.app.repo.get(id);
+        return blk && blk.label ? `${blk.label}(${id})` : id;
+      })
+      .join(' → ');
+    this.showMessage(
+      `「${eb.label || eb.id}」は循環参照になるため更新できません: ${path}`,
+      'error'
+    );
+    return true;
+  }
+
+  /**
+   * 生成した式を同じラベルの式ブロックに保存する（なければ新規作成）
+   * 操作履歴には「2近傍式「P2:A+B」を作成」のように記録する。
+   * @param {string} kindName - 履歴に表示する式の種類
+   * @param {string} label
+   * @param {ExprNode} root
+   * @param {boolean} canUseForProximity
+   * @returns {boolean} 保存したか（循環参照・上限超過の場合はメッセージを出して false）
+   * @private
+   */
+  _saveEquation(kindName, label, root, canUseForProximity) {
+    const repo = this.app.repo;
+    // 採番は履歴に記録する操作の中で行うので、ここではラベル索引を引くだけにする
+    const existingId = repo.findIdByLabel(label, 'EB');
+    const existing = existingId ? repo.get(existingId) : null;
+
+    if (existing) {
+      if (this._rejectCycle(existing, root)) return false;
+    } else {
+      // 新規作成の場合は上限チェック
+      const limitCheck = repo.checkBlockLimit('EB');
+      if (!limitCheck.ok) {
+        this.showMessage(limitCheck.message, 'error');
+        return false;
+      }
+    }
+
+    this.app.history.execute(`${kindName}「${label}」を${existing ? '更新' : '作成'}`, () => {
+      const eb = existing || new EquationBlock(repo.nextId('EB'), label, root);
+      if (existing) eb.setRoot(root);
+      eb.canUseForProximity = canUseForProximity;
+      repo.upsert(eb);
+    });
+    return true;
+  }
+
   _getSelectedBlocks() {
     const ids = this.app.state.builderSelectionIds || [];
     const result = [];
@@ -248,6 +313,11 @@ class ProximityPanel {
       this.btnBuildAnd.disabled = n < 2;
     }
 
+    // NOT（差）: 2 個以上で常に有効（先頭から 2 個目以降を除外）
+    if (this.btnBuildNot) {
+      this.btnBuildNot.disabled = n < 2;
+    }
+
     // OR（和）: 式ブロックが含まれる場合は不可
     // Word同士、Class同士、Word+Classの組み合わせのみ許可
     if (this.btnBuildOr) {
@@ -498,31 +568,16 @@ class ProximityPanel {
     const root = new BlockRefNode(base.id);
 
     const label = `L1:${base.label || base.id}`;
-    const id = this.app.repo.findOrCreateIdForLabel(label, 'EB');
-    let eb = this.app.repo.get(id);
-
     const newRoot = root.clone ? root.clone() : root;
 
-    if (eb && eb.kind === 'EB') {
-      eb.setRoot(newRoot);
-    } else {
-      // 新規作成の場合は上限チェック
-      const limitCheck = this.app.repo.checkBlockLimit('EB');
-      if (!limitCheck.ok) {
-        this.showMessage(limitCheck.message, 'error');
-        return;
-      }
-      eb = new EquationBlock(id, label, newRoot);
-    }
-
-    eb.canUseForProximity =
+    const canUseForProximity =
       base.kind === 'WB'
         ? true
         : base.kind === 'EB'
         ? !!base.canUseForProximity
         : false;
 
-    this.app.repo.upsert(eb);
+    if (!this._saveEquation('1要素式', label, newRoot, canUseForProximity)) return;
     this.app.renderEquationsOnly();
     this.showMessage('1要素式を生成しました。', 'info');
   }
@@ -549,23 +604,7 @@ class ProximityPanel {
     const proxNode = new ProximityNode(mode, k, leftRef, rightRef);
 
     const label = `P2:${blocks[0].label}+${blocks[1].label}`;
-    const id = this.app.repo.findOrCreateIdForLabel(label, 'EB');
-    let eb = this.app.repo.get(id);
-
-    if (eb && eb.kind === 'EB') {
-      eb.setRoot(proxNode);
-    } else {
-      // 新規作成の場合は上限チェック
-      const limitCheck = this.app.repo.checkBlockLimit('EB');
-      if (!limitCheck.ok) {
-        this.showMessage(limitCheck.message, 'error');
-        return;
-      }
-      eb = new EquationBlock(id, label, proxNode);
-    }
-    eb.canUseForProximity = true;
-
-    this.app.repo.upsert(eb);
+    if (!this._saveEquation('2近傍式', label, proxNode, true)) return;
     this.app.renderEquationsOnly();
     this.showMessage('2近傍式を生成しました。', 'info');
   }
@@ -589,23 +628,7 @@ class ProximityPanel {
     const proxNode = new SimultaneousProximityNode(k, children);
 
     const label = `P3:${blocks.map((b) => b.label).join('+')}`;
-    const id = this.app.repo.findOrCreateIdForLabel(label, 'EB');
-    let eb = this.app.repo.get(id);
-
-    if (eb && eb.kind === 'EB') {
-      eb.setRoot(proxNode);
-    } else {
-      // 新規作成の場合は上限チェック
-      const limitCheck = this.app.repo.checkBlockLimit('EB');
-      if (!limitCheck.ok) {
-        this.showMessage(limitCheck.message, 'error');
-        return;
-      }
-      eb = new EquationBlock(id, label, proxNode);
-    }
-    eb.canUseForProximity = true;
-
-    this.app.repo.upsert(eb);
+    if (!this._saveEquation('3近傍式', label, proxNode, true)) return;
     this.app.renderEquationsOnly();
     this.showMessage('3近傍式を生成しました。', 'info');
   }
@@ -663,30 +686,15 @@ class ProximityPanel {
     const label =
       labelPrefix + blocks.map((b) => b.label || b.id).join('+');
 
-    const id = this.app.repo.findOrCreateIdForLabel(label, 'EB');
-    let eb = this.app.repo.get(id);
-
-    if (eb && eb.kind === 'EB') {
-      eb.setRoot(logicalNode);
-    } else {
-      // 新規作成の場合は上限チェック
-      const limitCheck = this.app.repo.checkBlockLimit('EB');
-      if (!limitCheck.ok) {
-        this.showMessage(limitCheck.message, 'error');
-        return;
-      }
-      eb = new EquationBlock(id, label, logicalNode);
-    }
-
     // 分類が絡む式は近傍不可
     const hasClassLike = blocks.some(
       (b) =>
         b.kind === 'CB' ||
         (b.kind === 'EB' && !b.canUseForProximity)
     );
-    eb.canUseForProximity = !hasClassLike;
 
-    this.app.repo.upsert(eb);
+    const kindName = op === '+' ? 'OR 結合式' : 'AND 結合式';
+    if (!this._saveEquation(kindName, label, logicalNode, !hasClassLike)) return;
     this.app.renderEquationsOnly();
     this.showMessage(
       op === '+'
@@ -695,6 +703,33 @@ class ProximityPanel {
       'info'
     );
   }
+
+  /**
+   * NOT（論理差）式を生成
+   * 素材リストの先頭を残す側、2 個目以降を除外する側として
+   * A - B - C のように左結合で積み上げる。
+   */
+  handleBuildNot() {
+    const blocks = this._getSelectedBlocks();
+    if (blocks.length < 2) {
+      this.showMessage(
+        'NOT 結合には素材を 2 つ以上選択してください（先頭が残す側）。',
+        'error'
+      );
+      return;
+    }
+
+    let notNode = new BlockRefNode(blocks[0].id);
+    for (let i = 1; i < blocks.length; i++) {
+      notNode = new NotNode(notNode, new BlockRefNode(blocks[i].id));
+    }
+
+    const label = 'NOT:' + blocks.map((b) => b.label || b.id).join('-');
+    // 論理差は近傍の中に置けない
+    if (!this._saveEquation('NOT 結合式', label, notNode, false)) return;
+    this.app.renderEquationsOnly();
+    this.showMessage('NOT 結合式を生成しました。', 'info');
+  }
 }
 
 // グローバル公開
@@ -1,35 +1,119 @@
 // js/ui/view-renderer.js
 // BlockRepository の内容を DOM に描画するだけのクラス
 
+// タグの絞り込みで「タグなし」を表す値
+const TAG_FILTER_UNTAGGED = '::untagged';
+
 class ViewRenderer {
   /**
    * @param {BlockRepository} blockRepository
    * @param {RenderContext} renderContext
+   * @param {QueryMeter} [queryMeter] - 式カードに検索式の長さ・複雑さを表示する場合に渡す
    */
-  constructor(blockRepository, renderContext) {
+  constructor(blockRepository, renderContext, queryMeter) {
     this.repo = blockRepository;
     this.ctx = renderContext;
+    this.queryMeter = queryMeter || null;
   }
 
   /**
    * Word / Class ブロック一覧を描画
+   * タグが付いていれば先頭のタグごとのグループ（フォルダ）にまとめ、グループは折りたためる。
    * @param {HTMLElement} containerEl
+   * @param {{tagFilter?: string, collapsedTags?: Set<string>}} [options]
+   *   - tagFilter: このタグを持つブロックだけ表示（TAG_FILTER_UNTAGGED ならタグなしのみ、空なら全件）
+   *   - collapsedTags: 折りたたむグループのタグ（タグなしのグループは ""）
    */
-  renderWords(containerEl) {
+  renderWords(containerEl, options = {}) {
     clearChildren(containerEl);
 
-    const all =
-      typeof this.repo.getAll === 'function' ? this.repo.getAll() : [];
-    const words = all.filter((b) => b.kind === 'WB');
-    const classes = all.filter((b) => b.kind === 'CB');
+    const tagFilter = options.tagFilter || '';
+    const collapsedTags = options.collapsedTags || new Set();
+    const blocks = [...this.repo.getAllWords(), ...this.repo.getAllClasses()].filter((blk) => {
+      if (!tagFilter) return true;
+      if (tagFilter === TAG_FILTER_UNTAGGED) return blk.tags.length === 0;
+      return blk.hasTag(tagFilter);
+    });
+    const renderCard = (blk) => (blk.kind === 'WB' ? this._renderWordCard(blk) : this._renderClassCard(blk));
+
+    // ブロックが多くても再レイアウトが 1 回で済むよう、まとめて追加する
+    const fragment = document.createDocumentFragment();
+    const tags = this.repo.getAllTags();
+    if (!tags.length) {
+      blocks.forEach((blk) => fragment.appendChild(renderCard(blk)));
+      containerEl.appendChild(fragment);
+      return;
+    }
 
-    words.forEach((wb) => {
-      containerEl.appendChild(this._renderWordCard(wb));
+    // タグが最初に現れた順に並べ、タグなしは最後
+    const groups = new Map(tags.map(({ tag }) => [tag, []]));
+    groups.set('', []);
+    blocks.forEach((blk) => groups.get(blk.tags[0] || '').push(blk));
+    groups.forEach((items, tag) => {
+      if (!items.length) return;
+      fragment.appendChild(this._renderTagGroup(tag, items, collapsedTags.has(tag), renderCard));
     });
+    containerEl.appendChild(fragment);
+  }
 
-    classes.forEach((cb) => {
-      containerEl.appendChild(this._renderClassCard(cb));
+  /**
+   * タグのグループ（見出しをクリックすると折りたたむ）
+   * @param {string} tag - タグなしは ""
+   * @param {Block[]} blocks
+   * @param {boolean} collapsed
+   * @param {(blk: Block) => HTMLElement} renderCard
+   * @returns {HTMLElement}
+   * @private
+   */
+  _renderTagGroup(tag, blocks, collapsed, renderCard) {
+    const group = create('div', 'tag-group');
+
+    const header = create('div', 'tag-group__header js-toggle-tag-group');
+    header.dataset.tag = tag;
+    header.title = collapsed ? 'クリックで展開' : 'クリックで折りたたむ';
+
+    const toggle = create('span', 'tag-group__toggle');
+    toggle.textContent = collapsed ? '▸' : '▾';
+    const swatch = create('span', 'tag-group__swatch');
+    if (tag) swatch.style.backgroundColor = this.repo.getTagColor(tag);
+    const name = create('span', 'tag-group__name');
+    name.textContent = tag || 'タグなし';
+    const count = create('span', 'tag-group__count');
+    count.textContent = `${blocks.length}`;
+
+    header.appendChild(toggle);
+    header.appendChild(swatch);
+    header.appendChild(name);
+    header.appendChild(count);
+    group.appendChild(header);
+
+    if (!collapsed) {
+      const body = create('div', 'tag-group__body');
+      blocks.forEach((blk) => body.appendChild(renderCard(blk)));
+      group.appendChild(body);
+    }
+    return group;
+  }
+
+  /**
+   * カードにタグを表示し、先頭のタグの色で左端に線を引く
+   * @param {HTMLElement} card
+   * @param {HTMLElement} body
+   * @param {ValueBlock} blk
+   * @private
+   */
+  _appendTags(card, body, blk) {
+    if (!blk.tags.length) return;
+    card.style.borderLeft = `4px solid ${this.repo.getTagColor(blk.tags[0])}`;
+
+    const row = create('div', 'block-card__tags');
+    blk.tags.forEach((tag) => {
+      const chip = create('span', 'block-card__tag');
+      chip.textContent = tag;
+      chip.style.backgroundColor = this.repo.getTagColor(tag);
+      row.appendChild(chip);
     });
+    body.appendChild(row);
   }
 
   /**
@@ -39,13 +123,11 @@ class ViewRenderer {
   renderEquations(containerEl) {
     clearChildren(containerEl);
 
-    const all =
-      typeof this.repo.getAll === 'function' ? this.repo.getAll() : [];
-    const eqs = all.filter((b) => b.kind === 'EB');
-
-    eqs.forEach((eb) => {
-      containerEl.appendChild(this._renderEquationCard(eb));
+    const fragment = document.createDocumentFragment();
+    this.repo.getAllEquations().forEach((eb) => {
+      fragment.appendChild(this._renderEquationCard(eb));
     });
+    containerEl.appendChild(fragment);
   }
 
   /**
@@ -75,16 +157,56 @@ class ViewRenderer {
     btnGenerate.type = 'button';
     btnGenerate.textContent = '式入力へ';
 
+    const btnRename = create('button', 'btn-small js-rename-block');
+    btnRename.type = 'button';
+    btnRename.textContent = '名前変更';
+    btnRename.title = 'ラベル・token を変更します（式ブロック中の参照も書き換えます）';
+
+    const btnTags = create('button', 'btn-small js-edit-tags');
+    btnTags.type = 'button';
+    btnTags.textContent = 'タグ';
+    btnTags.title = 'タグ（フォルダ）と色を設定します';
+
+    const btnMeta = create('button', 'btn-small js-edit-meta');
+    btnMeta.type = 'button';
+    btnMeta.textContent = 'メモ';
+    btnMeta.title = '選定理由のメモ・出典・作成者・確認状況を記録します';
+
+    const btnRevisions = create('button', 'btn-small js-block-revisions');
+    btnRevisions.type = 'button';
+    btnRevisions.textContent = `版 (${word.revisions.length})`;
+    btnRevisions.title = '過去の定義との差分を見て、以前の版に戻します';
+    btnRevisions.disabled = !word.revisions.length;
+
+    const btnMerge = create('button', 'btn-small js-merge-word');
+    btnMerge.type = 'button';
+    btnMerge.textContent = '統合';
+    btnMerge.title = '他の語ブロックをこのブロックにまとめます（式ブロック中の参照も書き換えます）';
+
+    const btnSplit = create('button', 'btn-small js-split-word');
+    btnSplit.type = 'button';
+    btnSplit.textContent = '分割';
+    btnSplit.title = '一部の語を新しい語ブロックに移します';
+    btnSplit.disabled = word.variants.length < 2;
+
     const btnDelete = create('button', 'btn-small js-delete-block');
     btnDelete.type = 'button';
     btnDelete.textContent = '削除';
 
     // 新機能1により「編集」ボタンは不要
     btnRow.appendChild(btnGenerate);
+    btnRow.appendChild(btnRename);
+    btnRow.appendChild(btnTags);
+    btnRow.appendChild(btnMeta);
+    btnRow.appendChild(btnRevisions);
+    btnRow.appendChild(btnMerge);
+    btnRow.appendChild(btnSplit);
     btnRow.appendChild(btnDelete);
 
     header.appendChild(labelSpan);
     header.appendChild(pill);
+    this._appendUsageBadge(header, word);
+    this._appendReviewedBadge(header, word);
     header.appendChild(btnRow);
 
     const body = create('div', 'block-card__body');
@@ -96,6 +218,8 @@ class ViewRenderer {
 
     body.appendChild(rowToken);
     body.appendChild(rowQuery);
+    this._appendMeta(body, word);
+    this._appendTags(card, body, word);
 
     card.appendChild(header);
     card.appendChild(body);
@@ -128,15 +252,42 @@ class ViewRenderer {
     btnEdit.type = 'button';
     btnEdit.textContent = '編集';
 
+    const btnRename = create('button', 'btn-small js-rename-block');
+    btnRename.type = 'button';
+    btnRename.textContent = '名前変更';
+    btnRename.title = 'ラベル・token を変更します（式ブロック中の参照も書き換えます）';
+
+    const btnTags = create('button', 'btn-small js-edit-tags');
+    btnTags.type = 'button';
+    btnTags.textContent = 'タグ';
+    btnTags.title = 'タグ（フォルダ）と色を設定します';
+
+    const btnMeta = create('button', 'btn-small js-edit-meta');
+    btnMeta.type = 'button';
+    btnMeta.textContent = 'メモ';
+    btnMeta.title = '選定理由のメモ・出典・作成者・確認状況を記録します';
+
+    const btnRevisions = create('button', 'btn-small js-block-revisions');
+    btnRevisions.type = 'button';
+    btnRevisions.textContent = `版 (${cb.revisions.length})`;
+    btnRevisions.title = '過去の定義との差分を見て、以前の版に戻します';
+    btnRevisions.disabled = !cb.revisions.length;
+
     const btnDelete = create('button', 'btn-small js-delete-block');
     btnDelete.type = 'button';
     btnDelete.textContent = '削除';
 
     btnRow.appendChild(btnEdit);
+    btnRow.appendChild(btnRename);
+    btnRow.appendChild(btnTags);
+    btnRow.appendChild(btnMeta);
+    btnRow.appendChild(btnRevisions);
     btnRow.appendChild(btnDelete);
 
     header.appendChild(labelSpan);
     header.appendChild(pill);
+    this._appendUsageBadge(header, cb);
+    this._appendReviewedBadge(header, cb);
     header.appendChild(btnRow);
 
     const body = create('div', 'block-card__body');
@@ -160,6 +311,8 @@ class ViewRenderer {
 
     body.appendChild(rowCodes);
     body.appendChild(rowQuery);
+    this._appendMeta(body, cb);
+    this._appendTags(card, body, cb);
 
     card.appendChild(header);
     card.appendChild(body);
@@ -167,6 +320,63 @@ class ViewRenderer {
     return card;
   }
 
+  /**
+   * 他の式ブロックから参照されていれば「N式で使用」の表示を追加する
+   * @param {HTMLElement} header
+   * @param {Block} block
+   * @private
+   */
+  _appendUsageBadge(header, block) {
+    const dependents = this.repo.getDependents(block.id);
+    if (!dependents.length) return;
+
+    const badge = create('span', 'block-card__usage');
+    badge.textContent = `${dependents.length}式で使用`;
+    badge.title = dependents
+      .map((id) => {
+        const eb = this.repo.get(id);
+        return eb ? eb.label || eb.id : id;
+      })
+      .join('\n');
+    header.appendChild(badge);
+  }
+
+  /**
+   * 確認済みのブロックに「確認済」の表示を追加する
+   * @param {HTMLElement} header
+   * @param {Block} block
+   * @private
+   */
+  _appendReviewedBadge(header, block) {
+    if (!block.reviewed) return;
+    const badge = create('span', 'block-card__reviewed');
+    badge.textContent = '確認済';
+    header.appendChild(badge);
+  }
+
+  /**
+   * 出典・作成者・メモを表示する（メモは 1 行に省略し、全文はツールチップで見せる）
+   * @param {HTMLElement} body
+   * @param {Block} block
+   * @private
+   */
+  _appendMeta(body, block) {
+    const parts = [];
+    if (block.source) parts.push(`出典: ${block.source}`);
+    if (block.author) parts.push(`作成者: ${block.author}`);
+    if (parts.length) {
+      const row = create('div', 'block-card__meta');
+      row.textContent = parts.join(' / ');
+      body.appendChild(row);
+    }
+    if (block.note) {
+      const note = create('div', 'block-card__note');
+      note.textContent = `メモ: ${block.note}`;
+      note.title = block.note;
+      body.appendChild(note);
+    }
+  }
+
   /**
    * EquationBlock 用カード
    * @param {EquationBlock} eb
@@ -189,22 +399,87 @@ class ViewRenderer {
     copyBtn.type = 'button';
     copyBtn.textContent = '検索式コピー';
 
+    // ★ 分割コピー用ボタン（文字数上限を超える式を複数の検索式に分ける）
+    const splitCopyBtn = create('button', 'btn-small js-split-copy-equation');
+    splitCopyBtn.type = 'button';
+    splitCopyBtn.textContent = '分割コピー';
+    splitCopyBtn.title = '文字数上限に収まるよう、和が同じ複数の検索式に分割します';
+
+    // ★ 最適化（AST 簡約）用ボタン
+    const optimizeBtn = create('button', 'btn-small js-optimize-equation');
+    optimizeBtn.type = 'button';
+    optimizeBtn.textContent = '最適化';
+    optimizeBtn.title = '重複や入れ子を整理して検索式を短くします';
+
+    // ★ 他の式との比較用ボタン
+    const compareBtn = create('button', 'btn-small js-compare-equation');
+    compareBtn.type = 'button';
+    compareBtn.textContent = '比較';
+    compareBtn.title = '他の式ブロックと等価・包含関係を比べます';
+
     // ★ 色マップ出力用ボタン
     const exportBtn = create('button', 'btn-small js-export-colormap');
     exportBtn.type = 'button';
     exportBtn.textContent = '色マップ出力';
     exportBtn.title = '色マップモデルをJSONファイルとしてダウンロードします';
 
+    const btnMeta = create('button', 'btn-small js-edit-meta');
+    btnMeta.type = 'button';
+    btnMeta.textContent = 'メモ';
+    btnMeta.title = '選定理由のメモ・出典・作成者・確認状況を記録します';
+
     const btnDelete = create('button', 'btn-small js-delete-block');
     btnDelete.type = 'button';
     btnDelete.textContent = '削除';
 
     // 新機能1により「式からブロック生成」「編集」ボタンは不要
     btnRow.appendChild(copyBtn);
+    btnRow.appendChild(splitCopyBtn);
+    btnRow.appendChild(optimizeBtn);
+    btnRow.appendChild(compareBtn);
     btnRow.appendChild(exportBtn);
+    btnRow.appendChild(btnMeta);
     btnRow.appendChild(btnDelete);
 
+    // 検索式にできない式（近傍の語に論理差を含むなど）は理由を表示し、計測もしない
+    let queryStr = '';
+    let renderError = null;
+    try {
+      queryStr = eb.renderQuery(this.ctx) || '';
+    } catch (e) {
+      renderError = e.message || String(e);
+    }
+
+    // ★ 検索式の長さ・複雑さ（上限に近い・超えている場合はバッジを出す）
+    const measured = this.queryMeter && !renderError ? this.queryMeter.measureEquation(eb) : null;
+
     header.appendChild(labelSpan);
+    // ★ 循環参照（古い JSON など）: 検索式は循環箇所を空として描画される
+    const cycle = this.repo.getCycleOf(eb.id);
+    if (cycle) {
+      const cycleBadge = create('span', 'block-card__badge block-card__badge--error');
+      cycleBadge.textContent = '循環参照';
+      cycleBadge.title = `循環参照しているため、検索式を正しく展開できません: ${cycle.join(' → ')}`;
+      header.appendChild(cycleBadge);
+    }
+    // ★ 参照切れ（削除済みのブロック・解決できない語 token）
+    const dangling = this.repo.findDanglingInExpr(eb.root);
+    if (dangling.length) {
+      const danglingBadge = create('span', 'block-card__badge block-card__badge--error');
+      danglingBadge.textContent = '参照切れ';
+      danglingBadge.title = `解決できない参照があります（「参照チェック」で修復できます）: ${dangling
+        .map((ref) => ref.value)
+        .join(', ')}`;
+      header.appendChild(danglingBadge);
+    }
+    this._appendUsageBadge(header, eb);
+    this._appendReviewedBadge(header, eb);
+    if (measured && measured.level !== 'ok') {
+      const badge = create('span', `block-card__badge block-card__badge--${measured.level}`);
+      badge.textContent = measured.level === 'error' ? '上限超過' : '上限注意';
+      badge.title = measured.issues.map((issue) => issue.message).join('\n');
+      header.appendChild(badge);
+    }
     header.appendChild(btnRow);
 
     const body = create('div', 'block-card__body');
@@ -213,11 +488,18 @@ class ViewRenderer {
     logicalDiv.textContent = '論理式: ' + (eb.renderLogical(this.ctx) || '');
 
     const queryDiv = create('div');
-    queryDiv.textContent = '検索式: ' + (eb.renderQuery(this.ctx) || '');
+    queryDiv.textContent = '検索式: ' + (renderError ? `(render error: ${renderError})` : queryStr);
 
     body.appendChild(logicalDiv);
     body.appendChild(queryDiv);
 
+    if (measured) {
+      const metricsDiv = create('div', 'block-card__metrics');
+      metricsDiv.textContent = this.queryMeter.formatMetrics(measured.metrics);
+      body.appendChild(metricsDiv);
+    }
+    this._appendMeta(body, eb);
+
     card.appendChild(header);
     card.appendChild(body);
 
@@ -227,3 +509,4 @@ class ViewRenderer {
 
 // グローバル公開
 window.ViewRenderer = ViewRenderer;
+window.TAG_FILTER_UNTAGGED = TAG_FILTER_UNTAGGED;